@@ -0,0 +1,59 @@
+/**
+ * Benchmarks the lookup-table evaluator against the rule-based evaluator.
+ *
+ * Usage: node scripts/benchmarkEvaluator.js [hands]
+ */
+const Deck = require('../src/models/Deck');
+const handEvaluator = require('../src/utils/handEvaluator');
+const random = require('../src/utils/random');
+
+const HANDS = Number(process.argv[2]) || 200000;
+
+/**
+ * Deals a fixed set of random hands so every evaluator scores the same input
+ * @param {number} size Number of cards per hand
+ * @returns {Array} Array of hands
+ */
+const dealHands = (size) => {
+  const rng = random.createSeededRandom(`benchmark-${size}`);
+  const cards = new Deck().cards;
+  const hands = [];
+  for (let i = 0; i < HANDS; i++) {
+    for (let j = 0; j < size; j++) {
+      const k = j + Math.floor(rng() * (cards.length - j));
+      [cards[j], cards[k]] = [cards[k], cards[j]];
+    }
+    hands.push(cards.slice(0, size));
+  }
+  return hands;
+};
+
+/**
+ * Times an evaluator over a set of hands
+ * @param {Function} evaluate Evaluator function
+ * @param {Array} hands Hands to score
+ * @returns {Object} Timing results
+ */
+const time = (evaluate, hands) => {
+  const start = process.hrtime.bigint();
+  for (const hand of hands) evaluate(hand);
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return {
+    'time (ms)': Math.round(elapsedMs),
+    'hands/sec': Math.round(hands.length / (elapsedMs / 1000))
+  };
+};
+
+const results = {};
+[5, 6, 7].forEach(size => {
+  const hands = dealHands(size);
+  // The rule-based evaluator is slow, so it only scores a slice of the hands
+  const ruleHands = hands.slice(0, Math.max(1, Math.floor(HANDS / 20)));
+
+  results[`${size} cards: scoreCards`] = time(hand => handEvaluator.scoreHand(hand, []), hands);
+  results[`${size} cards: getHandRank`] = time(handEvaluator.getHandRank, hands);
+  results[`${size} cards: rule-based`] = time(handEvaluator.getHandRankByRules, ruleHands);
+});
+
+console.log(`Benchmark over ${HANDS} hands per size`);
+console.table(results);
@@ -0,0 +1,146 @@
+/**
+ * Cross-checks the lookup-table evaluator against the original rule-based hand
+ * functions (isRoyalFlush, isFlush, isFullHouse, ...).
+ *
+ * Every one of the 2,598,960 five card hands is classified with the is* functions
+ * and given tie-breaks counted straight from its cards (the straight's top card, or
+ * the values by how often they appear). The lookup category must match, and its
+ * scores must order the hands exactly as category then tie-breaks do. A seeded
+ * sample of seven card hands is then checked against the best of their 21 five
+ * card hands by the same rules.
+ *
+ * Usage: node scripts/crossCheckEvaluator.js [sevenCardSamples] [seed]
+ */
+const Deck = require('../src/models/Deck');
+const cardUtils = require('../src/utils/cardUtils');
+const handEvaluator = require('../src/utils/handEvaluator');
+const random = require('../src/utils/random');
+
+const SEVEN_CARD_SAMPLES = Number(process.argv[2]) || 200000;
+const SEED = process.argv[3] || 'cross-check';
+
+/**
+ * Gets the category the original is* functions assign to five cards
+ * @param {Array} cards Five card objects
+ * @returns {number} Category rank
+ */
+const categoryByRules = (cards) => {
+  const { HandRankings } = handEvaluator;
+  if (handEvaluator.isRoyalFlush(cards)) return HandRankings.ROYAL_FLUSH.rank;
+  if (handEvaluator.isStraightFlush(cards)) return HandRankings.STRAIGHT_FLUSH.rank;
+  if (handEvaluator.isFourOfAKind(cards)) return HandRankings.FOUR_OF_A_KIND.rank;
+  if (handEvaluator.isFullHouse(cards)) return HandRankings.FULL_HOUSE.rank;
+  if (handEvaluator.isFlush(cards)) return HandRankings.FLUSH.rank;
+  if (handEvaluator.isStraight(cards)) return HandRankings.STRAIGHT.rank;
+  if (handEvaluator.isThreeOfAKind(cards)) return HandRankings.THREE_OF_A_KIND.rank;
+  if (handEvaluator.isTwoPair(cards)) return HandRankings.TWO_PAIR.rank;
+  if (handEvaluator.isOnePair(cards)) return HandRankings.ONE_PAIR.rank;
+  return HandRankings.HIGH_CARD.rank;
+};
+
+/**
+ * Gets the tie-breaks of five cards within their category, most significant first
+ * @param {Array} cards Five card objects
+ * @param {number} category Category rank from categoryByRules
+ * @returns {Array} Value indices
+ */
+const tiebreaksByRules = (cards, category) => {
+  const { HandRankings } = handEvaluator;
+  if ([HandRankings.STRAIGHT.rank, HandRankings.STRAIGHT_FLUSH.rank, HandRankings.ROYAL_FLUSH.rank].includes(category)) {
+    const values = cardUtils.getUniqueValues(cards);
+    return [cardUtils.isConsecutive(values) ? values[0] : 3]; // The wheel is five-high
+  }
+  return Object.entries(cardUtils.countValues(cards))
+    .map(([value, count]) => ({ value: cardUtils.getValueIndex(value), count }))
+    .sort((a, b) => b.count - a.count || b.value - a.value)
+    .map(({ value }) => value);
+};
+
+/**
+ * Orders five card hands by the rules: category, then tie-breaks
+ * @param {Array} cards Five card objects
+ * @returns {number} Key where a higher number is a stronger hand
+ */
+const keyByRules = (cards) => {
+  const category = categoryByRules(cards);
+  const tiebreaks = tiebreaksByRules(cards, category);
+  let key = category;
+  for (let i = 0; i < 5; i++) {
+    key = key * 14 + (tiebreaks[i] !== undefined ? tiebreaks[i] + 1 : 0);
+  }
+  return key;
+};
+
+const format = (cards) => cards.map(card => `${card.value}${card.suit[0]}`).join(' ');
+
+const deck = new Deck().cards;
+let failures = 0;
+const fail = (message) => {
+  failures++;
+  if (failures <= 20) console.error(message);
+};
+
+// Exhaustive five card check; equal keys must get equal lookup scores
+let checked = 0;
+const categoryCounts = {};
+const scoresByKey = new Map();
+const start = Date.now();
+for (let a = 0; a < 52; a++) {
+  for (let b = a + 1; b < 52; b++) {
+    for (let c = b + 1; c < 52; c++) {
+      for (let d = c + 1; d < 52; d++) {
+        for (let e = d + 1; e < 52; e++) {
+          const cards = [deck[a], deck[b], deck[c], deck[d], deck[e]];
+          const fast = handEvaluator.getHandRank(cards);
+          const category = categoryByRules(cards);
+          const key = keyByRules(cards);
+
+          if (fast.rank !== category) {
+            fail(`Category mismatch for ${format(cards)}: lookup ${fast.rank}, is* ${category}`);
+          }
+          if (!scoresByKey.has(key)) {
+            scoresByKey.set(key, fast.score);
+          } else if (scoresByKey.get(key) !== fast.score) {
+            fail(`Tie-break mismatch for ${format(cards)}: lookup ${fast.score}, ${scoresByKey.get(key)} for the same hand by the rules`);
+          }
+          categoryCounts[fast.name] = (categoryCounts[fast.name] || 0) + 1;
+          checked++;
+        }
+      }
+    }
+  }
+}
+console.log(`Checked ${checked} five card hands in ${Date.now() - start}ms`);
+console.table(categoryCounts);
+
+// Stronger hands by the rules must get higher lookup scores
+const keys = [...scoresByKey.keys()].sort((a, b) => a - b);
+keys.slice(1).forEach((key, i) => {
+  if (scoresByKey.get(key) <= scoresByKey.get(keys[i])) {
+    fail(`Order mismatch: lookup scores ${scoresByKey.get(keys[i])} and ${scoresByKey.get(key)} for hands the rules rank apart`);
+  }
+});
+console.log(`${keys.length} distinct five card hands by the rules`);
+
+// Sampled seven card check
+const rng = random.createSeededRandom(SEED);
+const cards = [...deck];
+for (let i = 0; i < SEVEN_CARD_SAMPLES; i++) {
+  for (let j = 0; j < 7; j++) {
+    const k = j + Math.floor(rng() * (cards.length - j));
+    [cards[j], cards[k]] = [cards[k], cards[j]];
+  }
+  const hand = cards.slice(0, 7);
+  const fast = handEvaluator.getHandRank(hand);
+  const best = Math.max(...cardUtils.combinations(hand, 5).map(keyByRules));
+  if (fast.score !== scoresByKey.get(best)) {
+    fail(`Score mismatch for ${format(hand)}: lookup ${fast.score}, ${scoresByKey.get(best)} for its best five cards by the rules`);
+  }
+}
+console.log(`Checked ${SEVEN_CARD_SAMPLES} seven card hands (seed ${SEED})`);
+
+if (failures > 0) {
+  console.error(`${failures} mismatches found`);
+  process.exit(1);
+}
+console.log('Lookup evaluator matches the rule-based hand functions');
@@ -0,0 +1,34 @@
+/**
+ * Verifies a provably fair hand away from the server: checks the revealed server
+ * seed against the hash published before the hand, then reshuffles the deck from
+ * the server and client seeds and compares it with the deck that was dealt.
+ *
+ * Takes the JSON returned by GET /api/hands/:handId/verify (only serverSeed,
+ * serverSeedHash, clientSeeds, values and deck are used), from a file or stdin.
+ *
+ * Usage: node scripts/verifyShuffle.js [file]
+ */
+const fs = require('fs');
+const fairShuffle = require('../src/utils/fairShuffle');
+
+const input = fs.readFileSync(process.argv[2] || 0, 'utf8');
+const { handId, serverSeed, serverSeedHash, clientSeeds = [], values, deck } = JSON.parse(input);
+if (!serverSeed || !serverSeedHash || !Array.isArray(deck)) {
+  console.error('Expected the revealed hand: serverSeed, serverSeedHash, clientSeeds and deck');
+  process.exit(1);
+}
+
+const { hashMatches, deckMatches, valid, expectedDeck } = fairShuffle.verifyShuffle({
+  serverSeed, serverSeedHash, clientSeeds, values, deck
+});
+
+console.log(`Hand ${handId || '(unknown)'}`);
+console.log(`Client seeds: ${clientSeeds.map(({ playerId, seed }) => `${playerId}=${seed}`).join(', ') || 'none'}`);
+console.log(`Server seed hash: ${hashMatches ? 'matches' : 'DOES NOT MATCH'}`);
+console.log(`Deck order: ${deckMatches ? 'matches' : 'DOES NOT MATCH'}`);
+console.log(expectedDeck.join(' '));
+
+if (!valid) {
+  process.exit(1);
+}
+console.log('The shuffle is verified');
@@ -0,0 +1,30 @@
+/**
+ * Betting structure definitions
+ */
+const { PHASES } = require('./gameConfig');
+
+module.exports = {
+  'no-limit': {
+    id: 'no-limit',
+    name: 'No-Limit'
+  },
+  'pot-limit': {
+    id: 'pot-limit',
+    name: 'Pot-Limit'
+  },
+  'fixed-limit': {
+    id: 'fixed-limit',
+    name: 'Fixed-Limit',
+    // A bet and three raises per street (the big blind counts as the bet preflop)
+    raiseCap: 4,
+    // Streets played with the big bet; every other street uses the small bet
+    bigBetPhases: [
+      PHASES.TURN,
+      PHASES.RIVER,
+      PHASES.FIFTH_STREET,
+      PHASES.SIXTH_STREET,
+      PHASES.SEVENTH_STREET,
+      PHASES.POST_DRAW
+    ]
+  }
+};
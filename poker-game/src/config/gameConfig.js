@@ -7,17 +7,59 @@ module.exports = {
   MAX_PLAYERS: 9,
   MIN_PLAYERS: 2,
   
+  // Variant used when a game is created without one (see variants.js)
+  DEFAULT_VARIANT: 'holdem',
+  
+  // Where decks come from when a game is created without a deckSource (see utils/deckSource.js)
+  DECK_SOURCE: 'crypto',
+  // Most recent hands a table keeps the seeds and provably fair shuffle records of; older ones are dropped
+  HAND_RECORDS_KEPT: 100,
+  
   // Default chip values
   STARTING_CHIPS: 1000,
   
+  // Cash game buy-in limits, in big blinds
+  MIN_BUY_IN_BIG_BLINDS: 40,
+  MAX_BUY_IN_BIG_BLINDS: 200,
+  
   // Blind settings
   SMALL_BLIND: 5,
   BIG_BLIND: 10,
+  BUTTON_ANTE: 10, // Button-ante tables (Short Deck)
+  STRADDLE_MULTIPLIER: 2, // A straddle is twice the big blind
+  
+  // Stud forced bets
+  ANTE: 1,
+  BRING_IN: 3,
   
   // Game timing (in milliseconds)
   PLAYER_TURN_TIMEOUT: 30000,  // 30 seconds to make a decision
+  TIME_BANK: 30000,            // Extra time each player can draw on once their turn runs out
+  TIME_BANK_REFILL: 5000,      // Added to every time bank (up to TIME_BANK)...
+  TIME_BANK_REFILL_HANDS: 10,  // ...every this many hands
   PHASE_TRANSITION_DELAY: 1000, // 1 second delay between phases
   ROUND_END_DELAY: 5000,       // 5 seconds at the end of a round
+  RUNOUT_VOTE_TIMEOUT: 10000,  // 10 seconds for all-in players to agree to run it more than once
+  
+  // Turns in a row a player can time out before they are sat out
+  MAX_TIMEOUTS: 2,
+  
+  // Players sitting out of a cash game this long are removed (in milliseconds)
+  MAX_SIT_OUT_TIME: 10 * 60 * 1000,
+  
+  // Most times an all-in board can be run
+  MAX_RUNOUTS: 3,
+  
+  // Analysis limits
+  MAX_EQUITY_ITERATIONS: 200000,
+  MAX_EQUITY_HANDS: 9,
+  // Hand evaluations one equity request may run (samples or runouts times hands): the
+  // calculation runs on the event loop every table shares
+  MAX_EQUITY_WORK: 400000,
+  MAX_ICM_ITERATIONS: 200000,
+  MAX_ICM_PLAYERS: 1000,
+  // Players times finishing orders one ICM request may sample, over all its calculations
+  MAX_ICM_WORK: 2000000,
   
   // Game phases
   PHASES: {
@@ -26,6 +68,14 @@ module.exports = {
     FLOP: 'flop',
     TURN: 'turn',
     RIVER: 'river',
+    PRE_DRAW: 'pre-draw',
+    DRAW: 'draw',
+    POST_DRAW: 'post-draw',
+    THIRD_STREET: 'third-street',
+    FOURTH_STREET: 'fourth-street',
+    FIFTH_STREET: 'fifth-street',
+    SIXTH_STREET: 'sixth-street',
+    SEVENTH_STREET: 'seventh-street',
     SHOWDOWN: 'showdown'
   }
 }; 
\ No newline at end of file
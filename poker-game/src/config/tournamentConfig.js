@@ -0,0 +1,40 @@
+/**
+ * Sit & Go (single-table tournament) defaults
+ */
+
+module.exports = {
+  // Players needed before the tournament starts
+  PLAYERS: 6,
+  STARTING_CHIPS: 1500,
+  BUY_IN: 100,
+
+  // Busted players may rebuy during this many levels (0 for a freezeout), as often as
+  // MAX_REBUYS allows (null for no limit); rebuys cost the buy-in for a starting stack
+  REBUY_LEVELS: 0,
+  MAX_REBUYS: null,
+
+  // Chips for the one-time add-on (0 for none), on offer until the rebuys close
+  ADD_ON_CHIPS: 0,
+
+  // Time spent at each blind level (in milliseconds)
+  LEVEL_DURATION: 5 * 60 * 1000,
+
+  // Percent of the prize pool paid to each place, first place first
+  PAYOUTS: [50, 30, 20],
+
+  // Blind levels; after the last level the blinds stay where they are
+  LEVELS: [
+    { smallBlind: 10, bigBlind: 20, ante: 0 },
+    { smallBlind: 15, bigBlind: 30, ante: 0 },
+    { smallBlind: 25, bigBlind: 50, ante: 0 },
+    { smallBlind: 50, bigBlind: 100, ante: 0 },
+    { smallBlind: 75, bigBlind: 150, ante: 15 },
+    { smallBlind: 100, bigBlind: 200, ante: 25 },
+    { smallBlind: 150, bigBlind: 300, ante: 25 },
+    { smallBlind: 200, bigBlind: 400, ante: 50 },
+    { smallBlind: 300, bigBlind: 600, ante: 75 },
+    { smallBlind: 400, bigBlind: 800, ante: 100 },
+    { smallBlind: 600, bigBlind: 1200, ante: 150 },
+    { smallBlind: 1000, bigBlind: 2000, ante: 200 }
+  ]
+};
@@ -0,0 +1,74 @@
+/**
+ * Game variant definitions
+ */
+const { PHASES } = require('./gameConfig');
+
+module.exports = {
+  holdem: {
+    id: 'holdem',
+    name: "No-Limit Texas Hold'em",
+    holeCards: 2,
+    bettingStructure: 'no-limit',
+    blindStructure: 'blinds'
+  },
+  omaha: {
+    id: 'omaha',
+    name: 'Pot-Limit Omaha',
+    holeCards: 4,
+    // Hands must use exactly this many hole cards (and the rest from the board)
+    holeCardsUsed: 2,
+    bettingStructure: 'pot-limit',
+    blindStructure: 'blinds'
+  },
+  'omaha-hi-lo': {
+    id: 'omaha-hi-lo',
+    name: 'Pot-Limit Omaha Hi-Lo',
+    holeCards: 4,
+    holeCardsUsed: 2,
+    bettingStructure: 'pot-limit',
+    blindStructure: 'blinds',
+    // Half the pot to the best high, half to the best eight-or-better low
+    splitPot: 'hi-lo',
+    lowQualifier: 8
+  },
+  'short-deck': {
+    id: 'short-deck',
+    name: "Short Deck Hold'em",
+    holeCards: 2,
+    bettingStructure: 'no-limit',
+    // 36 cards: the 2s through 5s are removed
+    deckValues: ['6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'],
+    // Flush beats full house, A-6-7-8-9 is the lowest straight
+    handRankings: 'short-deck',
+    // No blinds: only the button posts an ante for the table
+    blindStructure: 'button-ante'
+  },
+  stud: {
+    id: 'stud',
+    name: 'Seven Card Stud',
+    // Cards dealt on third street; four more follow one street at a time
+    holeCards: 3,
+    bettingStructure: 'fixed-limit',
+    // Everyone antes, then the lowest upcard brings it in
+    blindStructure: 'ante-bring-in',
+    // 8 players x 7 cards is 56; short decks on seventh street use a shared card
+    maxPlayers: 8,
+    // Cards dealt to each player per street, face down (private) or up (public)
+    streets: [
+      { phase: PHASES.THIRD_STREET, cards: ['down', 'down', 'up'] },
+      { phase: PHASES.FOURTH_STREET, cards: ['up'] },
+      { phase: PHASES.FIFTH_STREET, cards: ['up'] },
+      { phase: PHASES.SIXTH_STREET, cards: ['up'] },
+      { phase: PHASES.SEVENTH_STREET, cards: ['down'] }
+    ]
+  },
+  draw: {
+    id: 'draw',
+    name: 'Five Card Draw',
+    holeCards: 5,
+    bettingStructure: 'no-limit',
+    blindStructure: 'blinds',
+    // One draw between the two betting rounds
+    hasDraw: true
+  }
+};
@@ -0,0 +1,184 @@
+/**
+ * Tracks one betting round (one street): the bet to match, the minimum raise
+ * and who has acted since the last full raise. It validates actions and says
+ * how many chips each one puts in; the game moves the chips.
+ */
+class BettingRound {
+  /**
+   * Create a new betting round
+   * @param {Object} options - Round settings
+   * @param {number} [options.currentBet=0] - Bet to match when the round opens (e.g. the big blind)
+   * @param {number} options.minRaise - Smallest bet, and smallest raise increment until someone raises more
+   * @param {string} [options.structure='no-limit'] - Betting structure ID from config/bettingStructures
+   * @param {Function} [options.getMaxRaiseTo] - (player) => largest total bet allowed (pot-limit)
+   * @param {number} [options.fixedBetSize] - Fixed-limit only: the bet and raise size on this street
+   * @param {number} [options.raiseCap=Infinity] - Most bets and raises allowed on this street
+   * @param {number} [options.fullBet=currentBet] - Last full bet level; fixed-limit raises go one bet above it
+   * @param {number} [options.raises] - Bets already made (defaults to 1 when opening at a bet, else 0)
+   * @param {Array} [options.acted] - IDs of players whose forced bet counts as acting (e.g. a stud bring-in)
+   */
+  constructor({
+    currentBet = 0,
+    minRaise,
+    structure = 'no-limit',
+    getMaxRaiseTo = () => Infinity,
+    fixedBetSize = null,
+    raiseCap = Infinity,
+    fullBet = currentBet,
+    raises = currentBet > 0 ? 1 : 0,
+    acted = []
+  }) {
+    this.currentBet = currentBet;
+    this.lastRaiseSize = minRaise;
+    this.structure = structure;
+    this.getMaxRaiseTo = getMaxRaiseTo;
+    this.fixedBetSize = fixedBetSize;
+    this.raiseCap = raiseCap;
+    this.fullBet = fullBet;
+    this.raises = raises;
+    // Players who have acted since the last full bet or raise. Only they may not raise
+    // again, which is how a short all-in raise leaves the action closed for them.
+    this.acted = new Set(acted);
+  }
+
+  /**
+   * Get what a player may do right now
+   * @param {Player} player - The player to act
+   * @returns {Object} {canCheck, callAmount, canRaise, minRaiseTo, maxRaiseTo}
+   */
+  getOptions(player) {
+    const callAmount = Math.min(Math.max(0, this.currentBet - player.currentBet), player.chips);
+    const allInTo = player.currentBet + player.chips;
+    const minRaiseTo = this.fixedBetSize ? this.fullBet + this.fixedBetSize : this.currentBet + this.lastRaiseSize;
+    const maxRaiseTo = this.fixedBetSize ? minRaiseTo : this.getMaxRaiseTo(player);
+    return {
+      canCheck: this.currentBet <= player.currentBet,
+      callAmount,
+      canRaise: !this.acted.has(player.id) && allInTo > this.currentBet && this.raises < this.raiseCap,
+      minRaiseTo: Math.min(minRaiseTo, allInTo),
+      maxRaiseTo: Math.min(maxRaiseTo, allInTo)
+    };
+  }
+
+  /**
+   * Validate and record a player's action
+   * @param {Player} player - The player acting
+   * @param {string} action - 'fold', 'check', 'call' or 'raise'
+   * @param {number} [amount] - For a raise, the total bet to raise to
+   * @returns {Object} {action, amount, totalBet, allIn}: amount is the chips to put in
+   */
+  act(player, action, amount) {
+    const options = this.getOptions(player);
+
+    switch (action) {
+      case 'fold':
+        this.acted.add(player.id);
+        return { action, amount: 0, totalBet: player.currentBet, allIn: false };
+
+      case 'check':
+        if (!options.canCheck) {
+          throw new Error('Cannot check, must call or raise');
+        }
+        this.acted.add(player.id);
+        return { action, amount: 0, totalBet: player.currentBet, allIn: false };
+
+      case 'call':
+        if (options.canCheck) {
+          throw new Error('No bet to call, should check instead');
+        }
+        this.acted.add(player.id);
+        return {
+          action,
+          amount: options.callAmount,
+          totalBet: player.currentBet + options.callAmount,
+          allIn: options.callAmount === player.chips
+        };
+
+      case 'raise':
+        return this.raise(player, amount, options);
+
+      default:
+        throw new Error('Invalid action');
+    }
+  }
+
+  /**
+   * Validate and record a bet or raise
+   * @param {Player} player - The player raising
+   * @param {number} amount - The total bet to raise to
+   * @param {Object} options - The player's options from getOptions
+   * @returns {Object} {action, amount, totalBet, allIn}
+   */
+  raise(player, amount, options) {
+    if (!amount || amount <= 0) {
+      throw new Error('Invalid raise amount');
+    }
+    if (amount <= this.currentBet) {
+      throw new Error('Raise amount must be greater than current bet');
+    }
+    if (amount - player.currentBet > player.chips) {
+      throw new Error('Not enough chips for this raise');
+    }
+    if (this.raises >= this.raiseCap) {
+      throw new Error(`Betting is capped at ${this.raiseCap} bets this street`);
+    }
+    if (!options.canRaise) {
+      throw new Error('The action was not reopened by a full raise; call or fold');
+    }
+
+    const allIn = amount - player.currentBet === player.chips;
+    const raiseSize = amount - this.currentBet;
+    let isFullRaise;
+    if (this.fixedBetSize) {
+      const limitTo = this.fullBet + this.fixedBetSize;
+      if (amount > limitTo || (amount < limitTo && !allIn)) {
+        throw new Error(`Fixed-limit raises must be to exactly ${limitTo}`);
+      }
+      isFullRaise = amount === limitTo;
+    } else {
+      if (amount > options.maxRaiseTo) {
+        const limitName = this.structure === 'pot-limit' ? 'pot limit' : 'limit';
+        throw new Error(`Raise exceeds the ${limitName} (max ${options.maxRaiseTo})`);
+      }
+      if (amount < this.currentBet + this.lastRaiseSize && !allIn) {
+        throw new Error(`Minimum raise is to ${this.currentBet + this.lastRaiseSize}`);
+      }
+      isFullRaise = raiseSize >= this.lastRaiseSize;
+    }
+
+    if (isFullRaise) {
+      // A full raise reopens the action for everyone else
+      this.lastRaiseSize = Math.max(raiseSize, this.lastRaiseSize);
+      this.fullBet = amount;
+      this.raises++;
+      this.acted = new Set([player.id]);
+    } else {
+      // A short all-in raises the bet without reopening the action
+      this.acted.add(player.id);
+    }
+    this.currentBet = amount;
+
+    return { action: 'raise', amount: amount - player.currentBet, totalBet: amount, allIn };
+  }
+
+  /**
+   * Check whether the round is over: everyone who can still act has acted
+   * since the last full raise and matched the bet
+   * @param {Array} players - All players at the table
+   * @returns {boolean} True if the round is complete
+   */
+  isComplete(players) {
+    const live = players.filter(player => player.isActive);
+    if (live.length <= 1) return true;
+
+    const canAct = live.filter(player => player.chips > 0);
+    // A lone player with chips left has nobody to bet against once they have matched
+    if (canAct.length <= 1 && canAct.every(player => player.currentBet >= this.currentBet)) {
+      return true;
+    }
+
+    return canAct.every(player => this.acted.has(player.id) && player.currentBet >= this.currentBet);
+  }
+}
+
+module.exports = BettingRound;
@@ -6,10 +6,14 @@ const Card = require('./Card');
 class Deck {
   /**
    * Create a new deck of cards
+   * @param {Object} [options] - Deck composition
+   * @param {Array} [options.values] - Card values to include (e.g. 6 through A for Short Deck)
+   * @param {Function} [options.random=Math.random] - Random number source for every shuffle of this deck
    */
-  constructor() {
+  constructor(options = {}) {
     this.suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-    this.values = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+    this.values = options.values || ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+    this.random = options.random || Math.random;
     this.cards = this.createDeck();
   }
 
@@ -30,11 +34,12 @@ class Deck {
   /**
    * Shuffles the deck using Fisher-Yates algorithm
    * @param {Array} deck Array of card objects
+   * @param {Function} random Random number source returning [0, 1) (defaults to the deck's)
    * @returns {Array} Shuffled deck
    */
-  shuffle(deck = this.cards) {
+  shuffle(deck = this.cards, random = this.random) {
     for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [deck[i], deck[j]] = [deck[j], deck[i]];
     }
     return deck;
@@ -49,6 +54,14 @@ class Deck {
     return this.cards.splice(0, numCards);
   }
 
+  /**
+   * Shuffle cards (e.g. a discard pile) and put them under the remaining cards
+   * @param {Array} cards Cards to add
+   */
+  addShuffled(cards) {
+    this.cards.push(...this.shuffle([...cards]));
+  }
+
   /**
    * Reset the deck to a full, shuffled state
    */
@@ -1,6 +1,57 @@
 const Deck = require('./Deck');
 const Player = require('./Player');
+const Ledger = require('./Ledger');
+const BettingRound = require('./BettingRound');
 const gameConfig = require('../config/gameConfig');
+const variants = require('../config/variants');
+const bettingStructures = require('../config/bettingStructures');
+const handEvaluator = require('../utils/handEvaluator');
+const lowEvaluator = require('../utils/lowEvaluator');
+const potCalculator = require('../utils/potCalculator');
+const cardUtils = require('../utils/cardUtils');
+const blindPositions = require('../utils/blindPositions');
+const fairShuffle = require('../utils/fairShuffle');
+const deckSource = require('../utils/deckSource');
+
+// Seats that may straddle: under the gun, or the button (Mississippi)
+const STRADDLE_TYPES = ['utg', 'button'];
+
+// Suit order used to break bring-in ties between upcards of the same rank, lowest first
+const BRING_IN_SUIT_ORDER = ['clubs', 'diamonds', 'hearts', 'spades'];
+
+// Community cards on a complete board
+const BOARD_SIZE = 5;
+
+/**
+ * Drop the oldest records from a map of hand records kept in the order the hands were dealt
+ * @param {Map} records - Hand ID -> record
+ */
+const pruneHandRecords = (records) => {
+  while (records.size > gameConfig.HAND_RECORDS_KEPT) {
+    records.delete(records.keys().next().value);
+  }
+};
+
+/**
+ * Check the rake option
+ * @param {Object} rake - {percent, cap, caps}
+ * @param {boolean} tournament - Whether the table is a tournament table
+ */
+const checkRake = ({ percent, cap, caps = [] }, tournament) => {
+  if (tournament) {
+    throw new Error('Tournament tables are not raked');
+  }
+  if (typeof percent !== 'number' || !(percent > 0 && percent <= 100)) {
+    throw new Error('rake.percent must be a number above 0 and up to 100');
+  }
+  const isCap = value => Number.isInteger(value) && value >= 0;
+  if (cap !== undefined && cap !== null && !isCap(cap)) {
+    throw new Error('rake.cap must be a non-negative whole number');
+  }
+  if (!Array.isArray(caps) || !caps.every(tier => tier && Number.isInteger(tier.players) && tier.players > 0 && isCap(tier.cap))) {
+    throw new Error('rake.caps must be a list of {players, cap} with whole numbers');
+  }
+};
 
 /**
  * Represents a poker game session
@@ -9,111 +60,1322 @@ class Game {
   /**
    * Create a new game
    * @param {string} id - The unique identifier for the game
+   * @param {Object} [options] - Table options
+   * @param {string} [options.variant] - Variant ID from config/variants (defaults to Hold'em)
+   * @param {boolean} [options.tripsBeatStraight] - Short Deck only: rank three of a kind above a straight
+   * @param {number} [options.smallBlind] - Small blind (defaults to gameConfig.SMALL_BLIND)
+   * @param {number} [options.bigBlind] - Big blind (defaults to gameConfig.BIG_BLIND)
+   * @param {number} [options.startingChips] - Chips each player sits down with (defaults to gameConfig.STARTING_CHIPS,
+   *   kept within the buy-in limits)
+   * @param {number} [options.minBuyIn] - Cash games: smallest buy-in (defaults to gameConfig.MIN_BUY_IN_BIG_BLINDS big blinds)
+   * @param {number} [options.maxBuyIn] - Cash games: largest buy-in and top-up limit (defaults to
+   *   gameConfig.MAX_BUY_IN_BIG_BLINDS big blinds)
+   * @param {number} [options.buttonAnte] - Button-ante variants only: the button's ante
+   * @param {number} [options.ante] - The ante every player posts (defaults to none, or to the stud ante)
+   * @param {boolean} [options.bigBlindAnte] - The big blind posts one ante for the table (defaults to the big blind)
+   * @param {string} [options.straddle] - Allow a voluntary straddle: 'utg' or 'button' (Mississippi)
+   * @param {number} [options.bringIn] - Stud only: the forced bet for the lowest upcard
+   * @param {string} [options.bettingStructure] - Structure ID from config/bettingStructures (defaults to the variant's)
+   * @param {number} [options.smallBet] - Fixed-limit only: bet size on early streets (defaults to the big blind)
+   * @param {number} [options.bigBet] - Fixed-limit only: bet size on later streets (defaults to twice the small bet)
+   * @param {boolean} [options.tournament] - Tournament table: players who sit out are still dealt in and blinded off
+   * @param {Object} [options.rake] - Cash games: rake to take from each pot (defaults to none)
+   * @param {number} options.rake.percent - Percentage of each pot
+   * @param {number} [options.rake.cap] - Most rake per hand (defaults to no cap)
+   * @param {Array} [options.rake.caps] - Caps by table size, {players, cap}: the cap with the most
+   *   players no more than were dealt in applies, and options.rake.cap below the smallest
+   * @param {boolean} [options.provablyFair] - Shuffle each hand from a committed server seed and the players' seeds
+   * @param {Object} [options.deckSource] - Where decks come from: {type: 'crypto' | 'seeded' | 'stacked', seed, cards},
+   *   see utils/deckSource (defaults to gameConfig.DECK_SOURCE)
    */
-  constructor(id) {
+  constructor(id, options = {}) {
+    const variantId = options.variant || gameConfig.DEFAULT_VARIANT;
+    if (!variants[variantId]) {
+      throw new Error(`Unknown game variant: ${variantId}`);
+    }
+    if (options.tripsBeatStraight && variants[variantId].handRankings !== 'short-deck') {
+      throw new Error('Trips over straight only applies to Short Deck');
+    }
+    const structureId = options.bettingStructure || variants[variantId].bettingStructure;
+    if (!bettingStructures[structureId]) {
+      throw new Error(`Unknown betting structure: ${structureId}`);
+    }
+    ['smallBlind', 'bigBlind', 'startingChips', 'smallBet', 'bigBet', 'minBuyIn', 'maxBuyIn'].forEach(name => {
+      if (options[name] !== undefined && !(Number.isInteger(options[name]) && options[name] > 0)) {
+        throw new Error(`${name} must be a positive whole number`);
+      }
+    });
+    if ((options.smallBlind || gameConfig.SMALL_BLIND) > (options.bigBlind || gameConfig.BIG_BLIND)) {
+      throw new Error('The small blind cannot be bigger than the big blind');
+    }
+    const bigBlind = options.bigBlind || gameConfig.BIG_BLIND;
+    const minBuyIn = options.minBuyIn || bigBlind * gameConfig.MIN_BUY_IN_BIG_BLINDS;
+    const maxBuyIn = options.maxBuyIn || Math.max(minBuyIn, bigBlind * gameConfig.MAX_BUY_IN_BIG_BLINDS);
+    if (minBuyIn > maxBuyIn) {
+      throw new Error('The minimum buy-in cannot be bigger than the maximum buy-in');
+    }
+    if (!options.tournament && options.startingChips && (options.startingChips < minBuyIn || options.startingChips > maxBuyIn)) {
+      throw new Error(`startingChips must be a buy-in from ${minBuyIn} to ${maxBuyIn}`);
+    }
+    if (options.rake) {
+      checkRake(options.rake, options.tournament);
+    }
+    if (options.provablyFair && options.deckSource) {
+      throw new Error('Provably fair tables shuffle from their own seeds');
+    }
+    if (options.ante !== undefined && !(Number.isInteger(options.ante) && options.ante >= 0)) {
+      throw new Error('ante must be a non-negative whole number');
+    }
+    if (options.straddle && !STRADDLE_TYPES.includes(options.straddle)) {
+      throw new Error(`Unknown straddle type: ${options.straddle}`);
+    }
+    const blindStructure = variants[variantId].blindStructure;
+    if ((options.straddle || options.bigBlindAnte) && blindStructure !== 'blinds') {
+      throw new Error('Straddles and big blind antes need a game with blinds');
+    }
+    if (options.straddle && structureId === 'fixed-limit') {
+      throw new Error('Straddles are only available in no-limit and pot-limit games');
+    }
+    
     this.id = id;
-    this.players = [];
-    this.deck = new Deck();
+    this.variant = options.tripsBeatStraight
+      ? { ...variants[variantId], tripsBeatStraight: true }
+      : variants[variantId];
+    this.deckSource = deckSource.checkDeckSource(options.deckSource || { type: gameConfig.DECK_SOURCE }, this.variant.deckValues);
+    this.deck = new Deck({ values: this.variant.deckValues });
     this.communityCards = [];
+    this.boards = []; // Every board when an all-in pot is run more than once
+    this.runoutVotes = new Map(); // Player ID -> number of times they agreed to run the board
+    this.discards = []; // Draw games: discarded cards waiting to be reshuffled
+    this.drawnPlayers = new Set(); // Draw games: IDs of players who have drawn this round
     this.pot = 0;
+    this.contributions = new Map(); // Player ID -> chips put in across all streets
     this.currentBet = 0;
+    this.bettingRound = null;
     this.gamePhase = gameConfig.PHASES.WAITING;
-    this.currentTurn = null;
-    this.smallBlind = gameConfig.SMALL_BLIND;
-    this.bigBlind = gameConfig.BIG_BLIND;
-    this.dealerPosition = 0;
+    this.currentTurn = null; // Seat of the player whose turn it is
+    this.smallBlind = options.smallBlind || gameConfig.SMALL_BLIND;
+    this.bigBlind = options.bigBlind || gameConfig.BIG_BLIND;
+    this.isTournament = Boolean(options.tournament);
+    // Tournament stacks come from the tournament, so only cash games have buy-in limits
+    this.minBuyIn = this.isTournament ? null : minBuyIn;
+    this.maxBuyIn = this.isTournament ? null : maxBuyIn;
+    this.startingChips = options.startingChips ||
+      (this.isTournament ? gameConfig.STARTING_CHIPS : Math.min(Math.max(gameConfig.STARTING_CHIPS, minBuyIn), maxBuyIn));
+    this.bettingStructure = bettingStructures[structureId];
+    this.smallBet = options.smallBet || this.bigBlind;
+    this.bigBet = options.bigBet || this.smallBet * 2;
+    this.buttonAnte = options.buttonAnte || gameConfig.BUTTON_ANTE;
+    this.bigBlindAnte = Boolean(options.bigBlindAnte);
+    if (options.ante !== undefined) {
+      this.ante = options.ante;
+    } else if (this.bigBlindAnte) {
+      this.ante = this.bigBlind;
+    } else {
+      this.ante = blindStructure === 'ante-bring-in' ? gameConfig.ANTE : 0;
+    }
+    this.straddleType = options.straddle || null;
+    this.straddleRequests = new Set(); // IDs of players who want to straddle next hand
+    this.straddle = null; // The straddle posted this hand: {seat, amount, type}
+    this.bringIn = options.bringIn || gameConfig.BRING_IN;
+    this.bringInPosition = null; // Seat of the stud bring-in
+    this.maxPlayers = this.variant.maxPlayers || gameConfig.MAX_PLAYERS;
+    this.seats = new Array(this.maxPlayers).fill(null); // Seat number -> Player, or null when empty
+    this.dealerPosition = 0; // Seat of the button player (with a dead button, the nearest player before it)
+    this.positions = null; // Button and blind seats for the current hand, see utils/blindPositions
+    this.missedBlindsPosted = []; // Missed blinds posted this hand, see getForcedBets
+    this.handsDealt = 0;
+    this.ledger = new Ledger(); // Every chip movement at the table
+    this.handStartChips = new Map(); // Player ID -> chips when the current hand was dealt
+    this.rake = options.rake
+      ? { percent: options.rake.percent, cap: options.rake.cap ?? null, caps: options.rake.caps || [] }
+      : null;
+    this.playersDealtIn = 0; // Players dealt into the current hand, for tiered rake caps
+    this.pastFirstRound = false; // A later betting round (the flop, in flop games) was reached: the hand is raked
+    this.handRake = 0; // Rake taken from the current hand
+    this.rakeTotal = 0;
+    this.rakeHistory = []; // Raked hands, {hand, amount, time}
+    this.handId = null;
+    this.provablyFair = Boolean(options.provablyFair);
+    this.serverSeed = this.provablyFair ? fairShuffle.generateServerSeed() : null; // Committed for the next hand
+    this.handServerSeed = null; // The current hand's server seed, secret until the hand ends
+    this.clientSeeds = new Map(); // Player ID -> seed they contribute to each shuffle
+    this.shuffles = new Map(); // Hand ID -> provably fair shuffle record for the recent hands, see shuffleDeck
+    this.handSeeds = new Map(); // Hand ID -> {handId, gameId, hand, source, seed} for the other recent hands
   }
 
   /**
-   * Add a player to the game
+   * Get the seated players in seat order
+   * @returns {Array} Players, without the empty seats
+   */
+  get players() {
+    return this.seats.filter(Boolean);
+  }
+
+  /**
+   * Add a player to the game. A player who sits down during a hand waits for the next one.
    * @param {string} id - Player ID
    * @param {string} name - Player name
+   * @param {Object} [options] - Seating options
+   * @param {number} [options.chips] - Chips to sit down with (defaults to the starting chips);
+   *   in cash games this is the buy-in and must be within the buy-in limits
+   * @param {number} [options.seat] - Seat to take (defaults to the lowest empty seat)
+   * @param {boolean} [options.transfer=false] - The player and their chips are moving from another table
    * @returns {Player} The created player object
    */
-  addPlayer(id, name) {
-    if (this.players.length >= gameConfig.MAX_PLAYERS) {
-      throw new Error(`Game is full (max ${gameConfig.MAX_PLAYERS} players)`);
+  addPlayer(id, name, { chips = this.startingChips, seat, transfer = false } = {}) {
+    const emptySeats = this.getEmptySeats();
+    if (emptySeats.length === 0) {
+      throw new Error(`Game is full (max ${this.maxPlayers} players)`);
     }
+    if (!transfer) {
+      this.checkBuyIn(chips);
+    }
+    const chosen = seat !== undefined && seat !== null;
+    if (chosen) {
+      if (!Number.isInteger(seat) || seat < 0 || seat >= this.maxPlayers) {
+        throw new Error(`Seat must be a whole number from 0 to ${this.maxPlayers - 1}`);
+      }
+      if (this.seats[seat]) {
+        throw new Error(`Seat ${seat} is taken`);
+      }
+    }
+    
+    const player = new Player(id, name, chips);
+    player.seat = chosen ? seat : emptySeats[0];
+    this.seats[player.seat] = player;
     
-    const player = new Player(id, name, gameConfig.STARTING_CHIPS);
-    this.players.push(player);
+    if (this.isHandInProgress()) {
+      player.isActive = false;
+    }
+    if (chips > 0) {
+      this.recordChips(transfer ? Ledger.ENTRY_TYPES.TRANSFER_IN : Ledger.ENTRY_TYPES.BUY_IN, player, chips);
+    }
     return player;
   }
 
   /**
-   * Remove a player from the game
+   * Remove a player from the game. Their seat is left empty, so the turn and
+   * button stay where they are. The chips they leave with are recorded in the
+   * ledger; chips they put in a hand still being played stay in the pot.
    * @param {string} playerId - The ID of the player to remove
+   * @param {Object} [options] - Removal options
+   * @param {boolean} [options.transfer=false] - The player and their chips are moving to another table
    * @returns {boolean} True if player was removed, false if not found
    */
-  removePlayer(playerId) {
-    const initialLength = this.players.length;
-    this.players = this.players.filter(player => player.id !== playerId);
-    return this.players.length < initialLength;
+  removePlayer(playerId, { transfer = false } = {}) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) return false;
+    
+    if (this.isHandInProgress()) {
+      this.recordHandResult(player);
+    }
+    this.seats[player.seat] = null;
+    if (player.chips > 0) {
+      this.recordChips(transfer ? Ledger.ENTRY_TYPES.TRANSFER_OUT : Ledger.ENTRY_TYPES.CASH_OUT, player, -player.chips);
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a hand is being played
+   * @returns {boolean} True between the deal and the showdown
+   */
+  isHandInProgress() {
+    return this.gamePhase !== gameConfig.PHASES.WAITING && this.gamePhase !== gameConfig.PHASES.SHOWDOWN;
+  }
+
+  /**
+   * Check a cash game buy-in against the table's limits
+   * @param {number} amount - Chips to buy
+   */
+  checkBuyIn(amount) {
+    if (this.isTournament) return;
+    if (!Number.isInteger(amount) || amount < this.minBuyIn || amount > this.maxBuyIn) {
+      throw new Error(`Buy-in must be a whole number from ${this.minBuyIn} to ${this.maxBuyIn}`);
+    }
+  }
+
+  /**
+   * Record a chip movement in the table's ledger
+   * @param {string} type - Ledger entry type
+   * @param {Player} player - The player whose stack changed
+   * @param {number} amount - Chips added to the stack (negative when taken off)
+   * @returns {Object} The ledger entry
+   */
+  recordChips(type, player, amount) {
+    return this.ledger.record(type, player, amount, { hand: this.handsDealt });
+  }
+
+  /**
+   * Add chips a player bought to their stack. Players can buy chips at any
+   * time except during a hand they are playing.
+   * @param {Player} player - The player
+   * @param {number} amount - Chips to add
+   * @param {string} type - Ledger entry type: 'top-up', 'rebuy' or 'add-on'
+   * @returns {Object} The ledger entry
+   */
+  addChips(player, amount, type) {
+    if (this.isHandInProgress() && player.isActive) {
+      throw new Error('You cannot add chips during a hand you are playing');
+    }
+    player.receiveChips(amount);
+    return this.recordChips(type, player, amount);
+  }
+
+  /**
+   * Find a cash game player who is buying chips
+   * @param {string} playerId - Player ID
+   * @returns {Player} The player
+   */
+  getCashPlayer(playerId) {
+    if (this.isTournament) {
+      throw new Error('Tournament chips can only be bought with rebuys and add-ons');
+    }
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+    return player;
+  }
+
+  /**
+   * Add chips to a cash game stack, up to the maximum buy-in
+   * @param {string} playerId - Player ID
+   * @param {number} amount - Chips to add
+   * @returns {Object} The ledger entry
+   */
+  topUp(playerId, amount) {
+    const player = this.getCashPlayer(playerId);
+    if (player.chips === 0) {
+      throw new Error('Busted players rebuy instead of topping up');
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error('amount must be a positive whole number');
+    }
+    if (player.chips + amount > this.maxBuyIn) {
+      throw new Error(`You can top up to at most ${this.maxBuyIn} chips`);
+    }
+    return this.addChips(player, amount, Ledger.ENTRY_TYPES.TOP_UP);
+  }
+
+  /**
+   * Buy back in to a cash game after busting
+   * @param {string} playerId - Player ID
+   * @param {number} [amount] - Chips to buy (defaults to the starting chips)
+   * @returns {Object} The ledger entry
+   */
+  rebuy(playerId, amount = this.startingChips) {
+    const player = this.getCashPlayer(playerId);
+    if (player.chips > 0) {
+      throw new Error('You can only rebuy once you have busted');
+    }
+    this.checkBuyIn(amount);
+    return this.addChips(player, amount, Ledger.ENTRY_TYPES.REBUY);
+  }
+
+  /**
+   * Record what a player won or lost in the current hand, once
+   * @param {Player} player - The player
+   */
+  recordHandResult(player) {
+    if (!this.handStartChips.has(player.id)) return;
+    const result = player.chips - this.handStartChips.get(player.id);
+    this.handStartChips.delete(player.id);
+    if (result !== 0) {
+      this.recordChips(Ledger.ENTRY_TYPES.HAND, player, result);
+    }
+  }
+
+  /**
+   * Record every player's result once the pots have been awarded
+   */
+  recordHandResults() {
+    this.players.forEach(player => this.recordHandResult(player));
+    this.handStartChips = new Map();
+  }
+
+  /**
+   * Get the seat numbers nobody sits in
+   * @returns {Array} Empty seats, lowest first
+   */
+  getEmptySeats() {
+    return this.seats
+      .map((player, seat) => (player ? null : seat))
+      .filter(seat => seat !== null);
+  }
+
+  /**
+   * Describe every seat at the table for clients, empty ones included
+   * @returns {Array} One {seat, playerId, name} per seat; playerId and name are null when it is empty
+   */
+  getSeatMap() {
+    return this.seats.map((player, seat) => ({
+      seat,
+      playerId: player ? player.id : null,
+      name: player ? player.name : null
+    }));
+  }
+
+  /**
+   * Get the seated players in turn order after a seat, wrapping around the
+   * table; the player in the seat itself (if any) comes last
+   * @param {number} seat - Seat number
+   * @returns {Array} Players
+   */
+  getPlayersAfterSeat(seat) {
+    const distance = player => (player.seat - seat - 1 + this.maxPlayers) % this.maxPlayers;
+    return this.players.sort((a, b) => distance(a) - distance(b));
+  }
+
+  /**
+   * Change the blinds and ante between hands (tournament levels). Fixed-limit
+   * bet sizes follow the big blind.
+   * @param {Object} stakes - New stakes
+   * @param {number} stakes.smallBlind - Small blind
+   * @param {number} stakes.bigBlind - Big blind
+   * @param {number} [stakes.ante] - Ante (unchanged if omitted)
+   */
+  setStakes({ smallBlind, bigBlind, ante }) {
+    if (this.gamePhase !== gameConfig.PHASES.WAITING && this.gamePhase !== gameConfig.PHASES.SHOWDOWN) {
+      throw new Error('Stakes can only change between hands');
+    }
+    this.smallBlind = smallBlind;
+    this.bigBlind = bigBlind;
+    this.smallBet = bigBlind;
+    this.bigBet = bigBlind * 2;
+    if (ante !== undefined) {
+      this.ante = ante;
+    }
   }
 
   /**
    * Start a new round of poker
    */
   startRound() {
-    if (this.players.length < gameConfig.MIN_PLAYERS) {
+    this.seatPlayersWaitingForBigBlind();
+    if (this.players.filter(player => this.isDealtIn(player)).length < gameConfig.MIN_PLAYERS) {
       throw new Error(`Not enough players to start a game (need at least ${gameConfig.MIN_PLAYERS})`);
     }
 
     // Reset game state
-    this.deck = new Deck();
     this.communityCards = [];
+    this.boards = [];
+    this.runoutVotes = new Map();
+    this.discards = [];
+    this.drawnPlayers = new Set();
     this.pot = 0;
+    this.contributions = new Map();
     this.currentBet = 0;
-    this.gamePhase = gameConfig.PHASES.PRE_FLOP;
+    this.missedBlindsPosted = [];
+    this.pastFirstRound = false;
+    this.handRake = 0;
+    this.handStartChips = new Map(this.players.map(player => [player.id, player.chips]));
+    this.gamePhase = this.variant.hasDraw ? gameConfig.PHASES.PRE_DRAW : gameConfig.PHASES.PRE_FLOP;
     
-    // Reset player hands
-    this.players.forEach(player => player.resetHand());
+    // Reset player hands; busted players and players sitting out sit the hand out
+    this.players.forEach(player => {
+      player.resetHand();
+      if (!this.isDealtIn(player)) {
+        player.isActive = false;
+      }
+    });
+    const previousPositions = this.positions;
+    this.placeButton();
+    this.recordMissedBlinds(previousPositions);
+    this.playersDealtIn = this.players.filter(player => player.isActive).length;
+    
+    this.handsDealt++;
+    this.handId = `${this.id}-hand-${this.handsDealt}`;
+    this.deck = this.shuffleDeck();
+    if (this.handsDealt % gameConfig.TIME_BANK_REFILL_HANDS === 0) {
+      this.players.forEach(player => player.refillTimeBank(gameConfig.TIME_BANK_REFILL));
+    }
+    
+    if (this.variant.streets) {
+      this.startStudRound();
+      return;
+    }
     
     // Deal cards to players
-    for (let i = 0; i < 2; i++) {
-      this.players.forEach(player => {
+    const dealtIn = this.players.filter(player => player.isActive);
+    for (let i = 0; i < this.variant.holeCards; i++) {
+      dealtIn.forEach(player => {
         player.receiveCards(this.deck.dealCards(1));
       });
     }
     
     // Set blinds and initial turn
     this.setBlindBets();
-    this.moveToNextActivePlayer(this.getPlayerAfterBigBlind());
+    this.startBettingRound({ minRaise: this.straddle ? this.straddle.amount : undefined });
+    this.currentTurn = this.getPlayerAfterBigBlind();
+    if (!this.canAct(this.seats[this.currentTurn])) {
+      this.moveToNextActivePlayer();
+    }
+    this.clearTurnIfBettingComplete();
+  }
+
+  /**
+   * Leave nobody on turn when the forced bets put every player (or all but one
+   * who has matched them) all-in: the hand goes straight to the runout
+   */
+  clearTurnIfBettingComplete() {
+    if (this.isBettingRoundComplete()) {
+      this.currentTurn = null;
+    }
+  }
+
+  /**
+   * Shuffle the deck for the hand being dealt from a seed recorded with the hand.
+   * Provably fair tables shuffle from the server seed committed before the hand
+   * and the seated players' seeds (in seat order), record the deck order, and
+   * commit to a new seed for the next hand.
+   * @returns {Deck} The shuffled deck
+   */
+  shuffleDeck() {
+    if (!this.provablyFair) {
+      const seed = deckSource.createHandSeed(this.deckSource, this.handsDealt);
+      this.handSeeds.set(this.handId, {
+        handId: this.handId,
+        gameId: this.id,
+        hand: this.handsDealt,
+        source: this.deckSource.type,
+        seed
+      });
+      pruneHandRecords(this.handSeeds);
+      return deckSource.createDeck(this.deckSource, seed, this.variant.deckValues);
+    }
+
+    const clientSeeds = this.players
+      .filter(player => this.clientSeeds.has(player.id))
+      .map(player => ({ playerId: player.id, seed: this.clientSeeds.get(player.id) }));
+    const deck = fairShuffle.createFairDeck(this.serverSeed, clientSeeds.map(({ seed }) => seed), this.variant.deckValues);
+    this.shuffles.set(this.handId, {
+      handId: this.handId,
+      gameId: this.id,
+      hand: this.handsDealt,
+      serverSeedHash: fairShuffle.hashServerSeed(this.serverSeed),
+      serverSeed: null,
+      clientSeeds,
+      values: deck.values,
+      deck: deck.cards.map(cardUtils.formatCard)
+    });
+    pruneHandRecords(this.shuffles);
+    this.handServerSeed = this.serverSeed;
+    this.serverSeed = fairShuffle.generateServerSeed();
+    return deck;
+  }
+
+  /**
+   * Deal a finished hand's deck again from its recorded seed
+   * @param {string} handId - Hand ID
+   * @returns {Deck} The deck as it was before the hand was dealt
+   */
+  regenerateDeck(handId) {
+    const record = this.handSeeds.get(handId);
+    if (!record) {
+      throw new Error('Hand not found');
+    }
+    if (handId === this.handId && this.gamePhase !== gameConfig.PHASES.WAITING) {
+      throw new Error('The deck is available once the hand is over');
+    }
+    return deckSource.createDeck(this.deckSource, record.seed, this.variant.deckValues);
+  }
+
+  /**
+   * Get the hash of the server seed committed for the next hand
+   * @returns {string|null} SHA-256 hash in hex, or null when the table is not provably fair
+   */
+  getServerSeedHash() {
+    return this.provablyFair ? fairShuffle.hashServerSeed(this.serverSeed) : null;
+  }
+
+  /**
+   * Set the seed a player contributes to the shuffle, from the next hand on
+   * @param {string} playerId - Player ID
+   * @param {string} seed - The seed
+   */
+  setClientSeed(playerId, seed) {
+    if (!this.provablyFair) {
+      throw new Error('This table does not use provably fair shuffling');
+    }
+    if (!this.players.some(player => player.id === playerId)) {
+      throw new Error('Player not found');
+    }
+    fairShuffle.checkClientSeed(seed);
+    this.clientSeeds.set(playerId, seed);
+  }
+
+  /**
+   * Reveal the current hand's server seed once the hand is over
+   * @returns {Object|null} The shuffle record {handId, gameId, hand, serverSeedHash, serverSeed,
+   *   clientSeeds, values, deck}, or null when there is nothing to reveal
+   */
+  revealServerSeed() {
+    const shuffle = this.shuffles.get(this.handId);
+    if (!shuffle || !this.handServerSeed) return null;
+    shuffle.serverSeed = this.handServerSeed;
+    this.handServerSeed = null;
+    return shuffle;
+  }
+
+  /**
+   * Check whether a player gets dealt into the next hand: they have chips,
+   * are not sitting out and are not waiting for the big blind (tournament
+   * players are dealt in regardless)
+   * @param {Player} player - The player to check
+   * @returns {boolean} True if the player is dealt in
+   */
+  isDealtIn(player) {
+    if (player.chips === 0) return false;
+    return this.isTournament || (!player.sittingOut && !player.waitingForBigBlind);
+  }
+
+  /**
+   * Sit a player out from the next hand; a hand they are playing carries on
+   * @param {string} playerId - Player ID
+   * @param {number} [now=Date.now()] - Time in milliseconds
+   */
+  sitOut(playerId, now = Date.now()) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+    if (player.sittingOut) {
+      throw new Error('You are already sitting out');
+    }
+    player.sittingOut = true;
+    player.sittingOutSince = now;
+    player.waitingForBigBlind = false;
+    player.postingMissedBlinds = false;
+  }
+
+  /**
+   * Bring a player who sat out back into the game. A player who missed
+   * blinds in a cash game either posts them next hand or waits for the big blind.
+   * @param {string} playerId - Player ID
+   * @param {Object} [options] - Return options
+   * @param {boolean} [options.postMissedBlinds=false] - Post the missed blinds rather than wait for the big blind
+   */
+  sitIn(playerId, { postMissedBlinds = false } = {}) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+    if (!player.sittingOut) {
+      throw new Error('You are not sitting out');
+    }
+    player.sittingOut = false;
+    player.sittingOutSince = null;
+    player.timeouts = 0;
+    if (player.missedBlinds && !this.isTournament) {
+      player.postingMissedBlinds = postMissedBlinds;
+      player.waitingForBigBlind = !postMissedBlinds;
+    }
+  }
+
+  /**
+   * Get the cash game players who have been sitting out too long
+   * @param {number} [now=Date.now()] - Time in milliseconds
+   * @returns {Array} Players sitting out for gameConfig.MAX_SIT_OUT_TIME or more
+   */
+  getExpiredSitOuts(now = Date.now()) {
+    if (this.isTournament) return [];
+    return this.players.filter(player =>
+      player.sittingOut && now - player.sittingOutSince >= gameConfig.MAX_SIT_OUT_TIME);
+  }
+
+  /**
+   * Deal players waiting for the big blind back in when it reaches their
+   * seat. Without blinds, or without enough other players for a hand, they
+   * come straight back in.
+   */
+  seatPlayersWaitingForBigBlind() {
+    const waiting = this.players.filter(player => player.waitingForBigBlind);
+    if (waiting.length === 0) return;
+    
+    const dealtIn = this.players.filter(player => this.isDealtIn(player));
+    if (!this.positions || this.variant.blindStructure !== 'blinds' || dealtIn.length < gameConfig.MIN_PLAYERS) {
+      waiting.forEach(player => player.clearMissedBlinds());
+      return;
+    }
+    
+    const seats = [...dealtIn, ...waiting.filter(player => player.chips > 0)]
+      .map(player => player.seat)
+      .sort((a, b) => a - b);
+    const bigBlindSeat = blindPositions.nextOccupiedSeat(seats, this.positions.bigBlind);
+    waiting
+      .filter(player => player.seat === bigBlindSeat)
+      .forEach(player => player.clearMissedBlinds());
+  }
+
+  /**
+   * Record the blinds that players who are not dealt in miss this hand: the
+   * big blind when it passes their seat, or the small blind when it is dead
+   * on their seat
+   * @param {Object|null} previous - Positions from the last hand
+   */
+  recordMissedBlinds(previous) {
+    if (!previous || this.isTournament || this.variant.blindStructure !== 'blinds') return;
+    
+    const { smallBlind, smallBlindSeat, bigBlind } = this.positions;
+    this.players
+      .filter(player => player.chips > 0 && !this.isDealtIn(player))
+      .forEach(player => {
+        if (blindPositions.isSeatBetween(player.seat, previous.bigBlind, bigBlind)) {
+          player.missedBlinds = 'big';
+        } else if (smallBlind === null && player.seat === smallBlindSeat && !player.missedBlinds) {
+          player.missedBlinds = 'small';
+        }
+      });
+  }
+
+  /**
+   * Take missed blinds from players who chose to post them: the big blind
+   * is live and counts as their bet, the small blind is dead money. A player
+   * who comes back in the blinds just posts those.
+   */
+  postMissedBlinds() {
+    this.players
+      .filter(player => player.isActive && player.postingMissedBlinds)
+      .forEach(player => {
+        if (player.seat !== this.positions.smallBlind && player.seat !== this.positions.bigBlind) {
+          const live = player.missedBlinds === 'big' ? this.placeBet(player, this.bigBlind) : 0;
+          const dead = this.postAnte(player, this.smallBlind);
+          this.missedBlindsPosted.push({ seat: player.seat, live, dead });
+        }
+        player.clearMissedBlinds();
+      });
+  }
+
+  /**
+   * Record that the turn clock ran out on a player. Players who time out
+   * gameConfig.MAX_TIMEOUTS turns in a row are sat out.
+   * @param {Player} player - The player who timed out
+   * @param {number} [now=Date.now()] - Time in milliseconds
+   * @returns {boolean} True if the player has just been sat out
+   */
+  recordTimeout(player, now = Date.now()) {
+    player.timeouts++;
+    if (player.sittingOut || player.timeouts < gameConfig.MAX_TIMEOUTS) return false;
+    player.sittingOut = true;
+    player.sittingOutSince = now;
+    return true;
+  }
+
+  /**
+   * Get the action taken for a player whose turn clock ran out: standing pat
+   * in the draw, otherwise checking if they can and folding if not
+   * @param {Player} player - The player whose turn it is
+   * @returns {string} 'draw', 'check' or 'fold'
+   */
+  getTimeoutAction(player) {
+    if (this.gamePhase === gameConfig.PHASES.DRAW) return 'draw';
+    return this.bettingRound.getOptions(player).canCheck ? 'check' : 'fold';
+  }
+
+  /**
+   * Move the button (and blinds) for a new hand. The first hand puts the
+   * button on dealerPosition (or the first player after it when that seat is
+   * empty); later hands follow the dead-button rules.
+   */
+  placeButton() {
+    const seats = this.players.filter(player => player.isActive).map(player => player.seat);
+    const firstButton = this.seats[this.dealerPosition] ? this.dealerPosition : seats[0];
+    this.positions = this.variant.blindStructure === 'blinds'
+      ? blindPositions.placeBlinds(seats, this.positions, firstButton)
+      : blindPositions.moveButton(seats, this.positions, firstButton);
+    const seated = this.players.map(player => player.seat);
+    this.dealerPosition = blindPositions.occupiedSeatAtOrBefore(seated, this.positions.button);
+  }
+
+  /**
+   * Start a stud round: everyone antes, third street is dealt, and the lowest
+   * upcard posts the bring-in with action to their left
+   */
+  startStudRound() {
+    this.players
+      .filter(player => player.isActive)
+      .forEach(player => this.postAnte(player, this.ante));
+    this.dealStreet(this.variant.streets[0]);
+    
+    this.bringInPosition = this.getBringInPosition();
+    const bringInPlayer = this.seats[this.bringInPosition];
+    this.placeBet(bringInPlayer, this.bringIn);
+    this.currentBet = this.bringIn;
+    // The bring-in counts as acting, so it gets no option if everyone just calls; it is
+    // not a full bet, so the first raise completes it to a full bet
+    this.startBettingRound({ acted: [bringInPlayer.id], bringIn: true });
+    this.moveToNextActivePlayer(this.bringInPosition);
+    this.clearTurnIfBettingComplete();
+  }
+
+  /**
+   * Deal one stud street to every active player
+   * @param {Object} street - Street from the variant: {phase, cards: ['down' | 'up', ...]}
+   */
+  dealStreet(street) {
+    this.gamePhase = street.phase;
+    const activePlayers = this.players.filter(player => player.isActive);
+    
+    street.cards.forEach(direction => {
+      // Too few cards left for everyone: deal one shared card face up in the middle
+      if (this.deck.cardsRemaining() < activePlayers.length) {
+        this.communityCards.push(...this.deck.dealCards(1));
+        return;
+      }
+      activePlayers.forEach(player => {
+        player.receiveCards(this.deck.dealCards(1), direction === 'up');
+      });
+    });
+  }
+
+  /**
+   * Deal the next stud street, or move to showdown after the last one.
+   * The best hand showing acts first on every street after third; when that
+   * player is all-in, the next player on their left who can act does.
+   */
+  dealNextStreet() {
+    const streets = this.variant.streets;
+    const nextStreet = streets[streets.findIndex(street => street.phase === this.gamePhase) + 1];
+    if (!nextStreet) {
+      this.gamePhase = gameConfig.PHASES.SHOWDOWN;
+      return;
+    }
+    
+    this.dealStreet(nextStreet);
+    this.resetBets();
+    const best = this.getBestVisiblePosition();
+    this.currentTurn = null;
+    if (this.canAct(this.seats[best])) {
+      this.currentTurn = best;
+    } else {
+      this.moveToNextActivePlayer(best);
+    }
+    this.clearTurnIfBettingComplete();
+  }
+
+  /**
+   * Find the player who must post the bring-in: the lowest upcard on third
+   * street, with ties broken by suit (clubs lowest, then diamonds, hearts, spades)
+   * @returns {number} Seat of the bring-in player
+   */
+  getBringInPosition() {
+    let lowest = null;
+    this.players.forEach(player => {
+      if (!player.isActive || player.upCards.length === 0) return;
+      const card = player.upCards[0];
+      const strength = cardUtils.getValueIndex(card.value) * BRING_IN_SUIT_ORDER.length +
+        BRING_IN_SUIT_ORDER.indexOf(card.suit);
+      if (!lowest || strength < lowest.strength) {
+        lowest = { seat: player.seat, strength };
+      }
+    });
+    return lowest.seat;
+  }
+
+  /**
+   * Find the active player with the best hand showing. Only pairs, trips and
+   * quads count on partial boards; ties go to the first seat left of the dealer.
+   * @returns {number} Seat of the player to act first
+   */
+  getBestVisiblePosition() {
+    let best = null;
+    this.getPlayersAfterSeat(this.dealerPosition).forEach(player => {
+      if (!player.isActive) return;
+      
+      const score = handEvaluator.evaluateHand(player.upCards, [], this.variant).score;
+      if (!best || score > best.score) {
+        best = { seat: player.seat, score };
+      }
+    });
+    return best.seat;
+  }
+
+  /**
+   * Close the first betting round and start the draw. Each active player,
+   * starting left of the dealer, discards and draws once.
+   */
+  startDraw() {
+    this.gamePhase = gameConfig.PHASES.DRAW;
+    this.drawnPlayers = new Set();
+    this.pastFirstRound = true; // The draw stands in for the flop when raking
+    this.moveToNextActivePlayer(this.dealerPosition);
+  }
+
+  /**
+   * Discard cards from a player's hand and deal replacements. When the deck
+   * runs out, the discard pile (without this player's discards) is reshuffled
+   * under it.
+   * @param {Player} player - The player drawing
+   * @param {Array} indexes - Positions of the cards to discard (empty to stand pat)
+   * @returns {Array} The replacement cards
+   */
+  draw(player, indexes) {
+    if (this.gamePhase !== gameConfig.PHASES.DRAW) {
+      throw new Error('It is not the draw phase');
+    }
+    if (this.drawnPlayers.has(player.id)) {
+      throw new Error('You have already drawn this round');
+    }
+    if (!Array.isArray(indexes) || new Set(indexes).size !== indexes.length ||
+        indexes.some(index => !Number.isInteger(index) || index < 0 || index >= player.cards.length)) {
+      throw new Error('Invalid discard indexes');
+    }
+    
+    const discarded = player.discard(indexes);
+    if (this.deck.cardsRemaining() < discarded.length) {
+      this.deck.addShuffled(this.discards);
+      this.discards = [];
+    }
+    
+    const replacements = this.deck.dealCards(discarded.length);
+    player.receiveCards(replacements);
+    this.discards.push(...discarded);
+    this.drawnPlayers.add(player.id);
+    return replacements;
+  }
+
+  /**
+   * Check whether every active player has drawn
+   * @returns {boolean} True once the draw is over
+   */
+  isDrawComplete() {
+    return this.players
+      .filter(player => player.isActive)
+      .every(player => this.drawnPlayers.has(player.id));
+  }
+
+  /**
+   * End the draw and open the second betting round, first to act left of the dealer
+   */
+  finishDraw() {
+    this.gamePhase = gameConfig.PHASES.POST_DRAW;
+    this.resetBets();
+    this.moveToNextActivePlayer(this.dealerPosition);
   }
 
   /**
    * Set blind bets at the start of a round
    */
   setBlindBets() {
-    if (this.players.length < gameConfig.MIN_PLAYERS) return;
+    if (!this.positions) return;
     
-    const smallBlindPos = (this.dealerPosition + 1) % this.players.length;
-    const bigBlindPos = (this.dealerPosition + 2) % this.players.length;
+    if (this.variant.blindStructure === 'button-ante') {
+      // The button antes for the table; preflop opens with no bet to call
+      this.postAnte(this.seats[this.dealerPosition], this.buttonAnte);
+      this.currentBet = 0;
+      return;
+    }
+    
+    // Everyone antes before the blinds
+    if (this.ante > 0 && !this.bigBlindAnte) {
+      this.players
+        .filter(player => player.isActive)
+        .forEach(player => this.postAnte(player, this.ante));
+    }
     
-    // Small blind
-    const smallBlinder = this.players[smallBlindPos];
-    const sbAmount = smallBlinder.placeBet(this.smallBlind);
-    this.pot += sbAmount;
+    // Small blind (none when it is dead)
+    if (this.positions.smallBlind !== null) {
+      this.placeBet(this.seats[this.positions.smallBlind], this.smallBlind);
+    }
     
-    // Big blind
-    const bigBlinder = this.players[bigBlindPos];
-    const bbAmount = bigBlinder.placeBet(this.bigBlind);
-    this.pot += bbAmount;
+    // Big blind, then its ante for the table (the blind comes first when the stack is short)
+    const bigBlindPlayer = this.seats[this.positions.bigBlind];
+    this.placeBet(bigBlindPlayer, this.bigBlind);
+    if (this.bigBlindAnte && this.ante > 0) {
+      this.postAnte(bigBlindPlayer, this.ante);
+    }
     
     this.currentBet = this.bigBlind;
+    this.postMissedBlinds();
+    this.postStraddle();
+  }
+
+  /**
+   * Ask to straddle (or stop asking) in the next hand. The request is used if
+   * the player is in the straddle seat when the hand is dealt.
+   * @param {string} playerId - The player's ID
+   * @param {boolean} [wantsStraddle=true] - False to withdraw the request
+   */
+  requestStraddle(playerId, wantsStraddle = true) {
+    if (!this.straddleType) {
+      throw new Error('Straddles are not allowed at this table');
+    }
+    if (this.gamePhase !== gameConfig.PHASES.WAITING && this.gamePhase !== gameConfig.PHASES.SHOWDOWN) {
+      throw new Error('Straddles must be requested before the deal');
+    }
+    if (!this.players.some(player => player.id === playerId)) {
+      throw new Error('Player not found');
+    }
+    
+    if (wantsStraddle) {
+      this.straddleRequests.add(playerId);
+    } else {
+      this.straddleRequests.delete(playerId);
+    }
+  }
+
+  /**
+   * Post a requested straddle: a voluntary blind raise to twice the big blind
+   * from under the gun or from the button. Action starts to the straddler's
+   * left and the straddler acts last before the flop. Requests last one hand.
+   */
+  postStraddle() {
+    const requests = this.straddleRequests;
+    this.straddleRequests = new Set();
+    this.straddle = null;
+    if (!this.straddleType || this.positions.headsUp) return;
+    
+    const seat = this.straddleType === 'utg' ? this.positions.firstToActPreflop : this.positions.button;
+    const player = this.seats[seat];
+    const amount = this.bigBlind * gameConfig.STRADDLE_MULTIPLIER;
+    if (!player || !requests.has(player.id) || !this.canAct(player) || player.chips < amount) return;
+    
+    this.placeBet(player, amount);
+    this.currentBet = amount;
+    this.straddle = { seat, amount, type: this.straddleType };
+  }
+
+  /**
+   * Open a betting round at the current bet under this table's betting structure
+   * @param {Object} [options] - Round options
+   * @param {Array} [options.acted] - IDs of players whose forced bet counts as acting
+   * @param {boolean} [options.bringIn] - The current bet is a stud bring-in rather than a full bet
+   * @param {number} [options.minRaise] - Smallest raise increment (defaults to the big blind)
+   */
+  startBettingRound({ acted = [], bringIn = false, minRaise } = {}) {
+    const structure = this.bettingStructure;
+    const fixedBetSize = structure.id === 'fixed-limit' ? this.getFixedBetSize() : null;
+    this.bettingRound = new BettingRound({
+      currentBet: this.currentBet,
+      minRaise: fixedBetSize || minRaise || this.bigBlind,
+      structure: structure.id,
+      getMaxRaiseTo: player => (structure.id === 'pot-limit' ? this.getPotLimitMaxBet(player) : Infinity),
+      fixedBetSize,
+      raiseCap: structure.raiseCap || Infinity,
+      fullBet: bringIn ? 0 : this.currentBet,
+      raises: bringIn || this.currentBet === 0 ? 0 : 1,
+      acted
+    });
   }
 
   /**
-   * Get the player after the big blind
-   * @returns {number} The index of the player after the big blind
+   * Get the fixed-limit bet size for the current street
+   * @returns {number} The big bet on big-bet streets, otherwise the small bet
+   */
+  getFixedBetSize() {
+    return this.bettingStructure.bigBetPhases.includes(this.gamePhase) ? this.bigBet : this.smallBet;
+  }
+
+  /**
+   * Describe this table's betting structure
+   * @returns {Object} {id, name}, plus smallBet, bigBet and raiseCap for fixed-limit
+   */
+  getBettingStructure() {
+    const { id, name, raiseCap } = this.bettingStructure;
+    if (id !== 'fixed-limit') return { id, name };
+    return { id, name, smallBet: this.smallBet, bigBet: this.bigBet, raiseCap };
+  }
+
+  /**
+   * Apply a betting action from the player whose turn it is
+   * @param {Player} player - The player acting
+   * @param {string} action - 'fold', 'check', 'call' or 'raise'
+   * @param {number} [amount] - For a raise, the total bet to raise to
+   * @returns {Object} {action, amount, totalBet, allIn, roundComplete}
+   */
+  handleAction(player, action, amount) {
+    if (this.seats[this.currentTurn] !== player) {
+      throw new Error('It is not your turn');
+    }
+    
+    const result = this.bettingRound.act(player, action, amount);
+    if (action === 'fold') {
+      player.fold();
+    } else if (result.amount > 0) {
+      this.placeBet(player, result.amount);
+    }
+    this.currentBet = this.bettingRound.currentBet;
+    
+    return { ...result, roundComplete: this.isBettingRoundComplete() };
+  }
+
+  /**
+   * Check whether the current betting round is over: nobody still has to act
+   * @returns {boolean} True if the round is complete
+   */
+  isBettingRoundComplete() {
+    return this.bettingRound.isComplete(this.players);
+  }
+
+  /**
+   * Get the betting options of the player whose turn it is
+   * @returns {Object|null} {canCheck, callAmount, canRaise, minRaiseTo, maxRaiseTo}
+   */
+  getBettingOptions() {
+    const player = this.seats[this.currentTurn];
+    if (!this.bettingRound || !player) return null;
+    return this.bettingRound.getOptions(player);
+  }
+
+  /**
+   * Check whether a player can still make decisions (in the hand and not all-in)
+   * @param {Player} player - The player to check
+   * @returns {boolean} True if the player can act
+   */
+  canAct(player) {
+    return player.isActive && player.chips > 0;
+  }
+
+  /**
+   * Check whether the betting is over for the rest of the hand once the
+   * current betting round is complete: two or more players are left and at
+   * most one of them is not all-in
+   * @returns {boolean} True if the rest of the hand is dealt without betting
+   */
+  isAllIn() {
+    const live = this.players.filter(player => player.isActive);
+    return live.length >= 2 && live.filter(player => this.canAct(player)).length <= 1;
+  }
+
+  /**
+   * Check whether the players can run the board more than once: everyone
+   * left is all-in in a community card game with board cards still to come
+   * @returns {boolean} True if a run it twice vote can be held
+   */
+  canRunItMultipleTimes() {
+    const { PRE_FLOP, FLOP, TURN } = gameConfig.PHASES;
+    return this.isAllIn() && !this.variant.streets && !this.variant.hasDraw &&
+      [PRE_FLOP, FLOP, TURN].includes(this.gamePhase);
+  }
+
+  /**
+   * Record how many times a player in an all-in hand wants to run the board
+   * @param {string} playerId - Player ID
+   * @param {number} times - Number of boards, from 1 (run it once) to gameConfig.MAX_RUNOUTS
+   * @returns {boolean} True once every player in the hand has voted
+   */
+  voteRunouts(playerId, times) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player || !player.isActive) {
+      throw new Error('You are not in this hand');
+    }
+    if (!this.canRunItMultipleTimes()) {
+      throw new Error('The board can only be run more than once when everyone is all-in with cards to come');
+    }
+    if (!Number.isInteger(times) || times < 1 || times > gameConfig.MAX_RUNOUTS) {
+      throw new Error(`times must be a whole number from 1 to ${gameConfig.MAX_RUNOUTS}`);
+    }
+    
+    this.runoutVotes.set(playerId, times);
+    return this.players
+      .filter(p => p.isActive)
+      .every(p => this.runoutVotes.has(p.id));
+  }
+
+  /**
+   * Get the number of boards every player in the hand agreed to: the lowest
+   * vote, with players who did not vote running it once
+   * @returns {number} Number of boards to deal
+   */
+  getAgreedRunouts() {
+    if (!this.canRunItMultipleTimes()) return 1;
+    return Math.min(...this.players
+      .filter(player => player.isActive)
+      .map(player => this.runoutVotes.get(player.id) || 1));
+  }
+
+  /**
+   * Deal the rest of the board several times from the same deck. Each board
+   * shares the cards already dealt and is played for an equal share of every pot.
+   * @param {number} times - Number of boards
+   * @returns {Array} The boards; the first is also the community cards
+   */
+  dealRunouts(times) {
+    const needed = BOARD_SIZE - this.communityCards.length;
+    if (needed * times > this.deck.cardsRemaining()) {
+      throw new Error(`Not enough cards left to run it ${times} times`);
+    }
+    
+    this.boards = Array.from({ length: times }, () => [...this.communityCards, ...this.deck.dealCards(needed)]);
+    this.communityCards = this.boards[0];
+    this.pastFirstRound = true;
+    this.gamePhase = gameConfig.PHASES.SHOWDOWN;
+    return this.boards;
+  }
+
+  /**
+   * Get the boards the hand is decided on
+   * @returns {Array} Every run of the board, or just the community cards
+   */
+  getBoards() {
+    return this.boards.length > 0 ? this.boards : [this.communityCards];
+  }
+
+  /**
+   * Take a bet from a player into the pot and record their contribution
+   * @param {Player} player - The player betting
+   * @param {number} amount - The amount to bet
+   * @returns {number} The actual amount bet (capped at the player's chips)
+   */
+  placeBet(player, amount) {
+    const actualBet = player.placeBet(amount);
+    this.pot += actualBet;
+    this.contributions.set(player.id, (this.contributions.get(player.id) || 0) + actualBet);
+    return actualBet;
+  }
+
+  /**
+   * Take an ante from a player into the pot. Antes are dead money: they count
+   * toward the player's contribution but not their bet in the betting round.
+   * @param {Player} player - The player posting
+   * @param {number} amount - The ante amount
+   * @returns {number} The actual amount posted (capped at the player's chips)
+   */
+  postAnte(player, amount) {
+    const actualAnte = player.postAnte(amount);
+    this.pot += actualAnte;
+    this.contributions.set(player.id, (this.contributions.get(player.id) || 0) + actualAnte);
+    return actualAnte;
+  }
+
+  /**
+   * Describe the forced bets posted at the start of the round
+   * @returns {Object} {smallBlind, bigBlind, buttonAnte, bigBlindAnte, straddle, bringIn},
+   *   each {seat, amount} or null, and the per-player ante (or null). A dead small blind
+   *   is null. missedBlinds lists missed blinds posted by returning players: {seat, live, dead}.
+   */
+  getForcedBets() {
+    const none = {
+      smallBlind: null,
+      bigBlind: null,
+      buttonAnte: null,
+      ante: null,
+      bigBlindAnte: null,
+      straddle: null,
+      bringIn: null,
+      missedBlinds: []
+    };
+    if (this.variant.blindStructure === 'ante-bring-in') {
+      return {
+        ...none,
+        ante: this.ante,
+        bringIn: { seat: this.bringInPosition, amount: this.bringIn }
+      };
+    }
+    if (this.variant.blindStructure === 'button-ante') {
+      return {
+        ...none,
+        buttonAnte: { seat: this.dealerPosition, amount: this.buttonAnte }
+      };
+    }
+    
+    const seatBet = (seat, amount) => ({ seat, amount });
+    const { smallBlind, bigBlind } = this.positions;
+    return {
+      ...none,
+      smallBlind: smallBlind === null ? null : seatBet(smallBlind, this.smallBlind),
+      bigBlind: seatBet(bigBlind, this.bigBlind),
+      ante: this.ante > 0 && !this.bigBlindAnte ? this.ante : null,
+      bigBlindAnte: this.bigBlindAnte && this.ante > 0 ? seatBet(bigBlind, this.ante) : null,
+      straddle: this.straddle,
+      missedBlinds: this.missedBlindsPosted
+    };
+  }
+
+  /**
+   * Split the chips in the middle into a main pot and side pots
+   * @returns {Array} Array of {amount, eligiblePlayers}, main pot first, with
+   *   eligible players in seat order starting left of the button
+   */
+  getPots() {
+    return potCalculator.buildPots(this.getPlayersAfterSeat(this.dealerPosition), this.contributions);
+  }
+
+  /**
+   * Get the most rake the current hand can pay
+   * @returns {number} The cap for the players dealt in (Infinity when uncapped)
+   */
+  getRakeCap() {
+    const tier = this.rake.caps
+      .filter(({ players }) => players <= this.playersDealtIn)
+      .reduce((best, candidate) => (!best || candidate.players > best.players ? candidate : best), null);
+    if (tier) return tier.cap;
+    return this.rake.cap === null ? Infinity : this.rake.cap;
+  }
+
+  /**
+   * Take the rake out of the pots before they are paid. Hands that end in the
+   * first betting round are not raked (no flop, no drop).
+   * @param {Array} pots - Pots from getPots
+   * @param {number} [now=Date.now()] - Time in milliseconds
+   * @returns {Array} Array of {amount, eligiblePlayers, rake}, with amount net of rake
+   */
+  takeRake(pots, now = Date.now()) {
+    if (!this.rake || !this.pastFirstRound) {
+      return pots.map(pot => ({ ...pot, rake: 0 }));
+    }
+    const raked = potCalculator.rakePots(pots, this.contributions, this.rake.percent, this.getRakeCap());
+    this.handRake = raked.reduce((total, pot) => total + pot.rake, 0);
+    if (this.handRake > 0) {
+      this.pot -= this.handRake;
+      this.rakeTotal += this.handRake;
+      this.rakeHistory.push({ hand: this.handsDealt, amount: this.handRake, time: now });
+    }
+    return raked;
+  }
+
+  /**
+   * Get the largest total bet a player may make under pot-limit rules:
+   * calling, then raising by the size of the pot after the call
+   * @param {Player} player - The player about to raise
+   * @returns {number} Maximum total bet for this betting round
+   */
+  getPotLimitMaxBet(player) {
+    const callAmount = Math.max(0, this.currentBet - player.currentBet);
+    return this.currentBet + this.pot + callAmount;
+  }
+
+  /**
+   * Evaluate a player's hand with this game's variant rules
+   * @param {Player} player - The player whose hand to evaluate
+   * @param {Array} [board] - Community cards to use (defaults to the current board)
+   * @returns {Object} Hand ranking, name, score, best five cards and kickers
+   */
+  evaluateHand(player, board = this.communityCards) {
+    return handEvaluator.evaluateHand(player.cards, board, this.variant);
+  }
+
+  /**
+   * Evaluate a player's low hand in a Hi/Lo split game
+   * @param {Player} player - The player whose hand to evaluate
+   * @param {Array} [board] - Community cards to use (defaults to the current board)
+   * @returns {Object|null} Best qualifying low, or null if none (or not a split game)
+   */
+  evaluateLowHand(player, board = this.communityCards) {
+    if (this.variant.splitPot !== 'hi-lo') return null;
+    return lowEvaluator.evaluateLowHand(player.cards, board, this.variant);
+  }
+
+  /**
+   * Get the first player to act before the flop: the player after the big
+   * blind (the button heads-up, or left of the button without blinds), or
+   * the player after the straddler when someone straddled
+   * @returns {number} The seat of the player after the big blind
    */
   getPlayerAfterBigBlind() {
-    return (this.dealerPosition + 3) % this.players.length;
+    if (this.straddle) {
+      const seats = this.players.filter(player => player.isActive).map(player => player.seat);
+      return blindPositions.nextOccupiedSeat(seats, this.straddle.seat);
+    }
+    return this.positions.firstToActPreflop;
   }
 
   /**
-   * Move the current turn to the next active player
-   * @param {number} startPosition - The position to start from
+   * Move the current turn to the next player who can act, skipping folded
+   * and all-in players. During the draw, all-in players still draw.
+   * @param {number} startPosition - The seat to start from
    */
   moveToNextActivePlayer(startPosition = this.currentTurn) {
     const activePlayers = this.players.filter(player => player.isActive);
@@ -121,13 +1383,12 @@ class Game {
       this.endRound();
       return;
     }
+    const isDrawing = this.gamePhase === gameConfig.PHASES.DRAW;
+    const canMove = player => (isDrawing ? player.isActive && !this.drawnPlayers.has(player.id) : this.canAct(player));
+    const next = this.getPlayersAfterSeat(startPosition).find(canMove);
+    if (!next) return;
     
-    let nextPos = startPosition;
-    do {
-      nextPos = (nextPos + 1) % this.players.length;
-    } while (!this.players[nextPos].isActive);
-    
-    this.currentTurn = nextPos;
+    this.currentTurn = next.seat;
   }
 
   /**
@@ -155,16 +1416,24 @@ class Game {
         break;
     }
     
-    // Reset bets for the new betting round
+    this.resetBets();
+    
+    // Start with player after dealer
+    this.moveToNextActivePlayer(this.dealerPosition);
+  }
+
+  /**
+   * Reset bets for a new betting round
+   */
+  resetBets() {
+    this.pastFirstRound = true;
     this.currentBet = 0;
     this.players.forEach(player => {
       if (player.isActive) {
         player.currentBet = 0;
       }
     });
-    
-    // Start with player after dealer
-    this.moveToNextActivePlayer((this.dealerPosition) % this.players.length);
+    this.startBettingRound();
   }
 
   /**
@@ -173,9 +1442,7 @@ class Game {
   endRound() {
     this.gamePhase = gameConfig.PHASES.SHOWDOWN;
     // Winner determination logic to be handled by HandEvaluator
-    
-    // Rotate dealer position for next round
-    this.dealerPosition = (this.dealerPosition + 1) % this.players.length;
+    // The button moves when the next round starts (see placeButton)
   }
 }
 
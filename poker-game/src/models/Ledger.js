@@ -0,0 +1,94 @@
+// Kinds of chip movement, by what they do to a player's stack:
+// chips bought in, chips won or lost in a hand, chips taken off the table,
+// and chips moved with a player between tournament tables
+const ENTRY_TYPES = {
+  BUY_IN: 'buy-in',
+  TOP_UP: 'top-up',
+  REBUY: 'rebuy',
+  ADD_ON: 'add-on',
+  HAND: 'hand',
+  CASH_OUT: 'cash-out',
+  TRANSFER_IN: 'transfer-in',
+  TRANSFER_OUT: 'transfer-out'
+};
+
+const BOUGHT_TYPES = [ENTRY_TYPES.BUY_IN, ENTRY_TYPES.TOP_UP, ENTRY_TYPES.REBUY, ENTRY_TYPES.ADD_ON];
+const TRANSFER_TYPES = [ENTRY_TYPES.TRANSFER_IN, ENTRY_TYPES.TRANSFER_OUT];
+
+/**
+ * Records every chip movement at a table, in order. Each entry holds the
+ * signed change to one player's stack and the stack it left them with.
+ */
+class Ledger {
+  /**
+   * Create an empty ledger
+   */
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Record a chip movement
+   * @param {string} type - One of ENTRY_TYPES
+   * @param {Player} player - The player whose stack changed (already updated)
+   * @param {number} amount - Chips added to the stack (negative when taken off)
+   * @param {Object} [details] - Entry details
+   * @param {number} [details.hand] - Hands dealt at the table so far
+   * @param {number} [details.time=Date.now()] - Time in milliseconds
+   * @returns {Object} The entry {id, type, playerId, name, amount, chips, hand, time}
+   */
+  record(type, player, amount, { hand = null, time = Date.now() } = {}) {
+    const entry = {
+      id: this.entries.length + 1,
+      type,
+      playerId: player.id,
+      name: player.name,
+      amount,
+      chips: player.chips,
+      hand,
+      time
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get the entries, optionally for one player
+   * @param {string} [playerId] - Player ID
+   * @returns {Array} Entries, oldest first
+   */
+  getEntries(playerId) {
+    return playerId === undefined ? [...this.entries] : this.entries.filter(entry => entry.playerId === playerId);
+  }
+
+  /**
+   * Total each player's chip movements
+   * @returns {Array} {playerId, name, bought, won, transferred, cashedOut, chips} per player in
+   *   order of their first entry: chips bought, net result of their hands, net chips moved
+   *   between tables, chips taken off the table, and the stack that leaves them with
+   */
+  getSummary() {
+    const totals = new Map();
+    this.entries.forEach(({ type, playerId, name, amount }) => {
+      if (!totals.has(playerId)) {
+        totals.set(playerId, { playerId, name, bought: 0, won: 0, transferred: 0, cashedOut: 0, chips: 0 });
+      }
+      const total = totals.get(playerId);
+      if (BOUGHT_TYPES.includes(type)) {
+        total.bought += amount;
+      } else if (TRANSFER_TYPES.includes(type)) {
+        total.transferred += amount;
+      } else if (type === ENTRY_TYPES.CASH_OUT) {
+        total.cashedOut -= amount;
+      } else {
+        total.won += amount;
+      }
+      total.chips += amount;
+    });
+    return [...totals.values()];
+  }
+}
+
+Ledger.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = Ledger;
@@ -0,0 +1,331 @@
+const Game = require('./Game');
+const Tournament = require('./Tournament');
+const gameConfig = require('../config/gameConfig');
+const blindPositions = require('../utils/blindPositions');
+
+const { STATUS } = Tournament;
+
+/**
+ * Represents a tournament played over several tables (Games). Players are
+ * seated at random when it starts. Tables play at their own pace; when a
+ * table finishes a hand it is broken up if the players left fit on one table
+ * fewer, or gives players to the shortest tables if it has two or more
+ * players more than them. On the bubble, every table plays hand-for-hand.
+ */
+class MultiTableTournament extends Tournament {
+  /**
+   * Create a new multi-table tournament
+   * @param {string} id - The unique identifier for the tournament; tables are `${id}-table-N`
+   * @param {Object} [options] - Tournament settings, as for Tournament
+   * @param {number} [options.tableSize] - Seats per table (defaults to gameConfig.MAX_PLAYERS)
+   * @param {Object} [gameOptions] - Table options for every Game
+   */
+  constructor(id, options = {}, gameOptions = {}) {
+    super(id, options, gameOptions);
+
+    const tableSize = options.tableSize || gameConfig.MAX_PLAYERS;
+    const sample = new Game(id, this.gameOptions); // Also checks the table options
+    if (!Number.isInteger(tableSize) || tableSize < gameConfig.MIN_PLAYERS || tableSize > sample.maxPlayers) {
+      throw new Error(`tableSize must be a whole number from ${gameConfig.MIN_PLAYERS} to ${sample.maxPlayers}`);
+    }
+
+    this.variant = sample.variant;
+    this.bettingStructure = sample.getBettingStructure();
+    this.tableSize = tableSize;
+    this.entrants = new Map(); // Player ID -> name, in registration order
+    this.tablesOpened = 0;
+    this.idleTables = new Set(); // IDs of tables between hands that are not about to deal
+    this.handForHand = false;
+    this.finalTable = false;
+  }
+
+  /**
+   * Tables open when the tournament starts
+   */
+  setUpTables() {
+    this.tables = [];
+  }
+
+  /**
+   * Register a player; they are seated when the tournament starts
+   * @param {string} playerId - Player ID
+   * @param {string} name - Player name
+   * @returns {Object} The entrant {id, name}
+   */
+  register(playerId, name) {
+    if (this.status !== STATUS.REGISTERING) {
+      throw new Error('The tournament has already started');
+    }
+    if (this.isFull()) {
+      throw new Error('The tournament is full');
+    }
+    if (this.entrants.has(playerId)) {
+      throw new Error('Player is already registered');
+    }
+    this.entrants.set(playerId, name);
+    return { id: playerId, name };
+  }
+
+  /**
+   * Remove a player who is not playing: an entrant before the start, or the winner after the end
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the player was removed
+   */
+  removePlayer(playerId) {
+    if (this.status === STATUS.RUNNING) {
+      throw new Error('Players cannot leave a running tournament');
+    }
+    if (this.status === STATUS.REGISTERING) {
+      return this.entrants.delete(playerId);
+    }
+    const table = this.getTableOf(playerId);
+    return table ? table.removePlayer(playerId) : false;
+  }
+
+  /**
+   * Get how many players have registered
+   * @returns {number} Registered players
+   */
+  getRegisteredCount() {
+    return this.entrants.size;
+  }
+
+  /**
+   * Get the players still seated
+   * @returns {Array} Players at every table
+   */
+  getPlayers() {
+    return this.tables.flatMap(table => table.players);
+  }
+
+  /**
+   * Start the clock and seat the players at random, spread evenly over as few tables as possible
+   * @param {number} [now=Date.now()] - Start time in milliseconds
+   * @param {Function} [random=Math.random] - Random number source for the seat draw
+   */
+  start(now = Date.now(), random = Math.random) {
+    super.start(now);
+
+    const ids = [...this.entrants.keys()];
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+
+    const tableCount = Math.ceil(ids.length / this.tableSize);
+    for (let i = 0; i < tableCount; i++) {
+      this.openTable();
+    }
+    ids.forEach((playerId, index) => {
+      this.tables[index % tableCount].addPlayer(playerId, this.entrants.get(playerId));
+    });
+    this.finalTable = tableCount === 1;
+  }
+
+  /**
+   * Open a new, empty table
+   * @returns {Game} The table
+   */
+  openTable() {
+    this.tablesOpened++;
+    const table = new Game(`${this.id}-table-${this.tablesOpened}`, this.gameOptions);
+    this.tables.push(table);
+    this.idleTables.add(table.id);
+    return table;
+  }
+
+  /**
+   * Find a table by ID
+   * @param {string} tableId - Table (game) ID
+   * @returns {Game|undefined} The table
+   */
+  getTable(tableId) {
+    return this.tables.find(table => table.id === tableId);
+  }
+
+  /**
+   * Find the table a player sits at
+   * @param {string} playerId - Player ID
+   * @returns {Game|undefined} The table
+   */
+  getTableOf(playerId) {
+    return this.tables.find(table => table.players.some(player => player.id === playerId));
+  }
+
+  /**
+   * Deal the next hand at a table. A table with one player who has chips
+   * waits for players to be moved to it (or for busted players to rebuy).
+   * @param {Game} table - The table to deal
+   * @returns {boolean} True if the hand was dealt
+   */
+  startHand(table) {
+    if (!this.getTable(table.id) || !this.canDeal(table)) {
+      this.idleTables.add(table.id);
+      return false;
+    }
+    this.idleTables.delete(table.id);
+    return super.startHand(table);
+  }
+
+  /**
+   * Wrap up a hand at one table: place busted players, break or balance
+   * tables, and say which tables should deal next. During hand-for-hand
+   * play nothing happens until every table has finished the hand, and
+   * everyone who busted in it is placed together.
+   * @param {Game} table - The table that finished a hand
+   * @returns {Object} {finishes, moves, brokenTables, tablesToDeal, handForHand, finalTable}:
+   *   moves are {id, name, chips, fromTable, toTable, seat}; handForHand is true or false
+   *   when hand-for-hand play starts or stops (null otherwise); finalTable is the final
+   *   table's ID when it has just formed
+   */
+  finishHand(table) {
+    const result = {
+      finishes: [],
+      moves: [],
+      brokenTables: [],
+      tablesToDeal: [],
+      handForHand: null,
+      finalTable: null
+    };
+    this.idleTables.add(table.id);
+    if (this.status !== STATUS.RUNNING) return result;
+    if (this.handForHand && !this.tables.every(t => this.idleTables.has(t.id))) {
+      return result;
+    }
+
+    const finishedTables = this.handForHand ? this.tables : [table];
+    const busted = this.getBustedPlayers(finishedTables.flatMap(t => t.players));
+    result.finishes = this.placeBustedPlayers(busted);
+    result.finishes.forEach(finish => this.getTableOf(finish.id).removePlayer(finish.id));
+
+    const players = this.getPlayers();
+    if (players.length === 1) {
+      this.finish(players[0]);
+      return result;
+    }
+
+    this.breakTables(result);
+    this.balanceTables(result);
+    if (this.tables.length === 1 && !this.finalTable) {
+      this.finalTable = true;
+      result.finalTable = this.tables[0].id;
+    }
+
+    // Play hand-for-hand on the bubble while there is more than one table
+    const handForHand = this.tables.length > 1 && players.length === this.payouts.length + 1;
+    if (handForHand !== this.handForHand) {
+      this.handForHand = handForHand;
+      result.handForHand = handForHand;
+    }
+
+    if (!this.handForHand || this.tables.every(t => this.idleTables.has(t.id))) {
+      result.tablesToDeal = this.tables.filter(t => this.idleTables.has(t.id) && this.canDeal(t));
+      result.tablesToDeal.forEach(t => this.idleTables.delete(t.id));
+    }
+    return result;
+  }
+
+  /**
+   * Break idle tables, shortest first, while the players left fit on one table fewer
+   * @param {Object} result - finishHand result to record moves and broken tables in
+   */
+  breakTables(result) {
+    while (this.tables.length > 1 && this.getPlayers().length <= (this.tables.length - 1) * this.tableSize) {
+      const [table] = this.tables
+        .filter(t => this.idleTables.has(t.id))
+        .sort((a, b) => a.players.length - b.players.length);
+      if (!table) return;
+
+      this.tables = this.tables.filter(t => t !== table);
+      this.idleTables.delete(table.id);
+      [...table.players].forEach(player => this.movePlayer(player, table, this.getShortestTable(), result));
+      result.brokenTables.push(table.id);
+    }
+  }
+
+  /**
+   * Move players from idle tables with two or more players more than the
+   * shortest table. Tables in the middle of a hand balance after it.
+   * @param {Object} result - finishHand result to record moves in
+   */
+  balanceTables(result) {
+    this.tables
+      .filter(table => this.idleTables.has(table.id))
+      .forEach(table => {
+        let shortest = this.getShortestTable();
+        while (table.players.length - shortest.players.length > 1) {
+          this.movePlayer(this.getNextBigBlindPlayer(table), table, shortest, result);
+          shortest = this.getShortestTable();
+        }
+      });
+  }
+
+  /**
+   * Check whether a table has enough players with chips to deal a hand
+   * @param {Game} table - The table
+   * @returns {boolean} True if a hand can be dealt
+   */
+  canDeal(table) {
+    return table.players.filter(player => player.chips > 0).length >= gameConfig.MIN_PLAYERS;
+  }
+
+  /**
+   * Get the table with the fewest players
+   * @returns {Game} The shortest table
+   */
+  getShortestTable() {
+    return this.tables.reduce((shortest, table) => (table.players.length < shortest.players.length ? table : shortest));
+  }
+
+  /**
+   * Get the player due to post the big blind next at a table, who is the one moved when balancing
+   * @param {Game} table - The table
+   * @returns {Player} The player
+   */
+  getNextBigBlindPlayer(table) {
+    if (!table.positions || table.positions.bigBlind === null) return table.players[0];
+    const seats = table.players.map(player => player.seat);
+    return table.seats[blindPositions.nextOccupiedSeat(seats, table.positions.bigBlind)];
+  }
+
+  /**
+   * Move a player, with their chips, time bank and sit-out state, to another table
+   * @param {Player} player - The player to move
+   * @param {Game} from - Their table
+   * @param {Game} to - The new table
+   * @param {Object} result - finishHand result to record the move in
+   */
+  movePlayer(player, from, to, result) {
+    from.removePlayer(player.id, { transfer: true });
+    const moved = to.addPlayer(player.id, player.name, { chips: player.chips, transfer: true });
+    moved.timeBank = player.timeBank;
+    moved.sittingOut = player.sittingOut;
+    result.moves.push({
+      id: player.id,
+      name: player.name,
+      chips: player.chips,
+      fromTable: from.id,
+      toTable: to.id,
+      seat: moved.seat
+    });
+  }
+
+  /**
+   * Get a summary of the tournament for clients
+   * @returns {Object} The Tournament summary plus the tables and hand-for-hand state
+   */
+  getSummary() {
+    return {
+      ...super.getSummary(),
+      tableSize: this.tableSize,
+      handForHand: this.handForHand,
+      finalTable: this.finalTable,
+      tables: this.tables.map(table => ({
+        id: table.id,
+        players: table.players.map(player => ({ id: player.id, name: player.name, seat: player.seat, chips: player.chips }))
+      }))
+    };
+  }
+}
+
+module.exports = MultiTableTournament;
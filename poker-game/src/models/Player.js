@@ -14,17 +14,41 @@ class Player {
     this.id = id;
     this.name = name;
     this.chips = chips;
+    this.seat = null; // Assigned by the game when the player sits down
     this.cards = [];
+    this.upCards = []; // Cards dealt face up in stud games (also in cards)
     this.isActive = true;
     this.currentBet = 0;
+    this.sittingOut = false; // Not dealt in (blinded off in tournaments)
+    this.sittingOutSince = null; // When the player sat out, in milliseconds
+    this.missedBlinds = null; // Blinds missed while away: 'small', or 'big' (which includes the small)
+    this.waitingForBigBlind = false; // Back, but not dealt in until the big blind reaches them
+    this.postingMissedBlinds = false; // Back, and posting their missed blinds next hand
+    this.timeBank = gameConfig.TIME_BANK; // Extra time in milliseconds once the turn clock runs out
+    this.timeouts = 0; // Turns in a row the clock ran out on
   }
 
   /**
    * Add cards to the player's hand
    * @param {Array} cards - Cards to add to the player's hand
+   * @param {boolean} [faceUp=false] - Whether the cards are dealt face up for everyone to see
    */
-  receiveCards(cards) {
+  receiveCards(cards, faceUp = false) {
     this.cards.push(...cards);
+    if (faceUp) {
+      this.upCards.push(...cards);
+    }
+  }
+
+  /**
+   * Remove cards from the player's hand by position
+   * @param {Array} indexes - Positions in the hand of the cards to remove
+   * @returns {Array} The removed cards
+   */
+  discard(indexes) {
+    const discarded = this.cards.filter((card, index) => indexes.includes(index));
+    this.cards = this.cards.filter((card, index) => !indexes.includes(index));
+    return discarded;
   }
 
   /**
@@ -32,6 +56,7 @@ class Player {
    */
   resetHand() {
     this.cards = [];
+    this.upCards = [];
     this.isActive = true;
     this.currentBet = 0;
   }
@@ -48,6 +73,18 @@ class Player {
     return actualBet;
   }
 
+  /**
+   * Have the player post an ante, which goes in the pot without counting
+   * toward their bet in the current betting round
+   * @param {number} amount - The ante amount
+   * @returns {number} The actual amount posted
+   */
+  postAnte(amount) {
+    const actualAnte = Math.min(amount, this.chips);
+    this.chips -= actualAnte;
+    return actualAnte;
+  }
+
   /**
    * Make the player fold their hand
    */
@@ -55,6 +92,31 @@ class Player {
     this.isActive = false;
   }
 
+  /**
+   * Settle the player's missed blinds: they posted them or reached the big blind
+   */
+  clearMissedBlinds() {
+    this.missedBlinds = null;
+    this.waitingForBigBlind = false;
+    this.postingMissedBlinds = false;
+  }
+
+  /**
+   * Take time used past the turn clock out of the player's time bank
+   * @param {number} ms - Milliseconds used
+   */
+  useTimeBank(ms) {
+    this.timeBank = Math.max(0, this.timeBank - ms);
+  }
+
+  /**
+   * Add time to the player's time bank, up to a full bank
+   * @param {number} ms - Milliseconds to add
+   */
+  refillTimeBank(ms) {
+    this.timeBank = Math.min(gameConfig.TIME_BANK, this.timeBank + ms);
+  }
+
   /**
    * Award chips to the player (e.g., when winning a pot)
    * @param {number} amount - The amount of chips to add
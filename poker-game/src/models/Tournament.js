@@ -0,0 +1,525 @@
+const Game = require('./Game');
+const Ledger = require('./Ledger');
+const gameConfig = require('../config/gameConfig');
+const variants = require('../config/variants');
+const tournamentConfig = require('../config/tournamentConfig');
+
+const STATUS = {
+  REGISTERING: 'registering',
+  RUNNING: 'running',
+  FINISHED: 'finished'
+};
+
+/**
+ * Represents a single-table tournament (Sit & Go) played on one Game. It starts
+ * once enough players have registered, raises the blinds and antes level by
+ * level, places players as they bust and pays the top places from the prize pool.
+ * During the rebuy period busted players keep their seat and may buy back in.
+ */
+class Tournament {
+  /**
+   * Create a new tournament
+   * @param {string} id - The unique identifier for the tournament (and its game)
+   * @param {Object} [options] - Tournament settings (defaults from config/tournamentConfig)
+   * @param {number} [options.players] - Players needed to start
+   * @param {number} [options.startingChips] - Chips each player starts with
+   * @param {number} [options.buyIn] - Buy-in per player; the prize pool is the sum of the buy-ins
+   * @param {Array} [options.payouts] - Percent of the prize pool for each place, first place first
+   * @param {Array} [options.levels] - Blind levels, each {smallBlind, bigBlind, ante}
+   * @param {number} [options.levelDuration] - Milliseconds spent at each level
+   * @param {number} [options.rebuyLevels] - Levels during which busted players may rebuy
+   * @param {number|null} [options.maxRebuys] - Rebuys allowed per player (null for no limit)
+   * @param {number} [options.rebuyChips] - Chips per rebuy (defaults to the starting chips)
+   * @param {number} [options.rebuyCost] - Price of a rebuy, added to the prize pool (defaults to the buy-in)
+   * @param {number} [options.addOnChips] - Chips for the one-time add-on (0 for none)
+   * @param {number} [options.addOnCost] - Price of the add-on, added to the prize pool (defaults to the buy-in)
+   * @param {Object} [gameOptions] - Table options for the Game (variant, bettingStructure, ...)
+   */
+  constructor(id, options = {}, gameOptions = {}) {
+    const playersNeeded = options.players || tournamentConfig.PLAYERS;
+    const startingChips = options.startingChips || tournamentConfig.STARTING_CHIPS;
+    const buyIn = options.buyIn !== undefined ? options.buyIn : tournamentConfig.BUY_IN;
+    const payouts = options.payouts || tournamentConfig.PAYOUTS;
+    const levels = options.levels || tournamentConfig.LEVELS;
+    const levelDuration = options.levelDuration || tournamentConfig.LEVEL_DURATION;
+    const rebuyLevels = options.rebuyLevels !== undefined ? options.rebuyLevels : tournamentConfig.REBUY_LEVELS;
+    const maxRebuys = options.maxRebuys !== undefined ? options.maxRebuys : tournamentConfig.MAX_REBUYS;
+    const rebuyChips = options.rebuyChips || startingChips;
+    const rebuyCost = options.rebuyCost !== undefined ? options.rebuyCost : buyIn;
+    const addOnChips = options.addOnChips !== undefined ? options.addOnChips : tournamentConfig.ADD_ON_CHIPS;
+    const addOnCost = options.addOnCost !== undefined ? options.addOnCost : buyIn;
+
+    const variantId = gameOptions.variant || gameConfig.DEFAULT_VARIANT;
+    if (variants[variantId] && variants[variantId].blindStructure !== 'blinds') {
+      throw new Error('Tournaments need a game with blinds');
+    }
+    if (!Number.isInteger(playersNeeded) || playersNeeded < gameConfig.MIN_PLAYERS) {
+      throw new Error(`players must be a whole number of at least ${gameConfig.MIN_PLAYERS}`);
+    }
+    if (!Number.isInteger(buyIn) || buyIn < 0) {
+      throw new Error('buyIn must be a non-negative whole number');
+    }
+    if (!Number.isInteger(levelDuration) || levelDuration <= 0) {
+      throw new Error('levelDuration must be a positive whole number of milliseconds');
+    }
+    [['rebuyLevels', rebuyLevels], ['rebuyCost', rebuyCost], ['addOnChips', addOnChips], ['addOnCost', addOnCost]]
+      .forEach(([name, value]) => {
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error(`${name} must be a non-negative whole number`);
+        }
+      });
+    if (!Number.isInteger(rebuyChips) || rebuyChips <= 0) {
+      throw new Error('rebuyChips must be a positive whole number');
+    }
+    if (maxRebuys !== null && !(Number.isInteger(maxRebuys) && maxRebuys > 0)) {
+      throw new Error('maxRebuys must be a positive whole number, or null for no limit');
+    }
+    if (!Array.isArray(payouts) || payouts.length === 0 ||
+        payouts.some(percentage => typeof percentage !== 'number' || percentage <= 0) ||
+        payouts.reduce((sum, percentage) => sum + percentage, 0) !== 100) {
+      throw new Error('Payouts must be positive percentages that add up to 100');
+    }
+    if (payouts.length > playersNeeded) {
+      throw new Error('More places are paid than there are players');
+    }
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new Error('At least one blind level is needed');
+    }
+    levels.forEach((level, index) => {
+      const { smallBlind, bigBlind, ante = 0 } = level;
+      if (!Number.isInteger(smallBlind) || !Number.isInteger(bigBlind) || !Number.isInteger(ante) ||
+          smallBlind <= 0 || bigBlind < smallBlind || ante < 0) {
+        throw new Error(`Invalid blind level ${index + 1}`);
+      }
+    });
+
+    this.id = id;
+    this.status = STATUS.REGISTERING;
+    this.playersNeeded = playersNeeded;
+    this.buyIn = buyIn;
+    this.payouts = payouts;
+    this.levels = levels;
+    this.levelDuration = levelDuration;
+    this.rebuyLevels = rebuyLevels;
+    this.maxRebuys = maxRebuys;
+    this.rebuyChips = rebuyChips;
+    this.rebuyCost = rebuyCost;
+    this.addOnChips = addOnChips;
+    this.addOnCost = addOnCost;
+    this.rebuys = new Map(); // Player ID -> rebuys taken
+    this.addOns = new Set(); // IDs of players who took the add-on
+    this.levelIndex = 0;
+    this.levelStartedAt = null;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.finishes = []; // {id, name, place, prize} for every player who has finished
+    this.handStartChips = new Map(); // Player ID -> chips when the current hand was dealt
+    // Table options; every table starts at the first level
+    this.gameOptions = {
+      ...gameOptions,
+      smallBlind: levels[0].smallBlind,
+      bigBlind: levels[0].bigBlind,
+      ante: levels[0].ante || 0,
+      startingChips,
+      tournament: true
+    };
+    this.setUpTables();
+  }
+
+  /**
+   * Open the tournament's table. Tournaments with several tables override this.
+   */
+  setUpTables() {
+    this.game = new Game(this.id, this.gameOptions);
+    if (this.playersNeeded > this.game.maxPlayers) {
+      throw new Error(`A ${this.game.variant.name} table seats at most ${this.game.maxPlayers} players`);
+    }
+  }
+
+  /**
+   * Register a player; the tournament can start once the table is full
+   * @param {string} playerId - Player ID
+   * @param {string} name - Player name
+   * @returns {Player} The seated player
+   */
+  register(playerId, name) {
+    if (this.status !== STATUS.REGISTERING) {
+      throw new Error('The tournament has already started');
+    }
+    if (this.isFull()) {
+      throw new Error('The tournament is full');
+    }
+    return this.game.addPlayer(playerId, name);
+  }
+
+  /**
+   * Remove a player who is not playing: before the start, or the winner after the end
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the player was removed
+   */
+  removePlayer(playerId) {
+    if (this.status === STATUS.RUNNING) {
+      throw new Error('Players cannot leave a running tournament');
+    }
+    return this.game.removePlayer(playerId);
+  }
+
+  /**
+   * Get how many players have registered
+   * @returns {number} Registered players
+   */
+  getRegisteredCount() {
+    return this.status === STATUS.REGISTERING ? this.game.players.length : this.playersNeeded;
+  }
+
+  /**
+   * Get the players still seated
+   * @returns {Array} Players at the tournament's tables
+   */
+  getPlayers() {
+    return this.game.players;
+  }
+
+  /**
+   * Find the table a player sits at
+   * @param {string} playerId - Player ID
+   * @returns {Game|undefined} The table
+   */
+  getTableOf(playerId) {
+    return this.game.players.some(player => player.id === playerId) ? this.game : undefined;
+  }
+
+  /**
+   * Check whether enough players have registered to start
+   * @returns {boolean} True if the table is full
+   */
+  isFull() {
+    return this.getRegisteredCount() >= this.playersNeeded;
+  }
+
+  /**
+   * Start the tournament clock at the first level
+   * @param {number} [now=Date.now()] - Start time in milliseconds
+   */
+  start(now = Date.now()) {
+    if (this.status !== STATUS.REGISTERING) {
+      throw new Error('The tournament has already started');
+    }
+    if (!this.isFull()) {
+      throw new Error(`Waiting for ${this.playersNeeded - this.getRegisteredCount()} more players`);
+    }
+    this.status = STATUS.RUNNING;
+    this.startedAt = now;
+    this.levelStartedAt = now;
+  }
+
+  /**
+   * Get the current blind level
+   * @returns {Object} {level (counting from 1), smallBlind, bigBlind, ante}
+   */
+  getLevel() {
+    const { smallBlind, bigBlind, ante = 0 } = this.levels[this.levelIndex];
+    return { level: this.levelIndex + 1, smallBlind, bigBlind, ante };
+  }
+
+  /**
+   * Get when the blinds next go up
+   * @returns {number|null} Time in milliseconds, or null at the last level or when not running
+   */
+  getNextLevelAt() {
+    if (this.status !== STATUS.RUNNING || this.levelIndex >= this.levels.length - 1) {
+      return null;
+    }
+    return this.levelStartedAt + this.levelDuration;
+  }
+
+  /**
+   * Move to the next blind level. The new blinds apply from the next hand.
+   * @param {number} [now=Date.now()] - Time the level starts in milliseconds
+   * @returns {boolean} True if the level changed, false at the last level
+   */
+  advanceLevel(now = Date.now()) {
+    if (this.getNextLevelAt() === null) return false;
+    this.levelIndex++;
+    this.levelStartedAt = now;
+    return true;
+  }
+
+  /**
+   * Deal the next hand at the current level's blinds and ante
+   * @param {Game} [table] - The table to deal (the tournament's only table by default)
+   * @returns {boolean} True if the hand was dealt
+   */
+  startHand(table = this.game) {
+    if (this.status !== STATUS.RUNNING) {
+      throw new Error('The tournament is not running');
+    }
+    const { smallBlind, bigBlind, ante } = this.getLevel();
+    table.setStakes({ smallBlind, bigBlind, ante });
+    table.players.forEach(player => this.handStartChips.set(player.id, player.chips));
+    table.startRound();
+    return true;
+  }
+
+  /**
+   * Check whether busted players can rebuy
+   * @returns {boolean} True while the tournament is running and in its rebuy levels
+   */
+  isRebuyOpen() {
+    return this.status === STATUS.RUNNING && this.levelIndex < this.rebuyLevels;
+  }
+
+  /**
+   * Check whether the add-on is on offer: until the rebuys close, or during
+   * the first level when there are no rebuys
+   * @returns {boolean} True if players can take the add-on
+   */
+  isAddOnOpen() {
+    return this.addOnChips > 0 && this.status === STATUS.RUNNING &&
+      this.levelIndex < Math.max(this.rebuyLevels, 1);
+  }
+
+  /**
+   * Check whether a player has rebuys left while they are open
+   * @param {Player} player - The player
+   * @returns {boolean} True if the player could rebuy
+   */
+  hasRebuysLeft(player) {
+    return this.isRebuyOpen() && (this.maxRebuys === null || (this.rebuys.get(player.id) || 0) < this.maxRebuys);
+  }
+
+  /**
+   * Find a seated player and their table for a rebuy or add-on
+   * @param {string} playerId - Player ID
+   * @returns {Object} {player, table}
+   */
+  findSeatedPlayer(playerId) {
+    const table = this.getTableOf(playerId);
+    if (!table) {
+      throw new Error('Player not found');
+    }
+    return { player: table.players.find(p => p.id === playerId), table };
+  }
+
+  /**
+   * Buy a busted player back in for the rebuy chips
+   * @param {string} playerId - Player ID
+   * @returns {Object} The table's ledger entry
+   */
+  rebuy(playerId) {
+    if (!this.isRebuyOpen()) {
+      throw new Error('Rebuys are closed');
+    }
+    const { player, table } = this.findSeatedPlayer(playerId);
+    if (player.chips > 0) {
+      throw new Error('You can only rebuy once you have busted');
+    }
+    if (!this.hasRebuysLeft(player)) {
+      throw new Error(`You have used all ${this.maxRebuys} rebuys`);
+    }
+    const entry = table.addChips(player, this.rebuyChips, Ledger.ENTRY_TYPES.REBUY);
+    this.rebuys.set(playerId, (this.rebuys.get(playerId) || 0) + 1);
+    return entry;
+  }
+
+  /**
+   * Give a player the add-on chips, once
+   * @param {string} playerId - Player ID
+   * @returns {Object} The table's ledger entry
+   */
+  addOn(playerId) {
+    if (!this.isAddOnOpen()) {
+      throw new Error(this.addOnChips > 0 ? 'The add-on is closed' : 'This tournament has no add-on');
+    }
+    const { player, table } = this.findSeatedPlayer(playerId);
+    if (this.addOns.has(playerId)) {
+      throw new Error('You have already taken the add-on');
+    }
+    const entry = table.addChips(player, this.addOnChips, Ledger.ENTRY_TYPES.ADD_ON);
+    this.addOns.add(playerId);
+    return entry;
+  }
+
+  /**
+   * Get the players who are out of the tournament after a hand: those with no
+   * chips, except while they can still rebuy. When fewer than two players
+   * have chips left there is nobody to play against, so every busted player is out.
+   * @param {Array} players - Players at the tables that finished the hand
+   * @returns {Array} The players who are out
+   */
+  getBustedPlayers(players) {
+    const busted = players.filter(player => player.chips === 0);
+    const withChips = this.getPlayers().filter(player => player.chips > 0);
+    if (withChips.length < gameConfig.MIN_PLAYERS) return busted;
+    return busted.filter(player => !this.hasRebuysLeft(player));
+  }
+
+  /**
+   * Remove players who busted in the last hand and give them their places.
+   * When one player is left they win and the tournament finishes.
+   * @returns {Array} The new finishes {id, name, place, prize}, best place first
+   */
+  eliminateBustedPlayers() {
+    const busted = this.getBustedPlayers(this.game.players);
+    const finishes = this.placeBustedPlayers(busted);
+    finishes.forEach(finish => this.game.removePlayer(finish.id));
+    if (this.game.players.length === 1) {
+      this.finish(this.game.players[0]);
+    }
+    return finishes;
+  }
+
+  /**
+   * Give players who busted at the same time their places. Whoever started
+   * the hand with more chips finishes higher; players who started level share
+   * the prizes for the places they cover.
+   * @param {Array} busted - Players who busted, still seated
+   * @returns {Array} The new finishes {id, name, place, prize}, best place first
+   */
+  placeBustedPlayers(busted) {
+    busted = [...busted].sort((a, b) => (this.handStartChips.get(b.id) || 0) - (this.handStartChips.get(a.id) || 0));
+    const remaining = this.getPlayers().length - busted.length;
+    const finishes = [];
+
+    let index = 0;
+    while (index < busted.length) {
+      const startChips = this.handStartChips.get(busted[index].id) || 0;
+      const tied = busted.filter(player => (this.handStartChips.get(player.id) || 0) === startChips);
+      const place = remaining + index + 1;
+      const prizes = this.splitPrizes(place, tied.length);
+      tied.forEach((player, offset) => {
+        finishes.push({ id: player.id, name: player.name, place, prize: prizes[offset] });
+      });
+      index += tied.length;
+    }
+
+    this.finishes.push(...finishes);
+    return finishes;
+  }
+
+  /**
+   * Finish the tournament with its winner
+   * @param {Player} winner - The last player left
+   */
+  finish(winner) {
+    if (this.status !== STATUS.RUNNING) return;
+    this.finishes.push({ id: winner.id, name: winner.name, place: 1, prize: this.getPrize(1) });
+    this.status = STATUS.FINISHED;
+    this.finishedAt = Date.now();
+  }
+
+  /**
+   * Share the prizes for a run of places between players who tied for them
+   * @param {number} place - Best place in the run
+   * @param {number} count - Number of tied players
+   * @returns {Array} Each player's prize; odd chips go to the first players
+   */
+  splitPrizes(place, count) {
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      total += this.getPrize(place + i);
+    }
+    const share = Math.floor(total / count);
+    return Array.from({ length: count }, (_, i) => share + (i < total - share * count ? 1 : 0));
+  }
+
+  /**
+   * Get the prize pool: every player's buy-in, rebuys and add-on
+   * @returns {number} The prize pool
+   */
+  getPrizePool() {
+    return this.buyIn * this.playersNeeded + this.rebuyCost * this.getRebuyCount() + this.addOnCost * this.addOns.size;
+  }
+
+  /**
+   * Get how many rebuys have been taken
+   * @returns {number} Rebuys by every player
+   */
+  getRebuyCount() {
+    return [...this.rebuys.values()].reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Get the payout table
+   * @returns {Array} {place, percentage, amount} for each paid place; rounding
+   *   leftovers go to first place
+   */
+  getPayouts() {
+    const prizePool = this.getPrizePool();
+    const payouts = this.payouts.map((percentage, index) => ({
+      place: index + 1,
+      percentage,
+      amount: Math.floor(prizePool * percentage / 100)
+    }));
+    payouts[0].amount += prizePool - payouts.reduce((sum, payout) => sum + payout.amount, 0);
+    return payouts;
+  }
+
+  /**
+   * Get the prize for a finishing place
+   * @param {number} place - Finishing place, counting from 1
+   * @returns {number} The prize (0 outside the paid places)
+   */
+  getPrize(place) {
+    const payout = this.getPayouts()[place - 1];
+    return payout ? payout.amount : 0;
+  }
+
+  /**
+   * Get the standings: players still in by chip count, then finished players by place
+   * @returns {Array} {id, name, chips, place, prize}; place and prize are null while playing
+   */
+  getStandings() {
+    const finished = new Set(this.finishes.map(finish => finish.id));
+    const playing = this.getPlayers()
+      .filter(player => !finished.has(player.id))
+      .sort((a, b) => b.chips - a.chips)
+      .map(player => ({ id: player.id, name: player.name, chips: player.chips, place: null, prize: null }));
+    // Only the winner still has chips once finished
+    const placed = [...this.finishes]
+      .sort((a, b) => a.place - b.place)
+      .map(({ id, name, place, prize }) => {
+        const player = this.getPlayers().find(p => p.id === id);
+        return { id, name, chips: player ? player.chips : 0, place, prize };
+      });
+    return [...playing, ...placed];
+  }
+
+  /**
+   * Get a summary of the tournament for clients
+   * @returns {Object} Status, registration, prize pool, level, payouts and standings
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      status: this.status,
+      playersNeeded: this.playersNeeded,
+      playersRegistered: this.getRegisteredCount(),
+      buyIn: this.buyIn,
+      prizePool: this.getPrizePool(),
+      level: this.getLevel(),
+      levelDuration: this.levelDuration,
+      nextLevelAt: this.getNextLevelAt(),
+      rebuys: {
+        levels: this.rebuyLevels,
+        max: this.maxRebuys,
+        chips: this.rebuyChips,
+        cost: this.rebuyCost,
+        open: this.isRebuyOpen(),
+        taken: this.getRebuyCount()
+      },
+      addOn: {
+        chips: this.addOnChips,
+        cost: this.addOnCost,
+        open: this.isAddOnOpen(),
+        taken: this.addOns.size
+      },
+      payouts: this.getPayouts(),
+      standings: this.getStandings()
+    };
+  }
+}
+
+Tournament.STATUS = STATUS;
+
+module.exports = Tournament;
@@ -1,9 +1,63 @@
 const express = require('express');
-const { games } = require('../sockets/gameSocket');
+const { games, findTournament } = require('../sockets/gameSocket');
 const gameConfig = require('../config/gameConfig');
+const variants = require('../config/variants');
+const bettingStructures = require('../config/bettingStructures');
+const equityCalculator = require('../utils/equityCalculator');
+const icmCalculator = require('../utils/icmCalculator');
+const fairShuffle = require('../utils/fairShuffle');
+const cardUtils = require('../utils/cardUtils');
 
 const router = express.Router();
 
+/**
+ * Check that an equity request stays within the work one request may do
+ * @param {number} players Number of hands or ranges
+ * @param {number} [iterations] Monte Carlo samples asked for
+ * @returns {string|null} The error, or null when the request is small enough
+ */
+const checkEquityWork = (players, iterations = equityCalculator.DEFAULT_ITERATIONS) => {
+  if (players > gameConfig.MAX_EQUITY_HANDS) {
+    return `At most ${gameConfig.MAX_EQUITY_HANDS} hands can be compared at once`;
+  }
+  if (iterations * players > gameConfig.MAX_EQUITY_WORK) {
+    return `Iterations times hands cannot be more than ${gameConfig.MAX_EQUITY_WORK}`;
+  }
+  return null;
+};
+
+/**
+ * Most runouts to enumerate exactly for a number of hands, within the work limit
+ * @param {number} players Number of hands or ranges
+ * @returns {number} Exhaustive limit for the equity calculator
+ */
+const getExhaustiveLimit = (players) => {
+  return Math.min(equityCalculator.DEFAULT_EXHAUSTIVE_LIMIT, Math.floor(gameConfig.MAX_EQUITY_WORK / Math.max(players, 1)));
+};
+
+/**
+ * Check that an ICM request stays within the work one request may do
+ * @param {Array} stacks Chip counts per player
+ * @param {number} [iterations] Monte Carlo samples asked for
+ * @param {number} [playFor] Amount left to play for; the ICM deal then needs a second calculation
+ * @returns {string|null} The error, or null when the request is small enough
+ */
+const checkIcmWork = (stacks, iterations = icmCalculator.DEFAULT_ITERATIONS, playFor) => {
+  const players = Array.isArray(stacks) ? stacks.length : 0;
+  if (players > gameConfig.MAX_ICM_PLAYERS) {
+    return `At most ${gameConfig.MAX_ICM_PLAYERS} stacks can be calculated at once`;
+  }
+  if (players <= icmCalculator.DEFAULT_EXACT_LIMIT) {
+    return null;
+  }
+  const calculations = playFor ? 2 : 1;
+  if (iterations * players * calculations > gameConfig.MAX_ICM_WORK) {
+    return `Iterations times stacks cannot be more than ${gameConfig.MAX_ICM_WORK}` +
+      (calculations > 1 ? ', counted twice when playing for part of first place' : '');
+  }
+  return null;
+};
+
 /**
  * Get game information
  * @route GET /api/games/:gameId
@@ -20,25 +74,158 @@ router.get('/games/:gameId', (req, res) => {
   // (without private info like player cards)
   const gameState = {
     id: game.id,
+    variant: game.variant.id,
+    bettingStructure: game.getBettingStructure(),
     players: game.players.map(player => ({
       id: player.id,
       name: player.name,
+      seat: player.seat,
       chips: player.chips,
       isActive: player.isActive,
       hasFolded: !player.isActive,
-      hasCards: player.cards.length > 0
+      hasCards: player.cards.length > 0,
+      upCards: player.upCards,
+      sittingOut: player.sittingOut,
+      sittingOutSince: player.sittingOutSince,
+      missedBlinds: player.missedBlinds,
+      waitingForBigBlind: player.waitingForBigBlind,
+      postingMissedBlinds: player.postingMissedBlinds
     })),
     gamePhase: game.gamePhase,
     communityCards: game.gamePhase === gameConfig.PHASES.WAITING ? [] : game.communityCards,
     pot: game.pot,
     currentBet: game.currentBet,
     dealerPosition: game.dealerPosition,
-    currentTurn: game.currentTurn
+    buttonSeat: game.positions ? game.positions.button : null,
+    ante: game.ante,
+    bigBlindAnte: game.bigBlindAnte,
+    straddle: game.straddleType,
+    minBuyIn: game.minBuyIn,
+    maxBuyIn: game.maxBuyIn,
+    rake: game.rake,
+    provablyFair: game.provablyFair,
+    handId: game.handId,
+    nextServerSeedHash: game.getServerSeedHash(),
+    currentTurn: game.currentTurn,
+    maxPlayers: game.maxPlayers,
+    seats: game.getSeatMap()
   };
   
   res.json(gameState);
 });
 
+/**
+ * Get a table's ledger: every chip movement (buy-ins, top-ups, rebuys,
+ * add-ons, hand results, cash-outs and moves between tournament tables) and
+ * each player's totals. Pass ?playerId= for one player's entries.
+ * @route GET /api/games/:gameId/ledger
+ */
+router.get('/games/:gameId/ledger', (req, res) => {
+  const { gameId } = req.params;
+  const { playerId } = req.query;
+  const game = games.get(gameId);
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  const players = game.ledger.getSummary();
+  res.json({
+    gameId,
+    entries: game.ledger.getEntries(playerId),
+    players: playerId === undefined ? players : players.filter(player => player.playerId === playerId)
+  });
+});
+
+/**
+ * Get the rake a table has collected: its rake settings, the total and each
+ * raked hand
+ * @route GET /api/games/:gameId/rake
+ */
+router.get('/games/:gameId/rake', (req, res) => {
+  const { gameId } = req.params;
+  const game = games.get(gameId);
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  res.json({
+    gameId,
+    rake: game.rake,
+    total: game.rakeTotal,
+    hands: game.rakeHistory
+  });
+});
+
+/**
+ * Verify a provably fair hand once it is over: the revealed server seed must
+ * hash to the commitment published before the hand, and the server and client
+ * seeds must shuffle to the deck that was dealt
+ * @route GET /api/hands/:handId/verify
+ */
+router.get('/hands/:handId/verify', (req, res) => {
+  const { handId } = req.params;
+  const game = [...games.values()].find(table => table.shuffles.has(handId));
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+  
+  const shuffle = game.shuffles.get(handId);
+  if (!shuffle.serverSeed) {
+    return res.status(400).json({ error: 'The server seed is revealed when the hand is over' });
+  }
+  
+  const { hashMatches, deckMatches, valid } = fairShuffle.verifyShuffle(shuffle);
+  res.json({ ...shuffle, hashMatches, deckMatches, valid });
+});
+
+/**
+ * Deal a finished hand's deck again from the seed recorded with it, for replays. Only
+ * seeded and stacked test tables serve their decks: a crypto deck holds folded hands
+ * and the cards that were never dealt.
+ * @route GET /api/hands/:handId/deck
+ */
+router.get('/hands/:handId/deck', (req, res) => {
+  const { handId } = req.params;
+  const game = [...games.values()].find(table => table.handSeeds.has(handId));
+  
+  if (!game) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+  if (game.handSeeds.get(handId).source === 'crypto') {
+    return res.status(403).json({ error: 'Only seeded and stacked tables serve their decks' });
+  }
+  
+  try {
+    const deck = game.regenerateDeck(handId);
+    res.json({ ...game.handSeeds.get(handId), deck: deck.cards.map(cardUtils.formatCard) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the standings of a tournament: level, payouts and each player's chips or
+ * finishing place. Takes a Sit & Go's game ID, or a multi-table tournament's ID
+ * or any of its table IDs.
+ * @route GET /api/games/:gameId/tournament
+ */
+router.get('/games/:gameId/tournament', (req, res) => {
+  const { gameId } = req.params;
+  const tournament = findTournament(gameId);
+  if (!games.has(gameId) && !tournament) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  
+  if (!tournament) {
+    return res.status(404).json({ error: 'This game is not a tournament' });
+  }
+  
+  res.json(tournament.getSummary());
+});
+
 /**
  * List all active games
  * @route GET /api/games
@@ -47,11 +234,17 @@ router.get('/games', (req, res) => {
   const gamesList = [];
   
   for (const [gameId, game] of games.entries()) {
+    const tournament = findTournament(gameId);
     gamesList.push({
       id: gameId,
+      variant: game.variant.id,
+      bettingStructure: game.bettingStructure.id,
       playerCount: game.players.length,
+      maxPlayers: game.maxPlayers,
+      emptySeats: game.getEmptySeats().length,
       gamePhase: game.gamePhase,
-      isActive: game.gamePhase !== gameConfig.PHASES.WAITING
+      isActive: game.gamePhase !== gameConfig.PHASES.WAITING,
+      tournament: tournament ? tournament.status : null
     });
   }
   
@@ -68,8 +261,130 @@ router.get('/config', (req, res) => {
     minPlayers: gameConfig.MIN_PLAYERS,
     startingChips: gameConfig.STARTING_CHIPS,
     smallBlind: gameConfig.SMALL_BLIND,
-    bigBlind: gameConfig.BIG_BLIND
+    bigBlind: gameConfig.BIG_BLIND,
+    minBuyIn: gameConfig.BIG_BLIND * gameConfig.MIN_BUY_IN_BIG_BLINDS,
+    maxBuyIn: gameConfig.BIG_BLIND * gameConfig.MAX_BUY_IN_BIG_BLINDS,
+    defaultVariant: gameConfig.DEFAULT_VARIANT,
+    variants: Object.values(variants).map(variant => ({
+      id: variant.id,
+      name: variant.name,
+      holeCards: variant.holeCards,
+      maxPlayers: variant.maxPlayers || gameConfig.MAX_PLAYERS,
+      deckSize: (variant.deckValues ? variant.deckValues.length : 13) * 4,
+      bettingStructure: variant.bettingStructure,
+      blindStructure: variant.blindStructure
+    })),
+    bettingStructures: Object.values(bettingStructures).map(structure => ({
+      id: structure.id,
+      name: structure.name,
+      ...(structure.raiseCap && { raiseCap: structure.raiseCap })
+    }))
   });
 });
 
+/**
+ * Calculate range-vs-range or hand-vs-range equity on a (partial) board
+ * @route POST /api/range-equity
+ * @body {Array} ranges - Range notation per player (e.g. ["QQ+, AKs", "A5s-A2s, KQo:0.5"]); "AsKd" is a single hand;
+ *   at most gameConfig.MAX_EQUITY_HANDS
+ * @body {Array|string} [board] - Known community cards
+ * @body {Array|string} [dead] - Cards known to be out of play
+ * @body {number} [iterations] - Monte Carlo samples when the matchups are too many to enumerate; times the
+ *   number of ranges, at most gameConfig.MAX_EQUITY_WORK
+ * @body {number|string} [seed] - Seed for reproducible sampling
+ */
+router.post('/range-equity', (req, res) => {
+  const { ranges, board, dead, iterations, seed } = req.body || {};
+  
+  if (iterations !== undefined &&
+      (!Number.isInteger(iterations) || iterations <= 0 || iterations > gameConfig.MAX_EQUITY_ITERATIONS)) {
+    return res.status(400).json({
+      error: `Iterations must be an integer between 1 and ${gameConfig.MAX_EQUITY_ITERATIONS}`
+    });
+  }
+  const players = Array.isArray(ranges) ? ranges.length : 0;
+  const workError = checkEquityWork(players, iterations);
+  if (workError) {
+    return res.status(400).json({ error: workError });
+  }
+  
+  try {
+    res.json(equityCalculator.calculateRangeEquity({
+      ranges, board, dead, iterations, seed, exhaustiveLimit: getExhaustiveLimit(players)
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Calculate win/tie/lose percentages for hands on a (partial) board
+ * @route POST /api/equity
+ * @body {Array} hands - Hole cards per player (e.g. ["AsKd", "QhQc"]); null or [] for a random hand;
+ *   at most gameConfig.MAX_EQUITY_HANDS
+ * @body {Array|string} [board] - Known community cards
+ * @body {Array|string} [dead] - Cards known to be out of play
+ * @body {number} [iterations] - Monte Carlo samples when the runouts are too many to enumerate; times the
+ *   number of hands, at most gameConfig.MAX_EQUITY_WORK
+ * @body {number|string} [seed] - Seed for reproducible sampling
+ */
+router.post('/equity', (req, res) => {
+  const { hands, board, dead, iterations, seed } = req.body || {};
+  
+  if (iterations !== undefined &&
+      (!Number.isInteger(iterations) || iterations <= 0 || iterations > gameConfig.MAX_EQUITY_ITERATIONS)) {
+    return res.status(400).json({
+      error: `Iterations must be an integer between 1 and ${gameConfig.MAX_EQUITY_ITERATIONS}`
+    });
+  }
+  const players = Array.isArray(hands) ? hands.length : 0;
+  const workError = checkEquityWork(players, iterations);
+  if (workError) {
+    return res.status(400).json({ error: workError });
+  }
+  
+  try {
+    res.json(equityCalculator.calculateEquity({
+      hands, board, dead, iterations, seed, exhaustiveLimit: getExhaustiveLimit(players)
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Calculate each player's equity in the prize money with the Independent Chip Model,
+ * along with chip-chop and ICM deal proposals
+ * @route POST /api/icm
+ * @body {Array} stacks - Chip counts per player
+ * @body {Array} payouts - Prize amounts for the places still to be paid, first place first
+ * @body {number} [playFor] - Amount taken off first place and left to play for in the deals
+ * @body {number} [iterations] - Monte Carlo samples when there are too many players to solve exactly; times
+ *   the number of stacks (twice with playFor), at most gameConfig.MAX_ICM_WORK
+ * @body {number|string} [seed] - Seed for reproducible sampling
+ */
+router.post('/icm', (req, res) => {
+  const { stacks, payouts, playFor, iterations, seed } = req.body || {};
+  
+  if (iterations !== undefined &&
+      (!Number.isInteger(iterations) || iterations <= 0 || iterations > gameConfig.MAX_ICM_ITERATIONS)) {
+    return res.status(400).json({
+      error: `Iterations must be an integer between 1 and ${gameConfig.MAX_ICM_ITERATIONS}`
+    });
+  }
+  const workError = checkIcmWork(stacks, iterations, playFor);
+  if (workError) {
+    return res.status(400).json({ error: workError });
+  }
+  
+  try {
+    const result = icmCalculator.calculateICM({ stacks, payouts, iterations, seed });
+    const deals = icmCalculator.DEAL_TYPES.map(type =>
+      icmCalculator.proposeDeal({ stacks, payouts, type, playFor, iterations, seed: result.seed, icm: result }));
+    res.json({ ...result, deals });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const Game = require('../models/Game');
+const Tournament = require('../models/Tournament');
+const MultiTableTournament = require('../models/MultiTableTournament');
 const Player = require('../models/Player');
 const handEvaluator = require('../utils/handEvaluator');
 const gameConfig = require('../config/gameConfig');
@@ -9,6 +11,42 @@ const gameConfig = require('../config/gameConfig');
  */
 const games = new Map();
 
+/**
+ * Tournaments registry - by tournament ID. A Sit & Go shares its ID with its game;
+ * a multi-table tournament's tables are in games under their own IDs.
+ */
+const tournaments = new Map();
+
+/**
+ * Blind level timers of running tournaments, by game ID
+ */
+const levelTimers = new Map();
+
+/**
+ * Games whose all-in hands are being dealt out, by game ID, with the timer
+ * that closes a run it twice vote (null once the vote is over)
+ */
+const runouts = new Map();
+
+/**
+ * Timers that remove cash game players who sat out too long, by game ID and then player ID
+ */
+const sitOutTimers = new Map();
+
+/**
+ * Turn clocks by game ID: {turnId, playerId, timer, timeBankStartedAt}
+ */
+const turnClocks = new Map();
+let lastTurnId = 0;
+
+/**
+ * Find the tournament a game belongs to
+ * @param {string} gameId A game, table or tournament ID
+ * @returns {Tournament|undefined} The tournament, if any
+ */
+const findTournament = (gameId) => tournaments.get(gameId) ||
+  [...tournaments.values()].find(tournament => tournament instanceof MultiTableTournament && tournament.getTable(gameId));
+
 /**
  * Handle socket connections for the poker game
  * @param {Object} io Socket.io server instance
@@ -18,38 +56,83 @@ const setupGameSockets = (io) => {
     console.log('New client connected', socket.id);
 
     /**
-     * Create a new game
+     * Create a new game, or a Sit & Go when options.tournament is given
      */
-    socket.on('createGame', () => {
+    socket.on('createGame', (options = {}) => {
       const gameId = uuidv4();
-      const game = new Game(gameId);
-      games.set(gameId, game);
+      const {
+        variant, tripsBeatStraight, buttonAnte, ante, bigBlindAnte, straddle, bringIn,
+        bettingStructure, smallBet, bigBet, minBuyIn, maxBuyIn, rake, provablyFair, tournament: tournamentOptions
+      } = options;
+      const gameOptions = {
+        variant, tripsBeatStraight, buttonAnte, ante, bigBlindAnte, straddle, bringIn,
+        bettingStructure, smallBet, bigBet, minBuyIn, maxBuyIn, rake, provablyFair
+      };
+      let game;
+      let tournament = null;
+      try {
+        if (tournamentOptions && tournamentOptions.multiTable) {
+          tournament = new MultiTableTournament(gameId, tournamentOptions, gameOptions);
+        } else if (tournamentOptions) {
+          tournament = new Tournament(gameId, tournamentOptions, gameOptions);
+          game = tournament.game;
+        } else {
+          game = new Game(gameId, gameOptions);
+        }
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      // Multi-table tournaments open their tables when they start
+      if (game) {
+        games.set(gameId, game);
+      }
+      if (tournament) {
+        tournaments.set(gameId, tournament);
+      }
       
+      const { variant: tableVariant } = game || tournament;
       socket.join(gameId);
-      socket.emit('gameCreated', { gameId });
+      socket.emit('gameCreated', { 
+        gameId, 
+        variant: tableVariant.id,
+        bettingStructure: game ? game.getBettingStructure() : tournament.bettingStructure,
+        tournament: tournament ? tournament.getSummary() : null,
+        seats: game ? game.getSeatMap() : null,
+        nextServerSeedHash: game ? game.getServerSeedHash() : null
+      });
       
-      console.log(`Game created: ${gameId}`);
+      console.log(`Game created: ${gameId} (${tableVariant.name})`);
     });
 
     /**
-     * Join an existing game
+     * Join an existing game, optionally choosing a seat and, in cash games, the
+     * buy-in (tournaments assign seats and stacks)
      */
-    socket.on('joinGame', ({ gameId, playerName }) => {
+    socket.on('joinGame', ({ gameId, playerName, seat, buyIn }) => {
       const game = games.get(gameId);
+      const tournament = tournaments.get(gameId);
+      
+      if (tournament instanceof MultiTableTournament) {
+        registerForTournament(io, socket, tournament, playerName);
+        return;
+      }
       
       if (!game) {
         socket.emit('error', { message: 'Game not found' });
         return;
       }
 
-      if (game.players.length >= gameConfig.MAX_PLAYERS) {
-        socket.emit('error', { message: `Game is full (max ${gameConfig.MAX_PLAYERS} players)` });
+      if (game.players.length >= game.maxPlayers) {
+        socket.emit('error', { message: `Game is full (max ${game.maxPlayers} players)` });
         return;
       }
 
       try {
-        // Create and add the player
-        const player = game.addPlayer(socket.id, playerName);
+        // Create and add the player (tournaments register them for the start)
+        const player = tournament
+          ? tournament.register(socket.id, playerName)
+          : game.addPlayer(socket.id, playerName, { chips: buyIn !== undefined ? buyIn : game.startingChips, seat });
         
         socket.join(gameId);
         socket.gameId = gameId; // Store the game ID for disconnect handling
@@ -59,13 +142,23 @@ const setupGameSockets = (io) => {
           player: {
             id: player.id,
             name: player.name,
+            seat: player.seat,
             chips: player.chips,
             isActive: player.isActive
-          } 
+          },
+          seats: game.getSeatMap()
         });
         
         console.log(`Player ${playerName} joined game: ${gameId}`);
         
+        // A Sit & Go starts by itself once the table is full
+        if (tournament) {
+          if (tournament.isFull()) {
+            startTournament(io, tournament);
+          }
+          return;
+        }
+        
         // If we have enough players, allow the game to start
         if (game.players.length >= gameConfig.MIN_PLAYERS) {
           io.to(gameId).emit('readyToStart');
@@ -92,6 +185,11 @@ const setupGameSockets = (io) => {
         return;
       }
       
+      if (findTournament(gameId)) {
+        socket.emit('error', { message: 'Tournaments start by themselves once the table is full' });
+        return;
+      }
+      
       if (game.players.length < gameConfig.MIN_PLAYERS) {
         socket.emit('error', { message: `Not enough players to start (need ${gameConfig.MIN_PLAYERS})` });
         return;
@@ -99,34 +197,7 @@ const setupGameSockets = (io) => {
       
       try {
         // Start the first round
-        game.startRound();
-        
-        // Send each player their cards privately
-        game.players.forEach(player => {
-          io.to(player.id).emit('dealCards', { cards: player.cards });
-        });
-        
-        // Notify everyone about the game state
-        io.to(gameId).emit('gameStarted', {
-          dealer: game.dealerPosition,
-          smallBlind: {
-            position: (game.dealerPosition + 1) % game.players.length,
-            amount: game.smallBlind
-          },
-          bigBlind: {
-            position: (game.dealerPosition + 2) % game.players.length,
-            amount: game.bigBlind
-          },
-          currentTurn: game.currentTurn,
-          pot: game.pot,
-          players: game.players.map(p => ({
-            id: p.id,
-            name: p.name,
-            chips: p.chips,
-            isActive: p.isActive,
-            currentBet: p.currentBet
-          }))
-        });
+        startHand(io, game);
         
         console.log(`Game ${gameId} started`);
       } catch (error) {
@@ -136,9 +207,63 @@ const setupGameSockets = (io) => {
     });
 
     /**
-     * Handle player actions (fold, check, call, raise)
+     * Opt in to (or out of) straddling the next hand
+     */
+    socket.on('straddle', ({ straddle } = {}) => {
+      const gameId = socket.gameId;
+      if (!gameId) {
+        socket.emit('error', { message: 'You are not in a game' });
+        return;
+      }
+      
+      const game = games.get(gameId);
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+      
+      try {
+        const wantsStraddle = straddle !== false;
+        game.requestStraddle(socket.id, wantsStraddle);
+        io.to(gameId).emit('straddleRequested', { playerId: socket.id, straddle: wantsStraddle });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    /**
+     * Vote on how many times to run the board when everyone is all-in
+     */
+    socket.on('runItTwice', ({ times } = {}) => {
+      const gameId = socket.gameId;
+      const game = games.get(gameId);
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+      if (!runouts.get(gameId)) {
+        socket.emit('error', { message: 'There is no run it twice vote open' });
+        return;
+      }
+      
+      let everyoneVoted;
+      try {
+        everyoneVoted = game.voteRunouts(socket.id, times);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      
+      io.to(gameId).emit('runItTwiceVoted', { playerId: socket.id, times });
+      if (everyoneVoted) {
+        runOut(io, game);
+      }
+    });
+
+    /**
+     * Handle player actions (fold, check, call, raise, and draw in draw games)
      */
-    socket.on('playerAction', ({ action, amount }) => {
+    socket.on('playerAction', ({ action, amount, indexes, turnId }) => {
       const gameId = socket.gameId;
       if (!gameId) {
         socket.emit('error', { message: 'You are not in a game' });
@@ -151,112 +276,162 @@ const setupGameSockets = (io) => {
         return;
       }
       
-      const playerIndex = game.players.findIndex(p => p.id === socket.id);
-      if (playerIndex === -1) {
+      const player = game.players.find(p => p.id === socket.id);
+      if (!player) {
         socket.emit('error', { message: 'You are not a player in this game' });
         return;
       }
       
-      if (playerIndex !== game.currentTurn) {
+      if (player.seat !== game.currentTurn) {
         socket.emit('error', { message: 'It is not your turn' });
         return;
       }
       
-      const player = game.players[playerIndex];
-      let actionCompleted = false;
-      let betsMet = false;
+      if (runouts.has(gameId)) {
+        socket.emit('error', { message: 'The betting is over for this hand' });
+        return;
+      }
       
-      // Handle the action
-      switch (action) {
-        case 'fold':
-          player.fold();
-          io.to(gameId).emit('playerFolded', { playerId: player.id });
-          actionCompleted = true;
-          break;
-          
-        case 'check':
-          if (game.currentBet > player.currentBet) {
-            socket.emit('error', { message: 'Cannot check, must call or raise' });
-            return;
-          }
-          io.to(gameId).emit('playerChecked', { playerId: player.id });
-          actionCompleted = true;
-          break;
-          
-        case 'call':
-          if (game.currentBet <= player.currentBet) {
-            socket.emit('error', { message: 'No bet to call, should check instead' });
-            return;
-          }
-          
-          const callAmount = game.currentBet - player.currentBet;
-          const actualBet = player.placeBet(callAmount);
-          game.pot += actualBet;
-          
-          io.to(gameId).emit('playerCalled', { 
-            playerId: player.id,
-            amount: actualBet,
-            pot: game.pot,
-            chips: player.chips
-          });
-          
-          actionCompleted = true;
-          break;
-          
-        case 'raise':
-          if (!amount || amount <= 0) {
-            socket.emit('error', { message: 'Invalid raise amount' });
-            return;
-          }
-          
-          // Minimum raise is at least the current bet
-          if (amount <= game.currentBet) {
-            socket.emit('error', { message: 'Raise amount must be greater than current bet' });
-            return;
-          }
-          
-          const totalBet = amount; // Total bet including call
-          const actualRaise = player.placeBet(totalBet - player.currentBet);
-          
-          if (actualRaise < totalBet - player.currentBet) {
-            socket.emit('error', { message: 'Not enough chips for this raise' });
-            return;
-          }
-          
-          game.pot += actualRaise;
-          game.currentBet = totalBet;
-          
-          io.to(gameId).emit('playerRaised', { 
-            playerId: player.id,
-            amount: totalBet,
-            pot: game.pot,
-            chips: player.chips
-          });
-          
-          actionCompleted = true;
-          break;
-          
-        default:
-          socket.emit('error', { message: 'Invalid action' });
-          return;
+      // An action sent for a turn the clock already ended must not carry over to a later turn
+      const clock = turnClocks.get(gameId);
+      if (turnId !== undefined && (!clock || clock.turnId !== turnId)) {
+        socket.emit('error', { message: 'That turn has already ended' });
+        return;
       }
       
-      if (actionCompleted) {
-        // Check if betting round is complete
-        betsMet = checkBettingRoundComplete(game);
-        
-        if (betsMet || game.players.filter(p => p.isActive).length <= 1) {
-          // If bets are met or only one active player, move to next phase
-          progressGame(io, game);
-        } else {
-          // Otherwise, move to next player
-          game.moveToNextActivePlayer();
-          
-          io.to(gameId).emit('turnChanged', { 
-            currentTurn: game.currentTurn,
-            currentPlayer: game.players[game.currentTurn].id
-          });
-        }
+      try {
+        performAction(io, game, player, { action, amount, indexes });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      player.timeouts = 0;
+    });
+
+    /**
+     * Sit out from the next hand; a hand you are playing is checked or folded for you
+     */
+    socket.on('sitOut', () => {
+      const game = games.get(socket.gameId);
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+      
+      try {
+        game.sitOut(socket.id);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      io.to(game.id).emit('playerSatOut', { playerId: socket.id, reason: 'requested' });
+      scheduleSitOutRemoval(io, game, socket.id);
+      
+      // Act for the player at once if it is their turn; sitting out is not a timeout
+      const clock = turnClocks.get(game.id);
+      if (clock && clock.playerId === socket.id) {
+        const player = game.players.find(p => p.id === socket.id);
+        performAction(io, game, player, { action: game.getTimeoutAction(player), indexes: [] });
+      }
+    });
+
+    /**
+     * Come back after sitting out. A cash game player who missed blinds waits
+     * for the big blind unless they choose to post what they missed.
+     */
+    socket.on('sitIn', ({ postMissedBlinds } = {}) => {
+      const game = games.get(socket.gameId);
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+      
+      const player = game.players.find(p => p.id === socket.id);
+      try {
+        game.sitIn(socket.id, { postMissedBlinds: Boolean(postMissedBlinds) });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      clearSitOutRemoval(game, socket.id);
+      io.to(game.id).emit('playerSatIn', {
+        playerId: socket.id,
+        missedBlinds: player.missedBlinds,
+        waitingForBigBlind: player.waitingForBigBlind,
+        postingMissedBlinds: player.postingMissedBlinds
+      });
+    });
+
+    /**
+     * Set the seed a player adds to a provably fair table's shuffles, from the next hand on
+     */
+    socket.on('setClientSeed', ({ seed } = {}) => {
+      const game = games.get(socket.gameId);
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+      
+      try {
+        game.setClientSeed(socket.id, seed);
+        io.to(game.id).emit('clientSeedSet', { playerId: socket.id, seed });
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    /**
+     * Add chips to a cash game stack, up to the maximum buy-in
+     */
+    socket.on('topUp', ({ amount } = {}) => {
+      const game = games.get(socket.gameId);
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+      
+      try {
+        announceChipsAdded(io, game, game.topUp(socket.id, amount));
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    /**
+     * Buy back in after busting: for a chosen amount in a cash game, or for
+     * the rebuy chips while a tournament's rebuys are open
+     */
+    socket.on('rebuy', ({ amount } = {}) => {
+      const game = games.get(socket.gameId);
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+      
+      const tournament = findTournament(game.id);
+      try {
+        const entry = tournament ? tournament.rebuy(socket.id) : game.rebuy(socket.id, amount);
+        announceChipsAdded(io, game, entry, tournament);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    /**
+     * Take a tournament's one-time add-on
+     */
+    socket.on('addOn', () => {
+      const game = games.get(socket.gameId);
+      const tournament = game && findTournament(game.id);
+      if (!tournament) {
+        socket.emit('error', { message: 'Add-ons are only available in tournaments' });
+        return;
+      }
+      
+      try {
+        announceChipsAdded(io, game, tournament.addOn(socket.id), tournament);
+      } catch (error) {
+        socket.emit('error', { message: error.message });
       }
     });
 
@@ -269,20 +444,39 @@ const setupGameSockets = (io) => {
       // Clean up player from any games they were in
       if (socket.gameId) {
         const game = games.get(socket.gameId);
-        if (game) {
+        const tournament = findTournament(socket.gameId);
+        if (tournament) {
+          // Tournament chips stay in play while it runs: the player keeps their seat until they bust
+          if (tournament.status !== Tournament.STATUS.RUNNING && tournament.removePlayer(socket.id)) {
+            io.to(socket.gameId).emit('playerLeft', { playerId: socket.id });
+          }
+        } else if (game) {
+          // A player still in the hand folds as they leave
+          const leaver = game.players.find(p => p.id === socket.id);
+          const wasInHand = Boolean(leaver) && leaver.isActive && game.isHandInProgress();
+          const hadTurn = wasInHand && leaver.seat === game.currentTurn;
+          if (wasInHand) {
+            leaver.fold();
+            io.to(socket.gameId).emit('playerFolded', { playerId: socket.id });
+          }
           const playerRemoved = game.removePlayer(socket.id);
           
           if (playerRemoved) {
+            clearSitOutRemoval(game, socket.id);
+            
             // Notify remaining players
-            io.to(socket.gameId).emit('playerLeft', { playerId: socket.id });
+            io.to(socket.gameId).emit('playerLeft', { playerId: socket.id, seats: game.getSeatMap() });
             
             // If not enough players, end the game
             if (game.players.length < gameConfig.MIN_PLAYERS) {
               io.to(socket.gameId).emit('gameEnded', { reason: 'Not enough players' });
+              clearTimeout(runouts.get(socket.gameId));
+              runouts.delete(socket.gameId);
+              stopTurnClock(game);
+              clearSitOutRemovals(game);
               games.delete(socket.gameId);
-            } else if (game.gamePhase !== gameConfig.PHASES.WAITING) {
-              // If game in progress, handle the impact of player leaving
-              progressGame(io, game);
+            } else if (wasInHand) {
+              continueAfterLeaver(io, game, hadTurn);
             }
           }
         }
@@ -291,7 +485,10 @@ const setupGameSockets = (io) => {
       // Clean up empty games
       for (const [gameId, game] of games.entries()) {
         if (game.players.length === 0) {
+          stopTurnClock(game);
+          clearSitOutRemovals(game);
           games.delete(gameId);
+          tournaments.delete(gameId);
           console.log(`Removed empty game: ${gameId}`);
         }
       }
@@ -300,21 +497,511 @@ const setupGameSockets = (io) => {
 };
 
 /**
- * Check if the current betting round is complete
+ * Carry on a hand after a player in it folded and left. The hand only moves on
+ * when the leaver's fold finishes the betting round (or the draw); otherwise
+ * the turn passes on if it was theirs.
+ * @param {Object} io Socket.io instance
  * @param {Game} game The game object
- * @returns {boolean} True if betting round is complete
+ * @param {boolean} hadTurn Whether it was the leaver's turn
  */
-function checkBettingRoundComplete(game) {
-  const activePlayers = game.players.filter(p => p.isActive);
+function continueAfterLeaver(io, game, hadTurn) {
+  if (hadTurn) {
+    stopTurnClock(game);
+  }
+  if (game.players.filter(p => p.isActive).length <= 1 || runouts.has(game.id)) {
+    progressGame(io, game);
+    return;
+  }
+  
+  if (game.gamePhase === gameConfig.PHASES.DRAW) {
+    if (hadTurn || game.isDrawComplete()) {
+      advanceDraw(io, game);
+    }
+    return;
+  }
+  
+  if (game.isBettingRoundComplete()) {
+    progressGame(io, game);
+  } else if (hadTurn) {
+    game.moveToNextActivePlayer();
+    announceTurn(io, game);
+  }
+}
+
+/**
+ * Tell the table about chips a player bought, with the new prize pool in tournaments
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The player's table
+ * @param {Object} entry The ledger entry for the chips
+ * @param {Tournament} [tournament] The tournament, if any
+ */
+function announceChipsAdded(io, game, entry, tournament) {
+  io.to(tournament ? tournament.id : game.id).emit('chipsAdded', {
+    playerId: entry.playerId,
+    type: entry.type,
+    amount: entry.amount,
+    chips: entry.chips,
+    ...(tournament && { prizePool: tournament.getPrizePool() })
+  });
+}
+
+/**
+ * Deal a new hand and tell everyone the hand has started. Tournament hands
+ * use the current blind level.
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function startHand(io, game) {
+  const tournament = findTournament(game.id);
+  if (tournament) {
+    // A multi-table tournament table with one player waits for players to be moved to it
+    if (!tournament.startHand(game)) return;
+  } else {
+    game.startRound();
+  }
+  
+  sendPlayerCards(io, game);
+  
+  // Notify everyone about the game state
+  const shuffle = game.shuffles.get(game.handId);
+  io.to(game.id).emit('gameStarted', {
+    handId: game.handId,
+    ...(shuffle && { serverSeedHash: shuffle.serverSeedHash, clientSeeds: shuffle.clientSeeds }),
+    dealer: game.dealerPosition,
+    buttonSeat: game.positions.button,
+    deadButton: game.positions.deadButton,
+    ...game.getForcedBets(),
+    currentTurn: game.currentTurn,
+    options: game.getBettingOptions(),
+    pot: game.pot,
+    players: game.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      seat: p.seat,
+      chips: p.chips,
+      isActive: p.isActive,
+      sittingOut: p.sittingOut,
+      currentBet: p.currentBet
+    })),
+    seats: game.getSeatMap(),
+    ...(tournament && { level: tournament.getLevel() })
+  });
+  
+  // The forced bets can leave nobody able to act: deal the hand out instead of starting a clock
+  if (game.isBettingRoundComplete()) {
+    progressGame(io, game);
+    return;
+  }
+  startTurnClock(io, game);
+}
+
+/**
+ * Register a player for a multi-table tournament, starting it once it is full
+ * @param {Object} io Socket.io instance
+ * @param {Object} socket The player's socket
+ * @param {MultiTableTournament} tournament The tournament
+ * @param {string} playerName The player's name
+ */
+function registerForTournament(io, socket, tournament, playerName) {
+  let player;
+  try {
+    player = tournament.register(socket.id, playerName);
+  } catch (error) {
+    socket.emit('error', { message: error.message });
+    return;
+  }
+  
+  // Entrants wait in the tournament's room until they are seated
+  socket.join(tournament.id);
+  socket.gameId = tournament.id;
+  io.to(tournament.id).emit('playerRegistered', {
+    player,
+    playersRegistered: tournament.getRegisteredCount(),
+    playersNeeded: tournament.playersNeeded
+  });
+  
+  if (tournament.isFull()) {
+    startTournament(io, tournament);
+  }
+}
+
+/**
+ * Start a full tournament: seat the players, start the blind clock and deal the first hands
+ * @param {Object} io Socket.io instance
+ * @param {Tournament} tournament The tournament
+ */
+function startTournament(io, tournament) {
+  tournament.start();
+  
+  let tables = [tournament.game];
+  if (tournament instanceof MultiTableTournament) {
+    tables = [...tournament.tables];
+    tables.forEach(table => {
+      games.set(table.id, table);
+      table.players.forEach(player => seatSocket(io, tournament, player.id, table.id));
+    });
+  }
+  
+  io.to(tournament.id).emit('tournamentStarted', tournament.getSummary());
+  scheduleLevelChange(io, tournament);
+  tables.forEach(table => startHand(io, table));
+  console.log(`Tournament ${tournament.id} started`);
+}
+
+/**
+ * Move a player's socket into their table's room. They stay in the tournament's room.
+ * @param {Object} io Socket.io instance
+ * @param {MultiTableTournament} tournament The tournament
+ * @param {string} playerId The player (and socket) ID
+ * @param {string} tableId The player's new table
+ */
+function seatSocket(io, tournament, playerId, tableId) {
+  const socket = io.sockets.sockets.get(playerId);
+  if (!socket) return;
+  
+  if (socket.gameId && socket.gameId !== tournament.id) {
+    socket.leave(socket.gameId);
+  }
+  socket.join(tableId);
+  socket.gameId = tableId;
+}
+
+/**
+ * Raise the blinds when the current level runs out, then wait for the next one
+ * @param {Object} io Socket.io instance
+ * @param {Tournament} tournament The tournament
+ */
+function scheduleLevelChange(io, tournament) {
+  const nextLevelAt = tournament.getNextLevelAt();
+  if (nextLevelAt === null) return;
+  
+  levelTimers.set(tournament.id, setTimeout(() => {
+    levelTimers.delete(tournament.id);
+    if (!tournaments.has(tournament.id) || !tournament.advanceLevel()) return;
+    
+    // The new level applies from the next hand
+    io.to(tournament.id).emit('levelChanged', {
+      ...tournament.getLevel(),
+      nextLevelAt: tournament.getNextLevelAt()
+    });
+    scheduleLevelChange(io, tournament);
+  }, Math.max(0, nextLevelAt - Date.now())));
+}
+
+/**
+ * After a tournament hand: place busted players, then finish the tournament
+ * or deal the next hand
+ * @param {Object} io Socket.io instance
+ * @param {Tournament} tournament The tournament
+ */
+function finishTournamentHand(io, tournament) {
+  tournament.eliminateBustedPlayers().forEach(finish => {
+    io.to(tournament.id).emit('playerEliminated', finish);
+  });
+  
+  if (tournament.status === Tournament.STATUS.FINISHED) {
+    endTournament(io, tournament);
+    return;
+  }
+  
+  setTimeout(() => {
+    if (tournaments.has(tournament.id)) {
+      startHand(io, tournament.game);
+    }
+  }, gameConfig.ROUND_END_DELAY);
+}
+
+/**
+ * After a hand at one table of a multi-table tournament: place busted
+ * players, move players and break tables, then deal the tables that are due
+ * @param {Object} io Socket.io instance
+ * @param {MultiTableTournament} tournament The tournament
+ * @param {Game} table The table that finished a hand
+ */
+function finishMultiTableHand(io, tournament, table) {
+  const result = tournament.finishHand(table);
+  result.finishes.forEach(finish => {
+    io.to(tournament.id).emit('playerEliminated', finish);
+  });
+  
+  if (tournament.status === Tournament.STATUS.FINISHED) {
+    endTournament(io, tournament);
+    return;
+  }
+  
+  result.moves.forEach(move => {
+    seatSocket(io, tournament, move.id, move.toTable);
+    io.to(tournament.id).emit('playerMoved', move);
+  });
+  result.brokenTables.forEach(tableId => {
+    games.delete(tableId);
+    io.to(tournament.id).emit('tableBroken', { tableId });
+  });
+  if (result.finalTable) {
+    io.to(tournament.id).emit('finalTable', { tableId: result.finalTable });
+  }
+  if (result.handForHand !== null) {
+    io.to(tournament.id).emit('handForHand', { active: result.handForHand });
+  }
+  
+  setTimeout(() => {
+    result.tablesToDeal
+      .filter(dealt => games.has(dealt.id))
+      .forEach(dealt => startHand(io, dealt));
+  }, gameConfig.ROUND_END_DELAY);
+}
+
+/**
+ * Stop the blind clock and announce the final standings
+ * @param {Object} io Socket.io instance
+ * @param {Tournament} tournament The finished tournament
+ */
+function endTournament(io, tournament) {
+  clearTimeout(levelTimers.get(tournament.id));
+  levelTimers.delete(tournament.id);
+  io.to(tournament.id).emit('tournamentEnded', {
+    standings: tournament.getStandings(),
+    payouts: tournament.getPayouts()
+  });
+  console.log(`Tournament ${tournament.id} finished`);
+}
+
+/**
+ * Apply an action from the player whose turn it is, tell the table, and
+ * move the hand on. Invalid actions throw before anything changes.
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ * @param {Player} player The acting player
+ * @param {Object} move {action, amount, indexes}: amount is the total bet for a raise,
+ *   indexes the cards to discard for a draw
+ */
+function performAction(io, game, player, { action, amount, indexes }) {
+  // The draw is not a betting round: players draw (or fold) in turn
+  if (game.gamePhase === gameConfig.PHASES.DRAW || action === 'draw') {
+    performDraw(io, game, player, action, indexes);
+    return;
+  }
+  
+  const result = game.handleAction(player, action, amount);
+  stopTurnClock(game);
+  
+  switch (result.action) {
+    case 'fold':
+      io.to(game.id).emit('playerFolded', { playerId: player.id });
+      break;
+    case 'check':
+      io.to(game.id).emit('playerChecked', { playerId: player.id });
+      break;
+    case 'call':
+      io.to(game.id).emit('playerCalled', { 
+        playerId: player.id,
+        amount: result.amount,
+        pot: game.pot,
+        chips: player.chips,
+        allIn: result.allIn
+      });
+      break;
+    case 'raise':
+      io.to(game.id).emit('playerRaised', { 
+        playerId: player.id,
+        amount: result.totalBet,
+        pot: game.pot,
+        chips: player.chips,
+        allIn: result.allIn
+      });
+      break;
+  }
   
-  // If only one active player, betting is done
-  if (activePlayers.length <= 1) return true;
+  if (result.roundComplete) {
+    progressGame(io, game);
+  } else {
+    game.moveToNextActivePlayer();
+    announceTurn(io, game);
+  }
+}
+
+/**
+ * Apply an action during the draw of a draw game: draw or fold
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ * @param {Player} player The acting player
+ * @param {string} action 'draw' or 'fold'
+ * @param {Array} indexes Positions of the cards to discard
+ */
+function performDraw(io, game, player, action, indexes) {
+  if (action === 'fold') {
+    player.fold();
+    stopTurnClock(game);
+    io.to(game.id).emit('playerFolded', { playerId: player.id });
+  } else if (action === 'draw') {
+    game.draw(player, indexes);
+    stopTurnClock(game);
+    
+    // The new hand goes to the drawing player only; everyone sees how many they took
+    io.to(player.id).emit('dealCards', { cards: player.cards, gamePhase: game.gamePhase });
+    io.to(game.id).emit('playerDrew', { 
+      playerId: player.id,
+      count: indexes.length
+    });
+  } else {
+    throw new Error('Betting is closed during the draw');
+  }
   
-  // Check if all active players have matched the current bet or are all-in
-  return activePlayers.every(p => 
-    p.currentBet === game.currentBet || 
-    p.chips === 0
-  );
+  advanceDraw(io, game);
+}
+
+/**
+ * Tell the table whose turn it is and start their turn clock
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function announceTurn(io, game) {
+  io.to(game.id).emit('turnChanged', { 
+    currentTurn: game.currentTurn,
+    currentPlayer: game.seats[game.currentTurn].id,
+    options: game.gamePhase === gameConfig.PHASES.DRAW ? null : game.getBettingOptions()
+  });
+  startTurnClock(io, game);
+}
+
+/**
+ * Start the clock on the player whose turn it is. When it runs out they
+ * move on to their time bank; players sitting out are acted for at once.
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function startTurnClock(io, game) {
+  stopTurnClock(game);
+  const player = game.seats[game.currentTurn];
+  if (!player) return;
+  
+  lastTurnId++;
+  const clock = { turnId: lastTurnId, playerId: player.id, timer: null, timeBankStartedAt: null };
+  const remaining = player.sittingOut ? 0 : gameConfig.PLAYER_TURN_TIMEOUT;
+  turnClocks.set(game.id, clock);
+  io.to(game.id).emit('turnTimer', {
+    playerId: player.id,
+    turnId: clock.turnId,
+    remaining,
+    timeBank: player.timeBank,
+    usingTimeBank: false
+  });
+  clock.timer = setTimeout(() => expireTurnClock(io, game, clock.turnId), remaining);
+}
+
+/**
+ * Run a player's time bank once their turn clock runs out, then act for
+ * them: check if they can, fold if not, and stand pat in the draw
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ * @param {number} turnId The turn the timer was set for
+ */
+function expireTurnClock(io, game, turnId) {
+  // The player acted (or the hand ended) as the timer fired
+  const clock = turnClocks.get(game.id);
+  if (!clock || clock.turnId !== turnId) return;
+  const player = game.seats[game.currentTurn];
+  if (!player || player.id !== clock.playerId) {
+    stopTurnClock(game);
+    return;
+  }
+  
+  if (clock.timeBankStartedAt === null && player.timeBank > 0 && !player.sittingOut) {
+    clock.timeBankStartedAt = Date.now();
+    io.to(game.id).emit('turnTimer', {
+      playerId: player.id,
+      turnId,
+      remaining: player.timeBank,
+      timeBank: player.timeBank,
+      usingTimeBank: true
+    });
+    clock.timer = setTimeout(() => expireTurnClock(io, game, turnId), player.timeBank);
+    return;
+  }
+  
+  // Players sitting out are acted for at once, which does not count as a timeout
+  const action = game.getTimeoutAction(player);
+  const satOut = !player.sittingOut && game.recordTimeout(player);
+  io.to(game.id).emit('turnTimedOut', { playerId: player.id, action });
+  if (satOut) {
+    io.to(game.id).emit('playerSatOut', { playerId: player.id, reason: 'timeouts' });
+    scheduleSitOutRemoval(io, game, player.id);
+  }
+  performAction(io, game, player, { action, indexes: [] });
+}
+
+/**
+ * Check for players who have sat out too long once the limit for a player
+ * who just sat out has passed
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ * @param {string} playerId The player who sat out
+ */
+function scheduleSitOutRemoval(io, game, playerId) {
+  if (game.isTournament) return;
+  clearSitOutRemoval(game, playerId);
+  const timers = sitOutTimers.get(game.id) || new Map();
+  sitOutTimers.set(game.id, timers);
+  timers.set(playerId, setTimeout(() => {
+    clearSitOutRemoval(game, playerId);
+    removeExpiredSitOuts(io, game);
+  }, gameConfig.MAX_SIT_OUT_TIME));
+}
+
+/**
+ * Cancel the removal timer of a player who sat back in or left
+ * @param {Game} game The game object
+ * @param {string} playerId The player's ID
+ */
+function clearSitOutRemoval(game, playerId) {
+  const timers = sitOutTimers.get(game.id);
+  if (!timers) return;
+  clearTimeout(timers.get(playerId));
+  timers.delete(playerId);
+  if (timers.size === 0) sitOutTimers.delete(game.id);
+}
+
+/**
+ * Cancel every removal timer of a game that is closing
+ * @param {Game} game The game object
+ */
+function clearSitOutRemovals(game) {
+  const timers = sitOutTimers.get(game.id);
+  if (!timers) return;
+  timers.forEach(timer => clearTimeout(timer));
+  sitOutTimers.delete(game.id);
+}
+
+/**
+ * Remove cash game players who have sat out too long. Players are only
+ * removed between hands; a hand in progress checks again when it ends.
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function removeExpiredSitOuts(io, game) {
+  if (games.get(game.id) !== game) return;
+  if (game.gamePhase !== gameConfig.PHASES.WAITING && game.gamePhase !== gameConfig.PHASES.SHOWDOWN) return;
+  
+  game.getExpiredSitOuts().forEach(player => {
+    clearSitOutRemoval(game, player.id);
+    game.removePlayer(player.id);
+    io.to(game.id).emit('playerLeft', { playerId: player.id, reason: 'Sat out too long', seats: game.getSeatMap() });
+  });
+}
+
+/**
+ * Stop a game's turn clock, charging any time bank used to the player
+ * @param {Game} game The game object
+ */
+function stopTurnClock(game) {
+  const clock = turnClocks.get(game.id);
+  if (!clock) return;
+  clearTimeout(clock.timer);
+  turnClocks.delete(game.id);
+  if (clock.timeBankStartedAt !== null) {
+    const player = game.players.find(p => p.id === clock.playerId);
+    if (player) player.useTimeBank(Date.now() - clock.timeBankStartedAt);
+  }
 }
 
 /**
@@ -331,12 +1018,18 @@ function progressGame(io, game) {
     return;
   }
   
+  // Nobody can bet any more: deal the rest of the hand out (the draw still goes ahead)
+  if (runouts.has(game.id)) return;
+  if (game.isAllIn() && game.gamePhase !== gameConfig.PHASES.PRE_DRAW) {
+    startRunout(io, game);
+    return;
+  }
+  
   // Otherwise, move to the next game phase
   switch (game.gamePhase) {
     case gameConfig.PHASES.PRE_FLOP:
     case gameConfig.PHASES.FLOP:
     case gameConfig.PHASES.TURN:
-    case gameConfig.PHASES.RIVER:
       game.dealCommunityCards();
       
       io.to(game.id).emit('communityCards', { 
@@ -344,29 +1037,217 @@ function progressGame(io, game) {
         gamePhase: game.gamePhase
       });
       
-      io.to(game.id).emit('turnChanged', { 
-        currentTurn: game.currentTurn,
-        currentPlayer: game.players[game.currentTurn].id
-      });
+      announceTurn(io, game);
+      break;
+      
+    case gameConfig.PHASES.PRE_DRAW:
+      game.startDraw();
+      
+      io.to(game.id).emit('drawStarted', { gamePhase: game.gamePhase });
+      announceTurn(io, game);
+      break;
+      
+    case gameConfig.PHASES.THIRD_STREET:
+    case gameConfig.PHASES.FOURTH_STREET:
+    case gameConfig.PHASES.FIFTH_STREET:
+    case gameConfig.PHASES.SIXTH_STREET:
+      game.dealNextStreet();
+      sendPlayerCards(io, game);
+      
+      announceTurn(io, game);
       break;
       
+    case gameConfig.PHASES.RIVER:
+    case gameConfig.PHASES.SEVENTH_STREET:
+    case gameConfig.PHASES.POST_DRAW:
     case gameConfig.PHASES.SHOWDOWN:
       endGame(io, game);
       break;
   }
 }
 
+/**
+ * Show the hands of a hand nobody can bet in any more, and give the players
+ * a chance to agree to run the board more than once before dealing it out
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function startRunout(io, game) {
+  stopTurnClock(game);
+  const canRunItMultipleTimes = game.canRunItMultipleTimes();
+  
+  io.to(game.id).emit('allInShowdown', {
+    gamePhase: game.gamePhase,
+    players: game.players
+      .filter(p => p.isActive)
+      .map(p => ({ playerId: p.id, cards: p.cards })),
+    runItTwice: canRunItMultipleTimes
+      ? { maxRunouts: gameConfig.MAX_RUNOUTS, timeout: gameConfig.RUNOUT_VOTE_TIMEOUT }
+      : null
+  });
+  
+  if (canRunItMultipleTimes) {
+    runouts.set(game.id, setTimeout(() => runOut(io, game), gameConfig.RUNOUT_VOTE_TIMEOUT));
+  } else {
+    runouts.set(game.id, null);
+    dealRunoutStreet(io, game);
+  }
+}
+
+/**
+ * Close the run it twice vote and deal the board out as many times as
+ * everyone agreed to
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function runOut(io, game) {
+  clearTimeout(runouts.get(game.id));
+  runouts.set(game.id, null);
+  
+  const times = game.getAgreedRunouts();
+  if (times === 1) {
+    dealRunoutStreet(io, game);
+    return;
+  }
+  
+  const boards = game.dealRunouts(times);
+  io.to(game.id).emit('runItTwiceAgreed', { times });
+  
+  // Show one board at a time, then settle the pots
+  const showBoard = (run) => setTimeout(() => {
+    if (!runouts.has(game.id)) return;
+    if (run === boards.length) {
+      endGame(io, game);
+      return;
+    }
+    io.to(game.id).emit('runoutDealt', { run: run + 1, communityCards: boards[run] });
+    showBoard(run + 1);
+  }, gameConfig.PHASE_TRANSITION_DELAY);
+  showBoard(0);
+}
+
+/**
+ * Deal the next street of a hand nobody can bet in, pausing between streets,
+ * and go to showdown once every card is out
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function dealRunoutStreet(io, game) {
+  setTimeout(() => {
+    // The hand already ended (everyone else left)
+    if (!runouts.has(game.id)) return;
+    
+    switch (game.gamePhase) {
+      case gameConfig.PHASES.PRE_FLOP:
+      case gameConfig.PHASES.FLOP:
+      case gameConfig.PHASES.TURN:
+        game.dealCommunityCards();
+        io.to(game.id).emit('communityCards', { 
+          cards: game.communityCards,
+          gamePhase: game.gamePhase
+        });
+        dealRunoutStreet(io, game);
+        break;
+        
+      case gameConfig.PHASES.THIRD_STREET:
+      case gameConfig.PHASES.FOURTH_STREET:
+      case gameConfig.PHASES.FIFTH_STREET:
+      case gameConfig.PHASES.SIXTH_STREET:
+        game.dealNextStreet();
+        sendPlayerCards(io, game);
+        dealRunoutStreet(io, game);
+        break;
+        
+      default:
+        endGame(io, game);
+    }
+  }, gameConfig.PHASE_TRANSITION_DELAY);
+}
+
+/**
+ * Pass the draw to the next player, or open the second betting round once
+ * everyone still in the hand has drawn
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function advanceDraw(io, game) {
+  if (game.players.filter(p => p.isActive).length <= 1) {
+    progressGame(io, game);
+    return;
+  }
+  
+  if (game.isDrawComplete()) {
+    game.finishDraw();
+    io.to(game.id).emit('drawEnded', { gamePhase: game.gamePhase });
+    if (game.isAllIn()) {
+      progressGame(io, game);
+      return;
+    }
+  } else {
+    game.moveToNextActivePlayer();
+  }
+  
+  announceTurn(io, game);
+}
+
+/**
+ * Send each active player their whole hand privately. In stud games everyone
+ * is also shown the cards dealt face up (and any shared card).
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function sendPlayerCards(io, game) {
+  const activePlayers = game.players.filter(p => p.isActive);
+  
+  activePlayers.forEach(player => {
+    io.to(player.id).emit('dealCards', { cards: player.cards, gamePhase: game.gamePhase });
+  });
+  
+  if (game.variant.streets) {
+    io.to(game.id).emit('upCardsDealt', {
+      gamePhase: game.gamePhase,
+      players: activePlayers.map(p => ({ playerId: p.id, upCards: p.upCards })),
+      communityCards: game.communityCards
+    });
+  }
+}
+
+/**
+ * Reveal a provably fair hand's server seed now that it is over, with the
+ * hash committed for the next hand
+ * @param {Object} io Socket.io instance
+ * @param {Game} game The game object
+ */
+function revealShuffle(io, game) {
+  const shuffle = game.revealServerSeed();
+  if (!shuffle) return;
+  
+  const { handId, serverSeed, serverSeedHash, clientSeeds } = shuffle;
+  io.to(game.id).emit('serverSeedRevealed', {
+    handId,
+    serverSeed,
+    serverSeedHash,
+    clientSeeds,
+    nextServerSeedHash: game.getServerSeedHash()
+  });
+}
+
 /**
  * End the current game and determine winners
  * @param {Object} io Socket.io instance
  * @param {Game} game The game object
  */
 function endGame(io, game) {
+  clearTimeout(runouts.get(game.id));
+  runouts.delete(game.id);
+  stopTurnClock(game);
+  
   const activePlayers = game.players.filter(p => p.isActive);
   
   // Handle case where everyone folded except one player
   if (activePlayers.length === 1) {
     const winner = activePlayers[0];
+    game.takeRake(game.getPots());
     winner.receiveChips(game.pot);
     
     io.to(game.id).emit('gameEnded', {
@@ -379,53 +1260,149 @@ function endGame(io, game) {
         amount: game.pot,
         hand: null
       }],
+      rake: game.handRake,
       showdown: false
     });
   } else {
-    // Normal showdown with multiple players
-    const potDistribution = handEvaluator.calculatePotDistribution(
-      activePlayers, 
-      game.communityCards, 
-      game.pot
-    );
-    
-    // Award chips to winners
-    potDistribution.forEach(({ player, amount }) => {
-      player.receiveChips(amount);
-    });
+    // Normal showdown: resolve the main pot and each side pot separately. When the
+    // board was run more than once, each run is played for an equal share of every pot.
+    const boards = game.getBoards();
+    const isSplitPot = game.variant.splitPot === 'hi-lo';
+    const runs = boards.map(board => ({
+      board,
+      evaluations: new Map(activePlayers.map(player => [player.id, game.evaluateHand(player, board)])),
+      lowEvaluations: new Map(activePlayers.map(player => [player.id, game.evaluateLowHand(player, board)]))
+    }));
     
-    // Format winners for the event
-    const winners = potDistribution.map(({ player, amount }) => ({
+    const formatWinner = (player, amount, evaluation) => ({
       player: {
         id: player.id,
         name: player.name,
         chips: player.chips
       },
       amount,
-      hand: handEvaluator.evaluateHand(player.cards, game.communityCards).name,
-      cards: player.cards
+      hand: evaluation.name,
+      cards: player.cards,
+      bestCards: evaluation.cards
+    });
+    
+    // Sum each player's winnings across a list of distribution entries, describing
+    // their hand on the first run they won
+    const aggregate = (entries, evaluationsOf) => {
+      const totals = new Map();
+      entries.forEach(({ player, amount, run }) => {
+        const total = totals.get(player.id);
+        totals.set(player.id, total
+          ? { ...total, amount: total.amount + amount }
+          : { player, amount, run });
+      });
+      return [...totals.values()].map(({ player, amount, run }) =>
+        formatWinner(player, amount, evaluationsOf(runs[run]).get(player.id)));
+    };
+    const highEvaluations = run => run.evaluations;
+    const lowEvaluations = run => run.lowEvaluations;
+    
+    // High and low winners are listed separately in split-pot games
+    const splitWinners = (entries) => (isSplitPot ? {
+      highWinners: aggregate(entries.filter(entry => entry.share === 'high'), highEvaluations),
+      lowWinners: aggregate(entries.filter(entry => entry.share === 'low'), lowEvaluations)
+    } : {});
+    
+    // Odd chips go to the earlier runs
+    const runShare = (amount, run) =>
+      Math.floor(amount / runs.length) + (run < amount % runs.length ? 1 : 0);
+    
+    const pots = game.takeRake(game.getPots());
+    const runResults = runs.map((run, runIndex) => pots.map(pot => {
+      const potDistribution = handEvaluator.calculatePotDistribution(
+        pot.eligiblePlayers, 
+        run.board, 
+        runShare(pot.amount, runIndex),
+        game.variant
+      ).map(entry => ({ ...entry, run: runIndex }));
+      
+      // Award chips to winners
+      potDistribution.forEach(({ player, amount }) => {
+        player.receiveChips(amount);
+      });
+      
+      return { pot, amount: runShare(pot.amount, runIndex), potDistribution };
+    }));
+    
+    // Report each pot's winners, plus each player's total across all pots
+    const describePots = (potResults) => potResults.map(({ pot, amount, potDistribution }) => ({
+      amount,
+      eligiblePlayers: pot.eligiblePlayers.map(p => p.id),
+      winners: aggregate(potDistribution, highEvaluations),
+      ...splitWinners(potDistribution)
     }));
+    const distributionsOf = (potResults) => potResults.flatMap(({ potDistribution }) => potDistribution);
+    
+    const allDistributions = runResults.flatMap(distributionsOf);
+    const winners = aggregate(allDistributions, highEvaluations);
     
     // Emit results to all players
     io.to(game.id).emit('gameEnded', {
       winners,
+      ...splitWinners(allDistributions),
+      pots: (runs.length === 1
+        ? describePots(runResults[0])
+        : pots.map(pot => ({ amount: pot.amount, eligiblePlayers: pot.eligiblePlayers.map(p => p.id) })))
+        .map((pot, index) => ({ ...pot, rake: pots[index].rake })),
+      rake: game.handRake,
       showdown: true,
-      communityCards: game.communityCards
+      communityCards: game.communityCards,
+      ...(runs.length > 1 && {
+        runs: runResults.map((potResults, runIndex) => {
+          const runWinners = distributionsOf(potResults);
+          return {
+            communityCards: runs[runIndex].board,
+            winners: aggregate(runWinners, highEvaluations),
+            ...splitWinners(runWinners),
+            pots: describePots(potResults)
+          };
+        })
+      })
     });
     
     // Show all players' cards
     activePlayers.forEach(player => {
+      const evaluation = runs[0].evaluations.get(player.id);
       io.to(game.id).emit('showCards', {
         playerId: player.id,
         cards: player.cards,
-        handName: handEvaluator.evaluateHand(player.cards, game.communityCards).name
+        handName: evaluation.name,
+        bestCards: evaluation.cards,
+        kickers: evaluation.kickers,
+        ...(isSplitPot && { low: runs[0].lowEvaluations.get(player.id) }),
+        ...(runs.length > 1 && {
+          runs: runs.map(run => ({
+            handName: run.evaluations.get(player.id).name,
+            bestCards: run.evaluations.get(player.id).cards
+          }))
+        })
       });
     });
   }
   
-  // Reset the game state for a new round
+  game.recordHandResults();
+  revealShuffle(io, game);
+  
+  // Reset the game state for a new round; the button moves when it starts
   game.gamePhase = gameConfig.PHASES.WAITING;
-  game.dealerPosition = (game.dealerPosition + 1) % game.players.length;
+  
+  // Tournaments place busted players and deal on by themselves
+  const tournament = findTournament(game.id);
+  if (tournament instanceof MultiTableTournament) {
+    finishMultiTableHand(io, tournament, game);
+    return;
+  }
+  if (tournament) {
+    finishTournamentHand(io, tournament);
+    return;
+  }
+  
+  removeExpiredSitOuts(io, game);
   
   // After a short delay, allow starting a new round
   setTimeout(() => {
@@ -435,4 +1412,4 @@ function endGame(io, game) {
   }, gameConfig.ROUND_END_DELAY);
 }
 
-module.exports = { setupGameSockets, games }; 
\ No newline at end of file
+module.exports = { setupGameSockets, games, tournaments, findTournament }; 
\ No newline at end of file
@@ -0,0 +1,241 @@
+const BettingRound = require('../models/BettingRound');
+const Game = require('../models/Game');
+
+// A game with blinds posted and the first player to act on turn
+const startedGame = (count, chips = [], options = {}) => {
+  const game = new Game('betting', options);
+  const players = Array.from({ length: count }, (_, i) => game.addPlayer(`p${i}`, `P${i}`));
+  chips.forEach((amount, i) => { players[i].chips = amount; });
+  game.startRound();
+  return { game, players };
+};
+
+// Apply actions in turn order, moving the turn like the socket handler does
+const play = (game, actions) => {
+  let result;
+  actions.forEach(([action, amount]) => {
+    result = game.handleAction(game.seats[game.currentTurn], action, amount);
+    if (!result.roundComplete) game.moveToNextActivePlayer();
+  });
+  return result;
+};
+
+describe('BettingRound', () => {
+  describe('round completion', () => {
+    test('should give the big blind its option when everyone calls preflop', () => {
+      const { game, players } = startedGame(3);
+      const result = play(game, [['call'], ['call']]);
+      expect(result.roundComplete).toBe(false);
+      expect(game.seats[game.currentTurn]).toBe(players[2]);
+      expect(play(game, [['check']]).roundComplete).toBe(true);
+    });
+
+    test('should let the big blind raise when given its option', () => {
+      const { game, players } = startedGame(3);
+      play(game, [['call'], ['call']]);
+      const result = play(game, [['raise', 40]]);
+      expect(result.roundComplete).toBe(false);
+      expect(game.seats[game.currentTurn]).toBe(players[0]);
+    });
+
+    test('should not end a street after the first check', () => {
+      const { game } = startedGame(3);
+      play(game, [['call'], ['call'], ['check']]);
+      game.dealCommunityCards();
+      expect(play(game, [['check']]).roundComplete).toBe(false);
+      expect(play(game, [['check']]).roundComplete).toBe(false);
+      expect(play(game, [['check']]).roundComplete).toBe(true);
+    });
+
+    test('should end heads-up preflop when the big blind checks', () => {
+      const { game, players } = startedGame(2);
+      expect(game.seats[game.currentTurn]).toBe(players[0]);
+      expect(play(game, [['call']]).roundComplete).toBe(false);
+      expect(play(game, [['check']]).roundComplete).toBe(true);
+    });
+
+    test('should end once everyone left is all-in or matched', () => {
+      const { game } = startedGame(3, [1000, 1000, 1000]);
+      const result = play(game, [['raise', 1000], ['call'], ['fold']]);
+      expect(result.roundComplete).toBe(true);
+    });
+
+    test('should skip all-in players when passing the turn', () => {
+      const { game, players } = startedGame(4, [1000, 1000, 1000, 200]);
+      play(game, [['raise', 200]]);
+      expect(players[3].chips).toBe(0);
+      expect(game.seats[game.currentTurn]).toBe(players[0]);
+    });
+  });
+
+  describe('minimum raise', () => {
+    test('should require raising by at least the big blind', () => {
+      const { game } = startedGame(3);
+      const player = game.seats[game.currentTurn];
+      expect(() => game.handleAction(player, 'raise', 15)).toThrow('Minimum raise is to 20');
+      expect(game.handleAction(player, 'raise', 20).totalBet).toBe(20);
+    });
+
+    test('should require re-raising by at least the previous raise', () => {
+      const { game } = startedGame(3);
+      play(game, [['raise', 50]]);
+      const player = game.seats[game.currentTurn];
+      // The raise was 40 over the big blind, so the next raise is to at least 90
+      expect(() => game.handleAction(player, 'raise', 80)).toThrow('Minimum raise is to 90');
+      expect(game.handleAction(player, 'raise', 90).totalBet).toBe(90);
+    });
+
+    test('should require a minimum bet of the big blind after the flop', () => {
+      const { game } = startedGame(3);
+      play(game, [['call'], ['call'], ['check']]);
+      game.dealCommunityCards();
+      const player = game.seats[game.currentTurn];
+      expect(() => game.handleAction(player, 'raise', 5)).toThrow('Minimum raise is to 10');
+    });
+
+    test('should allow an all-in for less than a minimum raise', () => {
+      const { game, players } = startedGame(3, [1000, 1000, 1000]);
+      play(game, [['raise', 100]]);
+      players[1].chips = 140 - players[1].currentBet;
+      const result = play(game, [['raise', 140]]);
+      expect(result.allIn).toBe(true);
+      expect(game.currentBet).toBe(140);
+    });
+
+    test('should report the options of the player on turn', () => {
+      const { game } = startedGame(3);
+      expect(game.getBettingOptions()).toEqual({
+        canCheck: false,
+        callAmount: 10,
+        canRaise: true,
+        minRaiseTo: 20,
+        maxRaiseTo: 1000
+      });
+    });
+  });
+
+  describe('short all-in raises', () => {
+    test('should not reopen the action for a player who already acted', () => {
+      const { game, players } = startedGame(3, [1000, 1000, 1000]);
+      play(game, [['raise', 100]]);
+      players[1].chips = 150 - players[1].currentBet;
+      play(game, [['raise', 150]]);
+      // p2 has not acted since the raise to 100, so may still raise
+      expect(game.getBettingOptions().canRaise).toBe(true);
+      play(game, [['call']]);
+      // p0 only faces the short all-in: call or fold
+      expect(game.seats[game.currentTurn]).toBe(players[0]);
+      expect(game.getBettingOptions().canRaise).toBe(false);
+      expect(() => game.handleAction(players[0], 'raise', 300))
+        .toThrow('The action was not reopened by a full raise; call or fold');
+      expect(play(game, [['call']]).roundComplete).toBe(true);
+    });
+
+    test('should reopen the action after a full all-in raise', () => {
+      const round = new BettingRound({ currentBet: 100, minRaise: 100 });
+      const opener = { id: 'a', currentBet: 100, chips: 900 };
+      const jammer = { id: 'b', currentBet: 0, chips: 200 };
+      round.act(opener, 'check');
+      round.act(jammer, 'raise', 200);
+      expect(round.getOptions(opener).canRaise).toBe(true);
+    });
+  });
+
+  describe('act', () => {
+    const player = (id, currentBet = 0, chips = 1000) => ({ id, currentBet, chips, isActive: true });
+
+    test('should reject checking facing a bet and calling without one', () => {
+      const round = new BettingRound({ currentBet: 10, minRaise: 10 });
+      expect(() => round.act(player('a'), 'check')).toThrow('Cannot check, must call or raise');
+      expect(() => round.act(player('b', 10), 'call')).toThrow('No bet to call, should check instead');
+    });
+
+    test('should cap a call at the player stack', () => {
+      const round = new BettingRound({ currentBet: 100, minRaise: 10 });
+      expect(round.act(player('a', 0, 60), 'call')).toEqual({ action: 'call', amount: 60, totalBet: 60, allIn: true });
+    });
+
+    test('should enforce the maximum from the betting structure', () => {
+      const round = new BettingRound({ currentBet: 10, minRaise: 10, getMaxRaiseTo: () => 35 });
+      expect(() => round.act(player('a'), 'raise', 40)).toThrow('Raise exceeds the limit (max 35)');
+    });
+
+    test('should reject unknown actions', () => {
+      const round = new BettingRound({ minRaise: 10 });
+      expect(() => round.act(player('a'), 'bluff')).toThrow('Invalid action');
+    });
+  });
+
+  describe('betting structures', () => {
+    const fixedLimit = (count = 3, chips = []) => startedGame(count, chips, { bettingStructure: 'fixed-limit' });
+
+    test('should default to the variant structure and allow overriding it per table', () => {
+      expect(new Game('nl').getBettingStructure()).toEqual({ id: 'no-limit', name: 'No-Limit' });
+      expect(new Game('plo', { variant: 'omaha' }).getBettingStructure().id).toBe('pot-limit');
+      expect(new Game('lhe', { bettingStructure: 'fixed-limit', smallBet: 20 }).getBettingStructure()).toEqual({
+        id: 'fixed-limit',
+        name: 'Fixed-Limit',
+        smallBet: 20,
+        bigBet: 40,
+        raiseCap: 4
+      });
+    });
+
+    test('should reject unknown structures and bad bet sizes', () => {
+      expect(() => new Game('bad', { bettingStructure: 'spread-limit' })).toThrow('Unknown betting structure: spread-limit');
+      expect(() => new Game('bad', { bettingStructure: 'fixed-limit', bigBet: -5 })).toThrow('bigBet must be a positive whole number');
+    });
+
+    test('should only allow fixed-limit raises of one small bet preflop', () => {
+      const { game } = fixedLimit();
+      const player = game.seats[game.currentTurn];
+      expect(game.getBettingOptions()).toMatchObject({ minRaiseTo: 20, maxRaiseTo: 20 });
+      expect(() => game.handleAction(player, 'raise', 30)).toThrow('Fixed-limit raises must be to exactly 20');
+      expect(game.handleAction(player, 'raise', 20).totalBet).toBe(20);
+    });
+
+    test('should cap fixed-limit betting at a bet and three raises', () => {
+      const { game } = fixedLimit(4);
+      play(game, [['raise', 20], ['raise', 30], ['raise', 40]]);
+      const player = game.seats[game.currentTurn];
+      expect(game.getBettingOptions().canRaise).toBe(false);
+      expect(() => game.handleAction(player, 'raise', 50)).toThrow('Betting is capped at 4 bets this street');
+    });
+
+    test('should use the big bet on the turn', () => {
+      const { game } = fixedLimit();
+      play(game, [['call'], ['call'], ['check']]);
+      game.dealCommunityCards();
+      play(game, [['check'], ['check'], ['check']]);
+      game.dealCommunityCards();
+      const player = game.seats[game.currentTurn];
+      expect(() => game.handleAction(player, 'raise', 10)).toThrow('Fixed-limit raises must be to exactly 20');
+      expect(game.handleAction(player, 'raise', 20).totalBet).toBe(20);
+    });
+
+    test('should complete a short fixed-limit all-in to the next full bet', () => {
+      const { game, players } = fixedLimit(3, [1000, 1000, 1000]);
+      play(game, [['raise', 20]]);
+      players[1].chips = 25 - players[1].currentBet;
+      play(game, [['raise', 25]]);
+      expect(game.getBettingOptions()).toMatchObject({ canRaise: true, minRaiseTo: 30, maxRaiseTo: 30 });
+    });
+
+    test('should complete a stud bring-in to the small bet', () => {
+      const game = new Game('stud', { variant: 'stud', bringIn: 3, smallBet: 10 });
+      ['a', 'b', 'c'].forEach(id => game.addPlayer(id, id));
+      game.startRound();
+      const player = game.seats[game.currentTurn];
+      expect(() => game.handleAction(player, 'raise', 13)).toThrow('Fixed-limit raises must be to exactly 10');
+      expect(game.handleAction(player, 'raise', 10).totalBet).toBe(10);
+    });
+
+    test('should cap pot-limit raises at the size of the pot', () => {
+      const { game } = startedGame(3, [], { bettingStructure: 'pot-limit' });
+      const player = game.seats[game.currentTurn];
+      expect(game.getBettingOptions().maxRaiseTo).toBe(35);
+      expect(() => game.handleAction(player, 'raise', 40)).toThrow('Raise exceeds the pot limit (max 35)');
+      expect(game.handleAction(player, 'raise', 35).totalBet).toBe(35);
+    });
+  });
+});
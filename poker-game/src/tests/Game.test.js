@@ -0,0 +1,879 @@
+const Game = require('../models/Game');
+const gameConfig = require('../config/gameConfig');
+const cardUtils = require('../utils/cardUtils');
+const fairShuffle = require('../utils/fairShuffle');
+
+describe('Game', () => {
+  describe('variants', () => {
+    test('should default to Hold\'em with two hole cards', () => {
+      const game = new Game('holdem');
+      game.addPlayer('a', 'A');
+      game.addPlayer('b', 'B');
+      game.startRound();
+      expect(game.variant.id).toBe(gameConfig.DEFAULT_VARIANT);
+      expect(game.players.every(p => p.cards.length === 2)).toBe(true);
+    });
+
+    test('should deal four hole cards in Omaha', () => {
+      const game = new Game('omaha', { variant: 'omaha' });
+      game.addPlayer('a', 'A');
+      game.addPlayer('b', 'B');
+      game.addPlayer('c', 'C');
+      game.startRound();
+      expect(game.players.every(p => p.cards.length === 4)).toBe(true);
+    });
+
+    test('should reject unknown variants', () => {
+      expect(() => new Game('bad', { variant: 'razz' })).toThrow('Unknown game variant: razz');
+    });
+  });
+
+  describe('seating', () => {
+    test('should seat a player who sits down mid-hand for the next hand', () => {
+      const game = new Game('seats');
+      ['a', 'b', 'c', 'd'].forEach(id => game.addPlayer(id, id));
+      game.removePlayer('a');
+      game.startRound();
+      const turnPlayer = game.seats[game.currentTurn];
+
+      const late = game.addPlayer('a2', 'A2', { chips: 500 });
+      expect(late.seat).toBe(0);
+      expect(late.chips).toBe(500);
+      expect(late.isActive).toBe(false);
+      expect(game.seats[game.currentTurn]).toBe(turnPlayer);
+
+      game.gamePhase = gameConfig.PHASES.WAITING;
+      game.startRound();
+      expect(late.isActive).toBe(true);
+      expect(late.cards.length).toBe(2);
+    });
+
+    test('should let players choose a seat and show the empty ones', () => {
+      const game = new Game('seats');
+      const first = game.addPlayer('a', 'A', { seat: 4 });
+      const second = game.addPlayer('b', 'B');
+      expect([first.seat, second.seat]).toEqual([4, 0]);
+      expect(game.players).toEqual([second, first]);
+      expect(game.getEmptySeats()).toEqual([1, 2, 3, 5, 6, 7, 8]);
+      expect(game.getSeatMap()[4]).toEqual({ seat: 4, playerId: 'a', name: 'A' });
+      expect(game.getSeatMap()[5]).toEqual({ seat: 5, playerId: null, name: null });
+
+      expect(() => game.addPlayer('c', 'C', { seat: 4 })).toThrow('Seat 4 is taken');
+      expect(() => game.addPlayer('c', 'C', { seat: 9 })).toThrow('Seat must be a whole number from 0 to 8');
+    });
+
+    test('should keep the turn and button on their seats when players come and go mid-hand', () => {
+      const game = new Game('seats');
+      [1, 4, 6, 8].forEach(seat => game.addPlayer(`p${seat}`, `P${seat}`, { seat }));
+      game.startRound();
+      expect(game.positions).toMatchObject({ button: 1, smallBlind: 4, bigBlind: 6 });
+      expect(game.dealerPosition).toBe(1);
+      expect(game.currentTurn).toBe(8);
+
+      game.removePlayer('p4');
+      game.addPlayer('late', 'Late', { seat: 0 });
+      expect(game.currentTurn).toBe(8);
+      expect(game.dealerPosition).toBe(1);
+
+      // Action wraps past the empty seats back to the button
+      game.handleAction(game.seats[8], 'call');
+      game.moveToNextActivePlayer();
+      expect(game.currentTurn).toBe(1);
+    });
+  });
+
+  describe('getPotLimitMaxBet', () => {
+    test('should allow a pot-sized raise over the blinds', () => {
+      const game = new Game('plo', { variant: 'omaha' });
+      const players = ['a', 'b', 'c'].map(id => game.addPlayer(id, id));
+      game.placeBet(players[1], 5);
+      game.placeBet(players[2], 10);
+      game.currentBet = 10;
+      // Call 10, then raise the 25 in the pot: raise to 35
+      expect(game.getPotLimitMaxBet(players[0])).toBe(35);
+    });
+
+    test('should count the call when facing a bet', () => {
+      const game = new Game('plo', { variant: 'omaha' });
+      const players = ['a', 'b'].map(id => game.addPlayer(id, id));
+      game.pot = 100;
+      game.placeBet(players[0], 50);
+      game.currentBet = 50;
+      // Pot 150, call 50 makes 200, so raise to 50 + 200
+      expect(game.getPotLimitMaxBet(players[1])).toBe(250);
+    });
+  });
+
+  describe('Short Deck', () => {
+    test('should deal from a 36 card deck', () => {
+      const game = new Game('six-plus', { variant: 'short-deck' });
+      game.addPlayer('a', 'A');
+      game.addPlayer('b', 'B');
+      game.startRound();
+      expect(game.deck.cards.length + 4).toBe(36);
+      const dealt = [...game.deck.cards, ...game.players.flatMap(p => p.cards)];
+      expect(dealt.some(c => ['2', '3', '4', '5'].includes(c.value))).toBe(false);
+    });
+
+    test('should take a button ante instead of blinds', () => {
+      const game = new Game('six-plus', { variant: 'short-deck', buttonAnte: 20 });
+      const players = ['a', 'b', 'c'].map(id => game.addPlayer(id, id));
+      game.startRound();
+      expect(game.pot).toBe(20);
+      expect(game.currentBet).toBe(0);
+      expect(players[0].chips).toBe(gameConfig.STARTING_CHIPS - 20);
+      expect(players.every(p => p.currentBet === 0)).toBe(true);
+      expect(game.contributions.get('a')).toBe(20);
+      expect(game.currentTurn).toBe(1);
+      expect(game.getForcedBets()).toEqual({
+        smallBlind: null,
+        bigBlind: null,
+        buttonAnte: { seat: 0, amount: 20 },
+        ante: null,
+        bigBlindAnte: null,
+        straddle: null,
+        bringIn: null,
+        missedBlinds: []
+      });
+    });
+
+    test('should only allow the trips option for Short Deck', () => {
+      expect(new Game('six-plus', { variant: 'short-deck', tripsBeatStraight: true }).variant.tripsBeatStraight).toBe(true);
+      expect(() => new Game('holdem', { tripsBeatStraight: true })).toThrow('Trips over straight only applies to Short Deck');
+    });
+  });
+
+  describe('Antes and straddles', () => {
+    const table = (options, count = 4) => {
+      const game = new Game('antes', options);
+      const players = ['a', 'b', 'c', 'd', 'e', 'f'].slice(0, count).map(id => game.addPlayer(id, id));
+      return { game, players };
+    };
+    const { SMALL_BLIND, BIG_BLIND, STARTING_CHIPS } = gameConfig;
+
+    test('should take an ante from every player as dead money', () => {
+      const { game, players } = table({ ante: 5 });
+      game.startRound();
+      expect(game.pot).toBe(20 + SMALL_BLIND + BIG_BLIND);
+      expect(players[0].chips).toBe(STARTING_CHIPS - 5);
+      expect(players[0].currentBet).toBe(0);
+      expect(players[2].currentBet).toBe(BIG_BLIND);
+      expect(game.currentBet).toBe(BIG_BLIND);
+      expect(game.getForcedBets().ante).toBe(5);
+      expect(game.getPots().reduce((sum, pot) => sum + pot.amount, 0)).toBe(game.pot);
+    });
+
+    test('should have the big blind post one ante for the table', () => {
+      const { game, players } = table({ bigBlindAnte: true });
+      game.startRound();
+      expect(players[2].chips).toBe(STARTING_CHIPS - 2 * BIG_BLIND);
+      expect(players[2].currentBet).toBe(BIG_BLIND);
+      expect(players[3].chips).toBe(STARTING_CHIPS);
+      expect(game.pot).toBe(SMALL_BLIND + 2 * BIG_BLIND);
+      const forcedBets = game.getForcedBets();
+      expect(forcedBets.ante).toBeNull();
+      expect(forcedBets.bigBlindAnte).toEqual({ seat: 2, amount: BIG_BLIND });
+    });
+
+    test('should post the big blind before its ante when the stack is short', () => {
+      const { game, players } = table({ bigBlindAnte: true });
+      players[2].chips = BIG_BLIND + 3;
+      game.startRound();
+      expect(players[2].currentBet).toBe(BIG_BLIND);
+      expect(game.contributions.get('c')).toBe(BIG_BLIND + 3);
+    });
+
+    test('should let the player under the gun straddle and act last', () => {
+      const { game, players } = table({ straddle: 'utg' });
+      game.requestStraddle('d');
+      game.startRound();
+      const straddle = 2 * BIG_BLIND;
+      expect(players[3].currentBet).toBe(straddle);
+      expect(game.currentBet).toBe(straddle);
+      expect(game.currentTurn).toBe(0);
+      expect(game.getForcedBets().straddle).toEqual({ seat: 3, amount: straddle, type: 'utg' });
+      expect(game.getBettingOptions().minRaiseTo).toBe(2 * straddle);
+
+      [0, 1].forEach(index => {
+        game.handleAction(players[index], 'call');
+        game.moveToNextActivePlayer();
+      });
+      expect(game.handleAction(players[2], 'call').roundComplete).toBe(false);
+      game.moveToNextActivePlayer();
+      expect(game.currentTurn).toBe(3);
+      expect(game.getBettingOptions().canCheck).toBe(true);
+      expect(game.handleAction(players[3], 'check').roundComplete).toBe(true);
+    });
+
+    test('should let the button straddle Mississippi style', () => {
+      const { game, players } = table({ straddle: 'button' });
+      game.requestStraddle('a');
+      game.startRound();
+      expect(players[0].currentBet).toBe(2 * BIG_BLIND);
+      expect(game.currentTurn).toBe(1);
+    });
+
+    test('should only straddle for players who asked, and only for one hand', () => {
+      const { game, players } = table({ straddle: 'utg' });
+      game.requestStraddle('a');
+      game.startRound();
+      expect(game.straddle).toBeNull();
+      expect(players[3].currentBet).toBe(0);
+      expect(game.currentTurn).toBe(3);
+      expect(game.straddleRequests.size).toBe(0);
+    });
+
+    test('should validate straddle settings and requests', () => {
+      expect(() => new Game('x', { straddle: 'sb' })).toThrow('Unknown straddle type: sb');
+      expect(() => new Game('x', { straddle: 'utg', bettingStructure: 'fixed-limit' }))
+        .toThrow('Straddles are only available in no-limit and pot-limit games');
+      expect(() => new Game('x', { variant: 'stud', bigBlindAnte: true }))
+        .toThrow('Straddles and big blind antes need a game with blinds');
+      expect(() => new Game('x', { ante: -1 })).toThrow('ante must be a non-negative whole number');
+
+      const { game } = table({});
+      expect(() => game.requestStraddle('a')).toThrow('Straddles are not allowed at this table');
+      const { game: straddleGame } = table({ straddle: 'utg' });
+      straddleGame.startRound();
+      expect(() => straddleGame.requestStraddle('a')).toThrow('Straddles must be requested before the deal');
+    });
+  });
+
+  describe('All-in runouts', () => {
+    // Heads-up hand where the first player to act shoves and the other calls
+    const allInHand = (chips = [500, 1000]) => {
+      const game = new Game('allin');
+      const players = ['a', 'b'].map((id, i) => game.addPlayer(id, id, { chips: chips[i] }));
+      game.startRound();
+      const shover = players[game.currentTurn];
+      game.handleAction(shover, 'raise', shover.chips + shover.currentBet);
+      game.moveToNextActivePlayer();
+      const result = game.handleAction(players[game.currentTurn], 'call');
+      return { game, players, result };
+    };
+
+    test('should leave nobody on turn when the blinds put everyone all-in', () => {
+      const game = new Game('blinded', { tournament: true });
+      const players = ['a', 'b'].map(id => game.addPlayer(id, id));
+      players[0].chips = 5;
+      players[1].chips = 8;
+      game.startRound();
+      expect(game.isBettingRoundComplete()).toBe(true);
+      expect(game.isAllIn()).toBe(true);
+      expect(game.currentTurn).toBeNull();
+    });
+
+    test('should still give the turn to a player who has to call a short all-in blind', () => {
+      const game = new Game('short', { tournament: true });
+      const players = ['a', 'b'].map(id => game.addPlayer(id, id));
+      players[0].chips = 8;
+      game.startRound();
+      expect(game.isBettingRoundComplete()).toBe(false);
+      expect(game.canAct(game.seats[game.currentTurn])).toBe(true);
+    });
+
+    test('should end the betting once at most one player is not all-in', () => {
+      const { game, result } = allInHand();
+      expect(result.roundComplete).toBe(true);
+      expect(game.isAllIn()).toBe(true);
+      expect(game.canRunItMultipleTimes()).toBe(true);
+
+      const fresh = new Game('fresh');
+      ['a', 'b'].forEach(id => fresh.addPlayer(id, id));
+      fresh.startRound();
+      expect(fresh.isAllIn()).toBe(false);
+    });
+
+    test('should run the board the fewest times anyone agreed to', () => {
+      const { game } = allInHand();
+      expect(game.voteRunouts('a', 3)).toBe(false);
+      expect(game.getAgreedRunouts()).toBe(1);
+      expect(game.voteRunouts('b', 2)).toBe(true);
+      expect(game.getAgreedRunouts()).toBe(2);
+    });
+
+    test('should deal independent boards that share the cards already out', () => {
+      const { game } = allInHand();
+      game.dealCommunityCards();
+      const flop = [...game.communityCards];
+      const boards = game.dealRunouts(3);
+      expect(boards.length).toBe(3);
+      boards.forEach(board => {
+        expect(board.length).toBe(5);
+        expect(board.slice(0, 3)).toEqual(flop);
+      });
+      const runoutCards = boards.flatMap(board => board.slice(3)).map(cardUtils.formatCard);
+      expect(new Set(runoutCards).size).toBe(6);
+      expect(game.communityCards).toBe(boards[0]);
+      expect(game.getBoards()).toBe(boards);
+      expect(game.gamePhase).toBe(gameConfig.PHASES.SHOWDOWN);
+    });
+
+    test('should only take votes from players in an all-in hand with cards to come', () => {
+      const { game } = allInHand();
+      expect(() => game.voteRunouts('z', 2)).toThrow('You are not in this hand');
+      expect(() => game.voteRunouts('a', gameConfig.MAX_RUNOUTS + 1))
+        .toThrow(`times must be a whole number from 1 to ${gameConfig.MAX_RUNOUTS}`);
+      game.dealCommunityCards();
+      game.dealCommunityCards();
+      game.dealCommunityCards();
+      expect(() => game.voteRunouts('a', 2))
+        .toThrow('The board can only be run more than once when everyone is all-in with cards to come');
+    });
+
+    test('should let all-in players draw in draw games', () => {
+      const game = new Game('draw', { variant: 'draw' });
+      const players = ['a', 'b', 'c'].map(id => game.addPlayer(id, id));
+      game.startRound();
+      players[1].chips = 0;
+      game.startDraw();
+      const order = [];
+      while (!game.isDrawComplete()) {
+        const player = game.seats[game.currentTurn];
+        order.push(player.id);
+        game.draw(player, []);
+        game.moveToNextActivePlayer();
+      }
+      expect(order.sort()).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('Turn clock', () => {
+    const table = (options = {}) => {
+      const game = new Game('clock', options);
+      const players = ['a', 'b', 'c'].map(id => game.addPlayer(id, id));
+      return { game, players };
+    };
+
+    test('should check when possible and fold otherwise when the clock runs out', () => {
+      const { game, players } = table();
+      game.startRound();
+      expect(game.getTimeoutAction(players[game.currentTurn])).toBe('fold');
+      const bigBlind = game.seats[game.positions.bigBlind];
+      expect(game.getTimeoutAction(bigBlind)).toBe('check');
+    });
+
+    test('should sit a player out after timing out too many turns in a row, and deal them back in once they return', () => {
+      const { game, players } = table();
+      for (let i = 1; i < gameConfig.MAX_TIMEOUTS; i++) {
+        expect(game.recordTimeout(players[0])).toBe(false);
+      }
+      expect(game.recordTimeout(players[0])).toBe(true);
+      expect(players[0].sittingOut).toBe(true);
+
+      game.startRound();
+      expect(players[0].isActive).toBe(false);
+      expect(players[0].cards).toEqual([]);
+
+      game.sitIn('a');
+      expect(players[0].timeouts).toBe(0);
+      game.startRound();
+      expect(players[0].isActive).toBe(true);
+    });
+
+    test('should keep dealing tournament players who sit out', () => {
+      const { game, players } = table({ tournament: true });
+      players[0].sittingOut = true;
+      game.startRound();
+      expect(players[0].isActive).toBe(true);
+    });
+
+    test('should refill time banks every few hands, up to a full bank', () => {
+      const { game, players } = table();
+      players[0].useTimeBank(gameConfig.TIME_BANK);
+      players[1].useTimeBank(1);
+      expect(players[0].timeBank).toBe(0);
+      for (let i = 0; i < gameConfig.TIME_BANK_REFILL_HANDS; i++) {
+        game.startRound();
+      }
+      expect(players[0].timeBank).toBe(gameConfig.TIME_BANK_REFILL);
+      expect(players[1].timeBank).toBe(gameConfig.TIME_BANK);
+    });
+  });
+
+  describe('Buy-ins and the ledger', () => {
+    const { SMALL_BLIND } = gameConfig;
+
+    test('should keep cash game buy-ins within the table limits', () => {
+      const game = new Game('cash');
+      expect([game.minBuyIn, game.maxBuyIn]).toEqual([400, 2000]);
+      expect(() => game.addPlayer('a', 'A', { chips: 300 })).toThrow('Buy-in must be a whole number from 400 to 2000');
+      expect(game.addPlayer('a', 'A', { chips: 2000 }).chips).toBe(2000);
+
+      expect(new Game('deep', { bigBlind: 100 }).startingChips).toBe(4000);
+      expect(() => new Game('x', { minBuyIn: 500, maxBuyIn: 400 }))
+        .toThrow('The minimum buy-in cannot be bigger than the maximum buy-in');
+      expect(() => new Game('x', { startingChips: 5000 })).toThrow('startingChips must be a buy-in from 400 to 2000');
+      expect(new Game('x', { tournament: true }).maxBuyIn).toBeNull();
+    });
+
+    test('should top up to the maximum buy-in, but not during a hand the player is in', () => {
+      const game = new Game('cash');
+      const [a, b] = ['a', 'b'].map(id => game.addPlayer(id, id));
+      expect(game.topUp('a', 1000)).toMatchObject({ type: 'top-up', playerId: 'a', amount: 1000, chips: 2000 });
+      expect(() => game.topUp('a', 1)).toThrow('You can top up to at most 2000 chips');
+      expect(() => game.topUp('b', 0)).toThrow('amount must be a positive whole number');
+
+      game.startRound();
+      expect(() => game.topUp('b', 100)).toThrow('You cannot add chips during a hand you are playing');
+      expect(a.chips + b.chips + game.pot).toBe(3000);
+      expect(() => new Game('t', { tournament: true }).topUp('a', 100))
+        .toThrow('Tournament chips can only be bought with rebuys and add-ons');
+    });
+
+    test('should let busted cash game players rebuy', () => {
+      const game = new Game('cash');
+      const busted = game.addPlayer('a', 'A');
+      game.addPlayer('b', 'B');
+      expect(() => game.rebuy('a')).toThrow('You can only rebuy once you have busted');
+
+      busted.chips = 0;
+      expect(() => game.topUp('a', 500)).toThrow('Busted players rebuy instead of topping up');
+      expect(() => game.rebuy('a', 100)).toThrow('Buy-in must be a whole number from 400 to 2000');
+      expect(game.rebuy('a', 400)).toMatchObject({ type: 'rebuy', amount: 400, chips: 400 });
+    });
+
+    test('should record every chip movement so each stack adds up', () => {
+      const game = new Game('cash');
+      const [a, b, c] = ['a', 'b', 'c'].map(id => game.addPlayer(id, id));
+      game.startRound();
+      // b leaves after posting the small blind, which stays in the pot
+      game.removePlayer('b');
+      game.handleAction(a, 'fold');
+      c.receiveChips(game.pot);
+      game.recordHandResults();
+
+      expect(game.ledger.getEntries('b').map(({ type, amount }) => ({ type, amount }))).toEqual([
+        { type: 'buy-in', amount: 1000 },
+        { type: 'hand', amount: -SMALL_BLIND },
+        { type: 'cash-out', amount: -(1000 - SMALL_BLIND) }
+      ]);
+      expect(game.ledger.getSummary()).toEqual([
+        { playerId: 'a', name: 'a', bought: 1000, won: 0, transferred: 0, cashedOut: 0, chips: a.chips },
+        { playerId: 'b', name: 'b', bought: 1000, won: -SMALL_BLIND, transferred: 0, cashedOut: 1000 - SMALL_BLIND, chips: 0 },
+        { playerId: 'c', name: 'c', bought: 1000, won: SMALL_BLIND, transferred: 0, cashedOut: 0, chips: c.chips }
+      ]);
+    });
+  });
+
+  describe('Rake', () => {
+    const rakedGame = (rake, playerCount = 3) => {
+      const game = new Game('cash', { rake });
+      const players = Array.from({ length: playerCount }, (_, i) => game.addPlayer(`p${i}`, `P${i}`));
+      game.startRound();
+      return { game, players };
+    };
+
+    test('should check the rake settings', () => {
+      expect(() => new Game('x', { rake: { percent: 0 } })).toThrow('rake.percent must be a number above 0 and up to 100');
+      expect(() => new Game('x', { rake: { percent: 5, cap: -1 } })).toThrow('rake.cap must be a non-negative whole number');
+      expect(() => new Game('x', { rake: { percent: 5, caps: [{ players: 2 }] } }))
+        .toThrow('rake.caps must be a list of {players, cap} with whole numbers');
+      expect(() => new Game('x', { tournament: true, rake: { percent: 5 } })).toThrow('Tournament tables are not raked');
+      expect(new Game('x').rake).toBeNull();
+    });
+
+    test('should not rake a hand that ends before the flop', () => {
+      const { game } = rakedGame({ percent: 5 });
+      const [pot] = game.takeRake(game.getPots());
+      expect(pot.rake).toBe(0);
+      expect(game.handRake).toBe(0);
+      expect(game.rakeTotal).toBe(0);
+    });
+
+    test('should rake once the flop is dealt and keep a running total', () => {
+      const { game, players } = rakedGame({ percent: 10, cap: 5 });
+      players.forEach(p => game.placeBet(p, 20 - p.currentBet));
+      game.dealCommunityCards();
+      const pots = game.takeRake(game.getPots());
+      expect(pots[0]).toMatchObject({ amount: 55, rake: 5 });
+      expect(game.pot).toBe(55);
+      expect(game.rakeTotal).toBe(5);
+      expect(game.rakeHistory).toEqual([{ hand: 1, amount: 5, time: expect.any(Number) }]);
+    });
+
+    test('should use the cap for the number of players dealt in', () => {
+      const caps = [{ players: 2, cap: 1 }, { players: 3, cap: 2 }, { players: 5, cap: 4 }];
+      expect(rakedGame({ percent: 10, cap: 3, caps }, 4).game.getRakeCap()).toBe(2);
+      expect(rakedGame({ percent: 10, cap: 3, caps }, 2).game.getRakeCap()).toBe(1);
+      expect(rakedGame({ percent: 10, cap: 3, caps: [{ players: 4, cap: 6 }] }, 3).game.getRakeCap()).toBe(3);
+      expect(rakedGame({ percent: 10 }).game.getRakeCap()).toBe(Infinity);
+    });
+  });
+
+  describe('Provably fair shuffling', () => {
+    const fairGame = () => {
+      const game = new Game('fair', { provablyFair: true });
+      ['a', 'b', 'c'].forEach(id => game.addPlayer(id, id));
+      return game;
+    };
+
+    test('should deal from the seed committed before the hand and the players\' seeds', () => {
+      const game = fairGame();
+      const committed = game.getServerSeedHash();
+      game.setClientSeed('b', 'my seed');
+      game.setClientSeed('a', 'another');
+      game.startRound();
+
+      const shuffle = game.shuffles.get(game.handId);
+      expect(game.handId).toBe('fair-hand-1');
+      expect(shuffle.serverSeedHash).toBe(committed);
+      expect(shuffle.serverSeed).toBeNull();
+      expect(shuffle.clientSeeds).toEqual([{ playerId: 'a', seed: 'another' }, { playerId: 'b', seed: 'my seed' }]);
+      expect(game.getServerSeedHash()).not.toBe(committed);
+
+      const dealt = game.players.flatMap(p => p.cards.map(cardUtils.formatCard));
+      expect(shuffle.deck.slice(0, 6)).toEqual(expect.arrayContaining(dealt));
+      expect(shuffle.deck.slice(6, 6 + game.deck.cardsRemaining())).toEqual(game.deck.cards.map(cardUtils.formatCard));
+    });
+
+    test('should reveal the server seed once the hand is over', () => {
+      const game = fairGame();
+      game.startRound();
+      const shuffle = game.revealServerSeed();
+      expect(fairShuffle.hashServerSeed(shuffle.serverSeed)).toBe(shuffle.serverSeedHash);
+      expect(fairShuffle.verifyShuffle(shuffle).valid).toBe(true);
+      expect(game.revealServerSeed()).toBeNull();
+    });
+
+    test('should keep the shuffle records of the most recent hands only', () => {
+      const game = fairGame();
+      for (let hand = 1; hand <= gameConfig.HAND_RECORDS_KEPT + 5; hand++) {
+        game.handId = `fair-hand-${hand}`;
+        game.shuffleDeck();
+        game.revealServerSeed();
+      }
+      expect(game.shuffles.size).toBe(gameConfig.HAND_RECORDS_KEPT);
+      expect(game.shuffles.has('fair-hand-1')).toBe(false);
+      expect(fairShuffle.verifyShuffle(game.shuffles.get(game.handId)).valid).toBe(true);
+    });
+
+    test('should only take client seeds from seated players at provably fair tables', () => {
+      expect(() => new Game('x').setClientSeed('a', 'seed')).toThrow('This table does not use provably fair shuffling');
+      expect(new Game('x').getServerSeedHash()).toBeNull();
+      const game = fairGame();
+      expect(() => game.setClientSeed('z', 'seed')).toThrow('Player not found');
+      expect(() => game.setClientSeed('a', '')).toThrow('Client seed must be text of 1 to 64 characters');
+    });
+  });
+
+  describe('Deck sources', () => {
+    const dealHand = (deckSource) => {
+      const game = new Game('replay', { deckSource });
+      ['a', 'b', 'c'].forEach(id => game.addPlayer(id, id));
+      game.startRound();
+      return game;
+    };
+    const holeCards = game => game.players.map(p => p.cards.map(cardUtils.formatCard));
+
+    test('should deal a seeded game the same way every time', () => {
+      const first = dealHand({ type: 'seeded', seed: 'tuesday' });
+      const second = dealHand({ type: 'seeded', seed: 'tuesday' });
+      expect(holeCards(second)).toEqual(holeCards(first));
+      expect(first.handSeeds.get(first.handId)).toEqual({
+        handId: 'replay-hand-1', gameId: 'replay', hand: 1, source: 'seeded', seed: 'tuesday-1'
+      });
+    });
+
+    test('should deal stacked cards from the top', () => {
+      const game = dealHand({ type: 'stacked', cards: 'AsKs QdQc 7h2c' });
+      expect(holeCards(game)).toEqual([['As', 'Qc'], ['Ks', '7h'], ['Qd', '2c']]);
+    });
+
+    test('should regenerate a finished hand from its recorded seed', () => {
+      const game = dealHand();
+      expect(game.handSeeds.get(game.handId).source).toBe(gameConfig.DECK_SOURCE);
+      const dealt = holeCards(game);
+      const remaining = game.deck.cards.map(cardUtils.formatCard);
+      expect(() => game.regenerateDeck(game.handId)).toThrow('The deck is available once the hand is over');
+
+      game.gamePhase = gameConfig.PHASES.WAITING;
+      const deck = game.regenerateDeck(game.handId).cards.map(cardUtils.formatCard);
+      expect(deck.slice(6)).toEqual(remaining);
+      expect(deck.slice(0, 6)).toEqual([dealt[0][0], dealt[1][0], dealt[2][0], dealt[0][1], dealt[1][1], dealt[2][1]]);
+      expect(() => game.regenerateDeck('nope')).toThrow('Hand not found');
+    });
+
+    test('should keep the seeds of the most recent hands only', () => {
+      const game = dealHand();
+      for (let hand = 0; hand < gameConfig.HAND_RECORDS_KEPT + 5; hand++) {
+        game.handId = `replay-extra-${hand}`;
+        game.shuffleDeck();
+      }
+      expect(game.handSeeds.size).toBe(gameConfig.HAND_RECORDS_KEPT);
+      expect(game.handSeeds.has('replay-hand-1')).toBe(false);
+      expect(game.handSeeds.has(game.handId)).toBe(true);
+    });
+
+    test('should not mix a deck source with provably fair shuffling', () => {
+      expect(() => new Game('x', { provablyFair: true, deckSource: { type: 'crypto' } }))
+        .toThrow('Provably fair tables shuffle from their own seeds');
+    });
+  });
+
+  describe('Sitting out', () => {
+    // Five players; the first hand has the button on seat 0 and the big blind on seat 2
+    const table = () => {
+      const game = new Game('sit-out');
+      const players = [0, 1, 2, 3, 4].map(i => game.addPlayer(`p${i}`, `P${i}`));
+      game.startRound();
+      return { game, players };
+    };
+
+    test('should skip players sitting out and charge a missed big blind when it passes them', () => {
+      const { game, players } = table();
+      game.sitOut('p4', 0);
+      game.startRound();
+      expect(game.positions.bigBlind).toBe(3);
+      expect(players[4].isActive).toBe(false);
+      expect(players[4].missedBlinds).toBeNull();
+      game.startRound();
+      expect(game.positions.bigBlind).toBe(0);
+      expect(players[4].missedBlinds).toBe('big');
+    });
+
+    test('should charge a missed small blind when it is dead on their seat', () => {
+      const { game, players } = table();
+      game.sitOut('p2', 0);
+      game.startRound();
+      expect(game.positions).toMatchObject({ smallBlind: null, smallBlindSeat: 2, bigBlind: 3 });
+      expect(players[2].missedBlinds).toBe('small');
+    });
+
+    test('should let a returning player wait for the big blind', () => {
+      const { game, players } = table();
+      game.sitOut('p4', 0);
+      game.startRound();
+      game.startRound();
+      game.sitIn('p4');
+      expect(players[4].waitingForBigBlind).toBe(true);
+      [1, 2, 3].forEach(bigBlind => {
+        game.startRound();
+        expect(game.positions.bigBlind).toBe(bigBlind);
+        expect(players[4].isActive).toBe(false);
+      });
+      game.startRound();
+      expect(game.positions.bigBlind).toBe(4);
+      expect(players[4].isActive).toBe(true);
+      expect(players[4].missedBlinds).toBeNull();
+    });
+
+    test('should take a live big blind and a dead small blind from a player who posts what they missed', () => {
+      const { game, players } = table();
+      game.sitOut('p4', 0);
+      game.startRound();
+      game.startRound();
+      game.sitIn('p4', { postMissedBlinds: true });
+      game.startRound();
+      expect(players[4].isActive).toBe(true);
+      expect(players[4].currentBet).toBe(game.bigBlind);
+      expect(game.contributions.get('p4')).toBe(game.bigBlind + game.smallBlind);
+      expect(game.getForcedBets().missedBlinds).toEqual([
+        { seat: 4, live: game.bigBlind, dead: game.smallBlind }
+      ]);
+      expect(players[4].missedBlinds).toBeNull();
+    });
+
+    test('should find cash game players who have sat out too long', () => {
+      const { game } = table();
+      game.sitOut('p1', 1000);
+      expect(() => game.sitOut('p1')).toThrow('You are already sitting out');
+      expect(game.getExpiredSitOuts(1000 + gameConfig.MAX_SIT_OUT_TIME - 1)).toEqual([]);
+      expect(game.getExpiredSitOuts(1000 + gameConfig.MAX_SIT_OUT_TIME).map(p => p.id)).toEqual(['p1']);
+      game.sitIn('p1');
+      expect(() => game.sitIn('p1')).toThrow('You are not sitting out');
+      expect(game.getExpiredSitOuts(Infinity)).toEqual([]);
+    });
+  });
+
+  describe('Seven Card Stud', () => {
+    const studGame = (count) => {
+      const game = new Game('stud', { variant: 'stud', ante: 2, bringIn: 5 });
+      const players = Array.from({ length: count }, (_, i) => game.addPlayer(`p${i}`, `P${i}`));
+      return { game, players };
+    };
+    const deal = (player, down, up) => {
+      player.cards = [];
+      player.upCards = [];
+      player.receiveCards(cardUtils.parseCards(down));
+      player.receiveCards(cardUtils.parseCards(up), true);
+    };
+
+    test('should ante, deal two down and one up, and post the bring-in', () => {
+      const { game, players } = studGame(3);
+      game.startRound();
+      expect(game.gamePhase).toBe(gameConfig.PHASES.THIRD_STREET);
+      expect(players.every(p => p.cards.length === 3 && p.upCards.length === 1)).toBe(true);
+      expect(game.communityCards).toEqual([]);
+      expect(game.pot).toBe(3 * 2 + 5);
+      expect(game.currentBet).toBe(5);
+      expect(game.seats[game.bringInPosition].currentBet).toBe(5);
+      expect(game.currentTurn).toBe((game.bringInPosition + 1) % 3);
+      expect(game.getForcedBets().bringIn).toEqual({ seat: game.bringInPosition, amount: 5 });
+    });
+
+    test('should give the bring-in to the lowest upcard, breaking ties by suit', () => {
+      const { game, players } = studGame(3);
+      deal(players[0], 'AsKs', '3s');
+      deal(players[1], 'AhKh', '3c');
+      deal(players[2], 'AdKd', '4c');
+      expect(game.getBringInPosition()).toBe(1);
+    });
+
+    test('should count the Ace high for the bring-in', () => {
+      const { game, players } = studGame(2);
+      deal(players[0], '2s3s', 'Ac');
+      deal(players[1], '2h3h', 'Kc');
+      expect(game.getBringInPosition()).toBe(1);
+    });
+
+    test('should deal fourth street face up and let the best hand showing act first', () => {
+      const { game, players } = studGame(3);
+      deal(players[0], 'AsKs', '9c');
+      deal(players[1], 'AhKh', '2c');
+      deal(players[2], 'AdKd', '7d');
+      game.gamePhase = gameConfig.PHASES.THIRD_STREET;
+      game.deck.cards = cardUtils.parseCards('Qc 2d 3h');
+      game.dealNextStreet();
+      expect(game.gamePhase).toBe(gameConfig.PHASES.FOURTH_STREET);
+      expect(players.map(p => p.upCards.length)).toEqual([2, 2, 2]);
+      // A pair of deuces showing beats Q-9 and 7-3
+      expect(game.currentTurn).toBe(1);
+      expect(game.currentBet).toBe(0);
+    });
+
+    test('should pass the first action on from an all-in best hand showing', () => {
+      const { game, players } = studGame(3);
+      deal(players[0], 'AsKs', '9c');
+      deal(players[1], 'AhKh', '2c');
+      deal(players[2], 'AdKd', '7d');
+      players[1].chips = 0;
+      game.gamePhase = gameConfig.PHASES.THIRD_STREET;
+      game.deck.cards = cardUtils.parseCards('Qc 2d 3h');
+      game.dealNextStreet();
+      expect(game.currentTurn).toBe(2);
+      expect(game.canAct(game.seats[game.currentTurn])).toBe(true);
+
+      players[2].chips = 0;
+      game.gamePhase = gameConfig.PHASES.THIRD_STREET;
+      game.deck.cards = cardUtils.parseCards('Qc 2d 3h');
+      game.dealNextStreet();
+      expect(game.currentTurn).toBeNull();
+    });
+
+    test('should deal seventh street face down', () => {
+      const { game, players } = studGame(2);
+      deal(players[0], 'AsKs', '9c8c7c6c');
+      deal(players[1], 'AhKh', '2c3c4c5c');
+      game.gamePhase = gameConfig.PHASES.SIXTH_STREET;
+      game.deck.cards = cardUtils.parseCards('Qc 2d');
+      game.dealNextStreet();
+      expect(game.gamePhase).toBe(gameConfig.PHASES.SEVENTH_STREET);
+      expect(players.map(p => [p.cards.length, p.upCards.length])).toEqual([[7, 4], [7, 4]]);
+    });
+
+    test('should deal a shared card when the deck runs short on seventh street', () => {
+      const { game, players } = studGame(3);
+      players.forEach(p => deal(p, 'AsKs', '9c8c7c6c'));
+      game.gamePhase = gameConfig.PHASES.SIXTH_STREET;
+      game.deck.cards = cardUtils.parseCards('Qc 2d');
+      game.dealNextStreet();
+      expect(game.communityCards.map(cardUtils.formatCard)).toEqual(['Qc']);
+      expect(players.every(p => p.cards.length === 6)).toBe(true);
+    });
+
+    test('should move to showdown after seventh street and evaluate all seven cards', () => {
+      const { game, players } = studGame(2);
+      deal(players[0], 'AsKs2h', '9s8s7s6s');
+      game.gamePhase = gameConfig.PHASES.SEVENTH_STREET;
+      game.dealNextStreet();
+      expect(game.gamePhase).toBe(gameConfig.PHASES.SHOWDOWN);
+      expect(game.evaluateHand(players[0]).name).toBe('Flush');
+    });
+
+    test('should seat at most eight players', () => {
+      const { game } = studGame(8);
+      expect(() => game.addPlayer('p8', 'P8')).toThrow('Game is full (max 8 players)');
+    });
+  });
+
+  describe('Five Card Draw', () => {
+    const drawGame = () => {
+      const game = new Game('draw', { variant: 'draw' });
+      const players = ['a', 'b', 'c'].map(id => game.addPlayer(id, id));
+      game.startRound();
+      return { game, players };
+    };
+
+    test('should deal five private cards and open with the pre-draw betting round', () => {
+      const { game, players } = drawGame();
+      expect(game.gamePhase).toBe(gameConfig.PHASES.PRE_DRAW);
+      expect(players.every(p => p.cards.length === 5 && p.upCards.length === 0)).toBe(true);
+    });
+
+    test('should replace discarded cards and keep the rest', () => {
+      const { game, players } = drawGame();
+      game.startDraw();
+      const player = players[game.currentTurn];
+      const kept = [player.cards[1], player.cards[3], player.cards[4]];
+      const replacements = game.draw(player, [0, 2]);
+      expect(replacements.length).toBe(2);
+      expect(player.cards).toEqual([...kept, ...replacements]);
+      expect(game.discards.length).toBe(2);
+    });
+
+    test('should only let each player draw once', () => {
+      const { game, players } = drawGame();
+      game.startDraw();
+      game.draw(players[0], []);
+      expect(() => game.draw(players[0], [1])).toThrow('You have already drawn this round');
+    });
+
+    test('should reject draws outside the draw phase and bad indexes', () => {
+      const { game, players } = drawGame();
+      expect(() => game.draw(players[0], [0])).toThrow('It is not the draw phase');
+      game.startDraw();
+      expect(() => game.draw(players[0], [5])).toThrow('Invalid discard indexes');
+      expect(() => game.draw(players[0], [1, 1])).toThrow('Invalid discard indexes');
+      expect(() => game.draw(players[0], 'all')).toThrow('Invalid discard indexes');
+    });
+
+    test('should reshuffle earlier discards when the deck runs out', () => {
+      const { game, players } = drawGame();
+      game.startDraw();
+      game.draw(players[0], [0, 1, 2, 3, 4]);
+      const earlierDiscards = [...game.discards];
+      game.deck.cards = game.deck.cards.slice(0, 2);
+      const replacements = game.draw(players[1], [0, 1, 2]);
+      expect(replacements.length).toBe(3);
+      expect(earlierDiscards).toEqual(expect.arrayContaining([replacements[2]]));
+      expect(game.deck.cardsRemaining()).toBe(4);
+      expect(game.discards.length).toBe(3);
+    });
+
+    test('should bet the big bet after the draw in fixed-limit', () => {
+      const game = new Game('draw', { variant: 'draw', bettingStructure: 'fixed-limit', smallBet: 10, bigBet: 20 });
+      const players = ['a', 'b', 'c'].map(id => game.addPlayer(id, id));
+      game.startRound();
+      expect(game.getBettingOptions().minRaiseTo).toBe(20);
+
+      game.startDraw();
+      players.forEach(p => game.draw(p, []));
+      game.finishDraw();
+      expect(game.gamePhase).toBe(gameConfig.PHASES.POST_DRAW);
+      expect(game.currentBet).toBe(0);
+      expect(game.getBettingOptions()).toMatchObject({ canCheck: true, minRaiseTo: 20, maxRaiseTo: 20 });
+    });
+
+    test('should open the second betting round once everyone has drawn', () => {
+      const { game, players } = drawGame();
+      game.startDraw();
+      players.slice(0, 2).forEach(p => game.draw(p, []));
+      expect(game.isDrawComplete()).toBe(false);
+      game.draw(players[2], [4]);
+      expect(game.isDrawComplete()).toBe(true);
+      game.finishDraw();
+      expect(game.gamePhase).toBe(gameConfig.PHASES.POST_DRAW);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const MultiTableTournament = require('../models/MultiTableTournament');
+const gameConfig = require('../config/gameConfig');
+const { createSeededRandom } = require('../utils/random');
+
+// A started tournament with every table between hands
+const startedTournament = (count, tableSize, options = {}) => {
+  const tournament = new MultiTableTournament('mtt', { players: count, tableSize, ...options });
+  for (let i = 0; i < count; i++) {
+    tournament.register(`p${i}`, `P${i}`);
+  }
+  tournament.start(0, createSeededRandom('seats'));
+  return tournament;
+};
+
+// End the hand at a table, busting the given players
+const endHand = (table, busted = []) => {
+  table.players.forEach(player => {
+    if (busted.includes(player.id)) player.chips = 0;
+  });
+  table.gamePhase = gameConfig.PHASES.WAITING;
+};
+
+describe('MultiTableTournament', () => {
+  describe('seating', () => {
+    test('should spread the players evenly over as few tables as possible', () => {
+      const tournament = startedTournament(20, 9);
+      expect(tournament.tables.map(table => table.id)).toEqual(['mtt-table-1', 'mtt-table-2', 'mtt-table-3']);
+      expect(tournament.tables.map(table => table.players.length)).toEqual([7, 7, 6]);
+      expect(tournament.getPlayers().every(player => player.chips === 1500)).toBe(true);
+      expect(tournament.finalTable).toBe(false);
+    });
+
+    test('should draw seats at random', () => {
+      const first = startedTournament(12, 6).tables[0].players.map(player => player.id);
+      expect(first).not.toEqual(['p0', 'p2', 'p4', 'p6', 'p8', 'p10']);
+      expect(startedTournament(12, 6).tables[0].players.map(player => player.id)).toEqual(first);
+    });
+
+    test('should check the table size and registrations', () => {
+      expect(() => new MultiTableTournament('mtt', { players: 20, tableSize: 10 })).toThrow('tableSize must be a whole number from 2 to 9');
+      const tournament = new MultiTableTournament('mtt', { players: 4 });
+      tournament.register('a', 'A');
+      expect(() => tournament.register('a', 'A')).toThrow('Player is already registered');
+      expect(tournament.removePlayer('a')).toBe(true);
+      expect(tournament.getRegisteredCount()).toBe(0);
+    });
+  });
+
+  describe('balancing', () => {
+    test('should move a player with their chips from a table that finishes its hand to the shortest table', () => {
+      const tournament = startedTournament(18, 6);
+      const [first, second, third] = tournament.tables;
+      tournament.tables.forEach(table => tournament.startHand(table));
+
+      endHand(second, second.players.slice(0, 2).map(player => player.id));
+      let result = tournament.finishHand(second);
+      expect(result.finishes.map(finish => finish.place)).toEqual([17, 17]);
+      expect(result.moves).toEqual([]);
+      expect(result.tablesToDeal).toEqual([second]);
+
+      endHand(first);
+      const mover = tournament.getNextBigBlindPlayer(first);
+      const chips = mover.chips;
+      result = tournament.finishHand(first);
+      expect(result.moves).toEqual([{
+        id: mover.id,
+        name: mover.name,
+        chips,
+        fromTable: first.id,
+        toTable: second.id,
+        seat: expect.any(Number)
+      }]);
+      expect(tournament.getTableOf(mover.id)).toBe(second);
+      expect(second.players.find(player => player.id === mover.id).chips).toBe(chips);
+      expect([first, second, third].map(table => table.players.length)).toEqual([5, 5, 6]);
+    });
+
+    test('should break a table once the players left fit on one table fewer', () => {
+      const tournament = startedTournament(10, 6);
+      const [first, second] = tournament.tables;
+      tournament.tables.forEach(table => tournament.startHand(table));
+
+      endHand(first, first.players.slice(0, 4).map(player => player.id));
+      const survivor = first.players[4];
+      const result = tournament.finishHand(first);
+      expect(result.brokenTables).toEqual([first.id]);
+      expect(result.moves.map(move => move.id)).toEqual([survivor.id]);
+      expect(result.finalTable).toBe(second.id);
+      expect(tournament.tables).toEqual([second]);
+
+      // The table was mid-hand, so the moved player waits for the next hand
+      const moved = second.players.find(player => player.id === survivor.id);
+      expect(moved.isActive).toBe(false);
+      expect(second.players.length).toBe(6);
+    });
+  });
+
+  describe('hand-for-hand', () => {
+    test('should play hand-for-hand on the bubble and place busts from every table together', () => {
+      const tournament = startedTournament(6, 3);
+      const [first, second] = tournament.tables;
+      tournament.tables.forEach(table => tournament.startHand(table));
+
+      // Two busts leave four players, one off the money with three paid
+      endHand(first, first.players.slice(0, 2).map(player => player.id));
+      let result = tournament.finishHand(first);
+      expect(result.handForHand).toBe(true);
+      expect(result.tablesToDeal).toEqual([]);
+
+      endHand(second);
+      result = tournament.finishHand(second);
+      expect(result.moves.length).toBe(1);
+      expect(result.tablesToDeal).toEqual([first, second]);
+
+      // One bust at each table in the same hand-for-hand hand
+      first.players[0].chips = 3000;
+      result.tablesToDeal.forEach(table => tournament.startHand(table));
+      const [bigStack, shortStack] = [first.players[0], second.players[0]];
+
+      endHand(first, [bigStack.id]);
+      result = tournament.finishHand(first);
+      expect(result.finishes).toEqual([]);
+      expect(result.tablesToDeal).toEqual([]);
+
+      endHand(second, [shortStack.id]);
+      result = tournament.finishHand(second);
+      expect(result.finishes.map(({ id, place }) => ({ id, place }))).toEqual([
+        { id: bigStack.id, place: 3 },
+        { id: shortStack.id, place: 4 }
+      ]);
+      expect(result.handForHand).toBe(false);
+      expect(result.finalTable).toBeTruthy();
+      expect(tournament.tables.length).toBe(1);
+    });
+  });
+});
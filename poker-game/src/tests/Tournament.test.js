@@ -0,0 +1,207 @@
+const Tournament = require('../models/Tournament');
+const gameConfig = require('../config/gameConfig');
+const tournamentConfig = require('../config/tournamentConfig');
+
+const LEVELS = [
+  { smallBlind: 10, bigBlind: 20, ante: 0 },
+  { smallBlind: 20, bigBlind: 40, ante: 5 },
+  { smallBlind: 50, bigBlind: 100, ante: 10 }
+];
+
+// A full, started Sit & Go with a known schedule
+const startedTournament = (count = 4, options = {}) => {
+  const tournament = new Tournament('sng', {
+    players: count,
+    buyIn: 100,
+    payouts: [50, 30, 20],
+    levels: LEVELS,
+    levelDuration: 60000,
+    ...options
+  });
+  const players = Array.from({ length: count }, (_, i) => tournament.register(`p${i}`, `P${i}`));
+  tournament.start(0);
+  return { tournament, game: tournament.game, players };
+};
+
+// Finish the current hand with the given chip counts
+const endHand = (tournament, chips) => {
+  tournament.game.players.forEach((player, i) => { player.chips = chips[i]; });
+  tournament.game.gamePhase = gameConfig.PHASES.WAITING;
+  return tournament.eliminateBustedPlayers();
+};
+
+describe('Tournament', () => {
+  describe('registration', () => {
+    test('should use the default Sit & Go settings', () => {
+      const tournament = new Tournament('sng');
+      expect(tournament.playersNeeded).toBe(tournamentConfig.PLAYERS);
+      expect(tournament.getLevel()).toEqual({ level: 1, ...tournamentConfig.LEVELS[0] });
+      const player = tournament.register('a', 'A');
+      expect(player.chips).toBe(tournamentConfig.STARTING_CHIPS);
+    });
+
+    test('should only start once the table is full', () => {
+      const tournament = new Tournament('sng', { players: 3 });
+      tournament.register('a', 'A');
+      tournament.register('b', 'B');
+      expect(tournament.isFull()).toBe(false);
+      expect(() => tournament.start()).toThrow('Waiting for 1 more players');
+      tournament.register('c', 'C');
+      expect(tournament.isFull()).toBe(true);
+      expect(() => tournament.register('d', 'D')).toThrow('The tournament is full');
+      tournament.start();
+      expect(tournament.status).toBe('running');
+      expect(() => tournament.register('d', 'D')).toThrow('The tournament has already started');
+    });
+
+    test('should validate the settings', () => {
+      expect(() => new Tournament('sng', { payouts: [60, 30] })).toThrow('Payouts must be positive percentages that add up to 100');
+      expect(() => new Tournament('sng', { players: 2 })).toThrow('More places are paid than there are players');
+      expect(() => new Tournament('sng', { levels: [{ smallBlind: 20, bigBlind: 10 }] })).toThrow('Invalid blind level 1');
+      expect(() => new Tournament('sng', { players: 10 })).toThrow('seats at most 9 players');
+      expect(() => new Tournament('sng', {}, { variant: 'stud' })).toThrow('Tournaments need a game with blinds');
+    });
+  });
+
+  describe('blind levels', () => {
+    test('should deal hands at the current level', () => {
+      const { tournament, game } = startedTournament();
+      tournament.startHand();
+      expect(game.bigBlind).toBe(20);
+      expect(game.pot).toBe(30);
+    });
+
+    test('should raise the blinds and antes on the schedule, from the next hand', () => {
+      const { tournament, game } = startedTournament();
+      expect(tournament.getNextLevelAt()).toBe(60000);
+      tournament.startHand();
+      expect(tournament.advanceLevel(60000)).toBe(true);
+      expect(game.bigBlind).toBe(20);
+
+      endHand(tournament, game.players.map(() => 1500));
+      tournament.startHand();
+      expect(game.smallBlind).toBe(20);
+      expect(game.bigBlind).toBe(40);
+      expect(game.pot).toBe(60 + 4 * 5);
+      expect(tournament.getNextLevelAt()).toBe(120000);
+    });
+
+    test('should stay at the last level', () => {
+      const { tournament } = startedTournament();
+      tournament.advanceLevel(1);
+      tournament.advanceLevel(2);
+      expect(tournament.getNextLevelAt()).toBeNull();
+      expect(tournament.advanceLevel(3)).toBe(false);
+      expect(tournament.getLevel().level).toBe(3);
+    });
+  });
+
+  describe('eliminations and payouts', () => {
+    test('should place busted players and pay the top three', () => {
+      const { tournament } = startedTournament();
+      expect(tournament.getPayouts()).toEqual([
+        { place: 1, percentage: 50, amount: 200 },
+        { place: 2, percentage: 30, amount: 120 },
+        { place: 3, percentage: 20, amount: 80 }
+      ]);
+
+      tournament.startHand();
+      expect(endHand(tournament, [3000, 0, 1500, 1500])).toEqual([{ id: 'p1', name: 'P1', place: 4, prize: 0 }]);
+      expect(tournament.game.players.length).toBe(3);
+
+      tournament.startHand();
+      expect(endHand(tournament, [4500, 0, 1500])).toEqual([{ id: 'p2', name: 'P2', place: 3, prize: 80 }]);
+
+      tournament.startHand();
+      endHand(tournament, [0, 6000]);
+      expect(tournament.status).toBe('finished');
+      expect(tournament.getStandings().map(({ id, place, prize }) => ({ id, place, prize }))).toEqual([
+        { id: 'p3', place: 1, prize: 200 },
+        { id: 'p0', place: 2, prize: 120 },
+        { id: 'p2', place: 3, prize: 80 },
+        { id: 'p1', place: 4, prize: 0 }
+      ]);
+    });
+
+    test('should place the bigger starting stack higher when players bust in the same hand', () => {
+      const { tournament, players } = startedTournament();
+      players[1].chips = 500;
+      tournament.startHand();
+      const finishes = endHand(tournament, [4000, 0, 0, 2000]);
+      expect(finishes.map(({ id, place }) => ({ id, place }))).toEqual([
+        { id: 'p2', place: 3 },
+        { id: 'p1', place: 4 }
+      ]);
+    });
+
+    test('should split the prizes of tied places', () => {
+      const { tournament } = startedTournament();
+      tournament.startHand();
+      const finishes = endHand(tournament, [6000, 0, 0, 0]);
+      expect(finishes.map(finish => finish.place)).toEqual([2, 2, 2]);
+      expect(finishes.map(finish => finish.prize)).toEqual([67, 67, 66]);
+      expect(tournament.status).toBe('finished');
+      expect(tournament.getStandings()[0]).toMatchObject({ id: 'p0', place: 1, prize: 200 });
+    });
+
+    test('should list players still in by chip count before finished players', () => {
+      const { tournament } = startedTournament();
+      tournament.startHand();
+      endHand(tournament, [1000, 0, 2500, 2500]);
+      const standings = tournament.getStandings();
+      expect(standings.map(standing => standing.id)).toEqual(['p2', 'p3', 'p0', 'p1']);
+      expect(standings[0]).toEqual({ id: 'p2', name: 'P2', chips: 2500, place: null, prize: null });
+      expect(tournament.getSummary()).toMatchObject({ status: 'running', prizePool: 400, playersRegistered: 4 });
+    });
+  });
+
+  describe('rebuys and add-ons', () => {
+    const rebuyTournament = () => startedTournament(4, { rebuyLevels: 1, maxRebuys: 1, addOnChips: 2000 });
+
+    test('should keep busted players seated while they can rebuy', () => {
+      const { tournament, game } = rebuyTournament();
+      tournament.startHand();
+      expect(endHand(tournament, [3000, 0, 1500, 1500])).toEqual([]);
+      expect(game.players.length).toBe(4);
+
+      expect(tournament.rebuy('p1')).toMatchObject({ type: 'rebuy', playerId: 'p1', amount: 1500, chips: 1500 });
+      expect(() => tournament.rebuy('p1')).toThrow('You can only rebuy once you have busted');
+      expect(tournament.getPrizePool()).toBe(500);
+
+      // p1 has used their rebuy, p3 has not
+      tournament.startHand();
+      expect(endHand(tournament, [4500, 0, 1500, 0]).map(finish => finish.id)).toEqual(['p1']);
+
+      tournament.advanceLevel(60000);
+      expect(() => tournament.rebuy('p3')).toThrow('Rebuys are closed');
+      tournament.startHand();
+      expect(endHand(tournament, [4500, 1500, 0])).toEqual([{ id: 'p3', name: 'P3', place: 3, prize: 100 }]);
+    });
+
+    test('should put every busted player out when nobody is left to play against', () => {
+      const { tournament } = rebuyTournament();
+      tournament.startHand();
+      expect(endHand(tournament, [6000, 0, 0, 0]).length).toBe(3);
+      expect(tournament.status).toBe('finished');
+    });
+
+    test('should sell each player one add-on until the rebuys close', () => {
+      const { tournament, game } = rebuyTournament();
+      expect(tournament.addOn('p0')).toMatchObject({ type: 'add-on', amount: 2000, chips: 3500 });
+      expect(() => tournament.addOn('p0')).toThrow('You have already taken the add-on');
+
+      tournament.startHand();
+      expect(game.players[1].isActive).toBe(true);
+      expect(() => tournament.addOn('p1')).toThrow('You cannot add chips during a hand you are playing');
+      expect(tournament.getSummary()).toMatchObject({
+        prizePool: 500,
+        rebuys: { levels: 1, max: 1, chips: 1500, cost: 100, open: true, taken: 0 },
+        addOn: { chips: 2000, cost: 100, open: true, taken: 1 }
+      });
+
+      tournament.advanceLevel(60000);
+      expect(() => tournament.addOn('p1')).toThrow('The add-on is closed');
+      expect(() => startedTournament().tournament.addOn('p0')).toThrow('This tournament has no add-on');
+    });
+  });
+});
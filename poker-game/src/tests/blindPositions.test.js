@@ -0,0 +1,158 @@
+const blindPositions = require('../utils/blindPositions');
+const Game = require('../models/Game');
+
+const range = (count) => Array.from({ length: count }, (_, i) => i);
+
+// Play one hand after another, removing the given seats before each hand
+const playHands = (seats, busts) => {
+  let occupied = [...seats];
+  let positions = blindPositions.placeBlinds(occupied, null, occupied[0]);
+  const hands = [positions];
+  busts.forEach(bustedSeats => {
+    occupied = occupied.filter(seat => !bustedSeats.includes(seat));
+    positions = blindPositions.placeBlinds(occupied, positions);
+    hands.push(positions);
+  });
+  return hands;
+};
+
+describe('BlindPositions', () => {
+  describe('placeBlinds on the first hand', () => {
+    test.each([
+      // players, button, small blind, big blind, first to act preflop, first to act postflop
+      [2, 0, 0, 1, 0, 1],
+      [3, 0, 1, 2, 0, 1],
+      [4, 0, 1, 2, 3, 1],
+      [5, 0, 1, 2, 3, 1],
+      [6, 0, 1, 2, 3, 1],
+      [7, 0, 1, 2, 3, 1],
+      [8, 0, 1, 2, 3, 1],
+      [9, 0, 1, 2, 3, 1]
+    ])('should place %i-handed blinds', (players, button, smallBlind, bigBlind, preflop, postflop) => {
+      const positions = blindPositions.placeBlinds(range(players), null, 0);
+      expect(positions).toMatchObject({
+        button,
+        smallBlind,
+        bigBlind,
+        firstToActPreflop: preflop,
+        firstToActPostflop: postflop,
+        deadButton: false,
+        headsUp: players === 2
+      });
+    });
+  });
+
+  describe('placeBlinds from hand to hand', () => {
+    test.each(range(8).map(i => i + 2))('should move everything one seat per hand %i-handed', (players) => {
+      const hands = playHands(range(players), range(players).map(() => []));
+      hands.forEach((positions, hand) => {
+        const button = hand % players;
+        expect(positions.button).toBe(button);
+        expect(positions.bigBlind).toBe((button + (players === 2 ? 1 : 2)) % players);
+        expect(positions.deadButton).toBe(false);
+        expect(positions.smallBlind).not.toBeNull();
+      });
+    });
+
+    test.each([
+      // seats, seats busted before the next hand, expected {button, smallBlind, bigBlind, deadButton}
+      ['button busts', range(6), [0], { button: 1, smallBlind: 2, bigBlind: 3, deadButton: false }],
+      ['small blind busts: dead button', range(6), [1], { button: 1, smallBlind: 2, bigBlind: 3, deadButton: true }],
+      ['big blind busts: dead small blind', range(6), [2], { button: 1, smallBlind: null, bigBlind: 3, deadButton: false }],
+      ['both blinds bust', range(6), [1, 2], { button: 1, smallBlind: null, bigBlind: 3, deadButton: true }],
+      ['player after the big blind busts', range(6), [3], { button: 1, smallBlind: 2, bigBlind: 4, deadButton: false }],
+      ['down to heads-up', range(3), [0], { button: 2, smallBlind: 2, bigBlind: 1, headsUp: true }],
+      ['heads-up after the big blind busts', range(3), [2], { button: 1, smallBlind: 1, bigBlind: 0, headsUp: true }],
+      ['gaps in the seats', [0, 2, 5, 7], [2], { button: 2, smallBlind: 5, bigBlind: 7, deadButton: true }],
+      ['9-handed with no changes', range(9), [], { button: 1, smallBlind: 2, bigBlind: 3 }]
+    ])('%s', (name, seats, busted, expected) => {
+      const [, next] = playHands(seats, [busted]);
+      expect(next).toMatchObject(expected);
+    });
+
+    test('should never make a player post the big blind twice in a row', () => {
+      const hands = playHands(range(9), [[], [3], [], [5, 6], [], [0], [], []]);
+      for (let i = 1; i < hands.length; i++) {
+        expect(hands[i].bigBlind).not.toBe(hands[i - 1].bigBlind);
+      }
+    });
+
+    test('should act first after a dead button from the next occupied seat', () => {
+      const [, next] = playHands(range(5), [[1]]);
+      expect(next.deadButton).toBe(true);
+      expect(next.firstToActPostflop).toBe(2);
+      expect(next.firstToActPreflop).toBe(4);
+    });
+  });
+
+  describe('isSeatBetween', () => {
+    test('should check seats passed going clockwise, wrapping around the table', () => {
+      expect(blindPositions.isSeatBetween(3, 2, 5)).toBe(true);
+      expect(blindPositions.isSeatBetween(5, 2, 5)).toBe(false);
+      expect(blindPositions.isSeatBetween(8, 6, 1)).toBe(true);
+      expect(blindPositions.isSeatBetween(0, 6, 1)).toBe(true);
+      expect(blindPositions.isSeatBetween(3, 6, 1)).toBe(false);
+    });
+  });
+
+  describe('moveButton', () => {
+    test('should move the button to the next occupied seat without blinds', () => {
+      const first = blindPositions.moveButton([0, 2, 4], null, 0);
+      const second = blindPositions.moveButton([0, 4], first);
+      expect(first).toMatchObject({ button: 0, firstToActPreflop: 2, bigBlind: null });
+      expect(second).toMatchObject({ button: 4, firstToActPreflop: 0, headsUp: true });
+    });
+  });
+
+  describe('Game', () => {
+    const startedGame = (count) => {
+      const game = new Game('blinds');
+      const players = range(count).map(i => game.addPlayer(`p${i}`, `P${i}`));
+      game.startRound();
+      return { game, players };
+    };
+
+    test('should have the button post the small blind and act first heads-up', () => {
+      const { game, players } = startedGame(2);
+      expect(players[0].currentBet).toBe(game.smallBlind);
+      expect(players[1].currentBet).toBe(game.bigBlind);
+      expect(game.currentTurn).toBe(0);
+    });
+
+    test('should let the player after the big blind act first three-handed', () => {
+      const { game, players } = startedGame(3);
+      expect(players.map(p => p.currentBet)).toEqual([0, game.smallBlind, game.bigBlind]);
+      expect(game.currentTurn).toBe(0);
+    });
+
+    test('should keep the button on its seat when a player leaves between hands', () => {
+      const { game } = startedGame(5);
+      game.startRound();
+      expect(game.positions.button).toBe(1);
+      game.removePlayer('p2');
+      game.startRound();
+      // p2 was the small blind: the button is dead on seat 2 and p3 posts the small blind
+      expect(game.positions).toMatchObject({ button: 2, deadButton: true, smallBlind: 3, bigBlind: 4 });
+      expect(game.seats[game.dealerPosition].id).toBe('p1');
+      expect(game.getForcedBets().smallBlind).toEqual({ seat: 3, amount: game.smallBlind });
+    });
+
+    test('should skip busted players', () => {
+      const { game, players } = startedGame(4);
+      players[2].chips = 0;
+      game.startRound();
+      expect(players[2].isActive).toBe(false);
+      expect(players[2].cards).toEqual([]);
+      expect(game.positions).toMatchObject({ button: 1, smallBlind: null, bigBlind: 3 });
+    });
+
+    test('should give a new player the lowest free seat', () => {
+      const game = new Game('seats');
+      ['a', 'b', 'c'].forEach(id => game.addPlayer(id, id));
+      game.removePlayer('b');
+      const player = game.addPlayer('d', 'd');
+      expect(player.seat).toBe(1);
+      expect(game.players.map(p => p.id)).toEqual(['a', 'd', 'c']);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const deckSource = require('../utils/deckSource');
+const cardUtils = require('../utils/cardUtils');
+
+describe('DeckSource', () => {
+  const notations = deck => deck.cards.map(cardUtils.formatCard);
+
+  describe('checkDeckSource', () => {
+    test('should fill in the seed and stacked cards', () => {
+      expect(deckSource.checkDeckSource({ type: 'crypto' })).toEqual({ type: 'crypto', seed: null, cards: [] });
+      expect(deckSource.checkDeckSource({ type: 'seeded', seed: 7 })).toEqual({ type: 'seeded', seed: '7', cards: [] });
+      expect(deckSource.checkDeckSource({ type: 'stacked', cards: 'As 10d' }).cards).toEqual(['As', 'Td']);
+    });
+
+    test('should reject bad sources', () => {
+      expect(() => deckSource.checkDeckSource({ type: 'loaded' })).toThrow('Unknown deck source: loaded');
+      expect(() => deckSource.checkDeckSource({ type: 'seeded' })).toThrow('A seeded deck needs a seed');
+      expect(() => deckSource.checkDeckSource({ type: 'seeded', seed: {} })).toThrow('The deck seed must be text or a number');
+      expect(() => deckSource.checkDeckSource({ type: 'stacked', cards: [] })).toThrow('A stacked deck needs cards');
+      expect(() => deckSource.checkDeckSource({ type: 'stacked', cards: 'AsAs' }))
+        .toThrow('Stacked cards must be different cards from the deck');
+      expect(() => deckSource.checkDeckSource({ type: 'stacked', cards: '2s' }, ['6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A']))
+        .toThrow('Stacked cards must be different cards from the deck');
+    });
+  });
+
+  describe('createDeck', () => {
+    test('should shuffle the same seed to the same deck', () => {
+      const seeded = deckSource.checkDeckSource({ type: 'seeded', seed: 'replay' });
+      const seed = deckSource.createHandSeed(seeded, 3);
+      expect(seed).toBe('replay-3');
+      expect(notations(deckSource.createDeck(seeded, seed))).toEqual(notations(deckSource.createDeck(seeded, seed)));
+      expect(notations(deckSource.createDeck(seeded, 'replay-4'))).not.toEqual(notations(deckSource.createDeck(seeded, seed)));
+
+      const crypto = deckSource.checkDeckSource({ type: 'crypto' });
+      const cryptoSeed = deckSource.createHandSeed(crypto, 1);
+      expect(cryptoSeed).toMatch(/^[0-9a-f]{32}$/);
+      expect(notations(deckSource.createDeck(crypto, cryptoSeed))).toEqual(notations(deckSource.createDeck(crypto, cryptoSeed)));
+    });
+
+    test('should put stacked cards on top of the rest of the deck', () => {
+      const stacked = deckSource.checkDeckSource({ type: 'stacked', cards: 'AsAhKdKc', seed: 'rest' });
+      const deck = notations(deckSource.createDeck(stacked, 'rest-1'));
+      expect(deck.slice(0, 4)).toEqual(['As', 'Ah', 'Kd', 'Kc']);
+      expect(deck.length).toBe(52);
+      expect(new Set(deck).size).toBe(52);
+      expect(deck).toEqual(notations(deckSource.createDeck(stacked, 'rest-1')));
+    });
+  });
+});
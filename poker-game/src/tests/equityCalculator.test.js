@@ -0,0 +1,94 @@
+const equityCalculator = require('../utils/equityCalculator');
+
+describe('EquityCalculator', () => {
+  describe('calculateEquity', () => {
+    test('should settle a complete board exactly', () => {
+      const result = equityCalculator.calculateEquity({
+        hands: ['AsAh', 'KsKh'],
+        board: ['2c', '7d', '9h', 'Jc', '3s']
+      });
+      expect(result.method).toBe('exhaustive');
+      expect(result.trials).toBe(1);
+      expect(result.players[0].win).toBe(100);
+      expect(result.players[1].lose).toBe(100);
+    });
+
+    test('should enumerate every river on the turn', () => {
+      const result = equityCalculator.calculateEquity({
+        hands: ['AsAh', 'KsKh'],
+        board: '2c7d9hJc'
+      });
+      expect(result.method).toBe('exhaustive');
+      expect(result.trials).toBe(44);
+      // Only the two remaining kings save KK
+      expect(result.players[1].win).toBeCloseTo((2 / 44) * 100);
+      expect(result.players[0].equity + result.players[1].equity).toBeCloseTo(100);
+    });
+
+    test('should report ties and split equity', () => {
+      const result = equityCalculator.calculateEquity({
+        hands: ['2s3h', '2c3d'],
+        board: 'AsKdQhJc'
+      });
+      expect(result.players[0].tie).toBeGreaterThan(0);
+      expect(result.players[0].equity).toBeCloseTo(50);
+    });
+
+    test('should sample when there are too many runouts', () => {
+      const result = equityCalculator.calculateEquity({
+        hands: ['AsAh', 'KsKh'],
+        iterations: 500,
+        seed: 'test'
+      });
+      expect(result.method).toBe('monte-carlo');
+      expect(result.trials).toBe(500);
+      expect(result.players[0].equity).toBeGreaterThan(70);
+    });
+
+    test('should reproduce the same result for the same seed', () => {
+      const options = { hands: ['AsKs', 'QhQd'], iterations: 300, seed: 42 };
+      const first = equityCalculator.calculateEquity(options);
+      const second = equityCalculator.calculateEquity(options);
+      expect(second.players).toEqual(first.players);
+    });
+
+    test('should deal random opponents from the remaining cards', () => {
+      const result = equityCalculator.calculateEquity({
+        hands: ['AsAh', []],
+        board: 'AdAc2h3s',
+        exhaustiveLimit: 0,
+        iterations: 200,
+        seed: 1
+      });
+      expect(result.players[1].hand).toBeNull();
+      expect(result.players[0].win).toBe(100);
+    });
+
+    test('should exclude dead cards', () => {
+      const result = equityCalculator.calculateEquity({
+        hands: ['AsAh', 'KsKh'],
+        board: '2c7d9hJc',
+        dead: ['Kd', 'Kc']
+      });
+      expect(result.trials).toBe(42);
+      expect(result.players[0].win).toBe(100);
+    });
+
+    test('should reject duplicate cards', () => {
+      expect(() => equityCalculator.calculateEquity({
+        hands: ['AsAh', 'AsKh']
+      })).toThrow('Duplicate card: As');
+    });
+
+    test('should reject a single hand', () => {
+      expect(() => equityCalculator.calculateEquity({ hands: ['AsAh'] })).toThrow();
+    });
+  });
+
+  describe('countRunouts', () => {
+    test('should count boards and random hands', () => {
+      expect(equityCalculator.countRunouts([[1, 2], [3, 4]], [], 48)).toBe(equityCalculator.choose(48, 5));
+      expect(equityCalculator.countRunouts([[1, 2], []], [1, 2, 3], 47)).toBe(equityCalculator.choose(47, 2) * equityCalculator.choose(45, 2));
+    });
+  });
+});
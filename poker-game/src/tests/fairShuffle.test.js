@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const fairShuffle = require('../utils/fairShuffle');
+const cardUtils = require('../utils/cardUtils');
+
+describe('FairShuffle', () => {
+  const serverSeed = 'a'.repeat(64);
+  const notations = deck => deck.cards.map(cardUtils.formatCard);
+
+  test('should commit to the server seed with its SHA-256 hash', () => {
+    expect(fairShuffle.hashServerSeed(serverSeed))
+      .toBe(crypto.createHash('sha256').update(serverSeed).digest('hex'));
+    expect(fairShuffle.generateServerSeed()).toMatch(/^[0-9a-f]{64}$/);
+    expect(fairShuffle.generateServerSeed()).not.toBe(fairShuffle.generateServerSeed());
+  });
+
+  test('should shuffle the same seeds to the same deck, and any change to a different one', () => {
+    const deck = notations(fairShuffle.createFairDeck(serverSeed, ['alice', 'bob']));
+    expect(deck.length).toBe(52);
+    expect(new Set(deck).size).toBe(52);
+    expect(notations(fairShuffle.createFairDeck(serverSeed, ['alice', 'bob']))).toEqual(deck);
+    expect(notations(fairShuffle.createFairDeck(serverSeed, ['alice', 'bobby']))).not.toEqual(deck);
+    expect(notations(fairShuffle.createFairDeck('b'.repeat(64), ['alice', 'bob']))).not.toEqual(deck);
+  });
+
+  test('should draw numbers in [0, 1) from HMAC-SHA256 blocks', () => {
+    const random = fairShuffle.createFairRandom(serverSeed, ['x']);
+    const block = crypto.createHmac('sha256', serverSeed).update('["x"]:0').digest();
+    expect(random()).toBe(block.readUIntBE(0, 6) / 2 ** 48);
+    const values = Array.from({ length: 100 }, random);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+
+  test('should verify a revealed hand and catch tampering', () => {
+    const clientSeeds = [{ playerId: 'p1', seed: 'lucky' }];
+    const values = ['6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+    const deck = notations(fairShuffle.createFairDeck(serverSeed, ['lucky'], values));
+    const shuffle = { serverSeed, serverSeedHash: fairShuffle.hashServerSeed(serverSeed), clientSeeds, values, deck };
+
+    expect(fairShuffle.verifyShuffle(shuffle)).toMatchObject({ hashMatches: true, deckMatches: true, valid: true });
+    const swapped = [deck[1], deck[0], ...deck.slice(2)];
+    expect(fairShuffle.verifyShuffle({ ...shuffle, deck: swapped })).toMatchObject({ deckMatches: false, valid: false });
+    expect(fairShuffle.verifyShuffle({ ...shuffle, serverSeed: 'b'.repeat(64) }).hashMatches).toBe(false);
+  });
+
+  test('should check client seeds', () => {
+    expect(() => fairShuffle.checkClientSeed('')).toThrow('Client seed must be text of 1 to 64 characters');
+    expect(() => fairShuffle.checkClientSeed('x'.repeat(65))).toThrow('Client seed must be text of 1 to 64 characters');
+    expect(() => fairShuffle.checkClientSeed(42)).toThrow('Client seed must be text of 1 to 64 characters');
+  });
+});
@@ -0,0 +1,150 @@
+const { setupGameSockets, games } = require('../sockets/gameSocket');
+const gameConfig = require('../config/gameConfig');
+
+/**
+ * Socket.io stand-ins: the server records every event sent to a room, and each
+ * client socket keeps the handlers the server registers on it
+ */
+const createServer = () => {
+  const server = { events: [] };
+  server.io = {
+    on: (event, handler) => { server.connect = handler; },
+    to: room => ({ emit: (event, data) => server.events.push({ room, event, data }) })
+  };
+  setupGameSockets(server.io);
+  server.connectClient = (id) => {
+    const client = { id, handlers: {}, sent: [] };
+    client.on = (event, handler) => { client.handlers[event] = handler; };
+    client.emit = (event, data) => client.sent.push({ event, data });
+    client.join = () => {};
+    client.leave = () => {};
+    client.send = (event, data) => client.handlers[event](data);
+    server.connect(client);
+    return client;
+  };
+  server.eventsNamed = name => server.events.filter(({ event }) => event === name).map(({ data }) => data);
+  return server;
+};
+
+/**
+ * Create a cash game and seat a client for each ID
+ */
+const createTable = (server, ids) => {
+  const clients = ids.map(id => server.connectClient(id));
+  clients[0].send('createGame', {});
+  const { gameId } = clients[0].sent.find(({ event }) => event === 'gameCreated').data;
+  clients.forEach(client => client.send('joinGame', { gameId, playerName: client.id }));
+  return { clients, gameId, game: games.get(gameId) };
+};
+
+describe('GameSocket', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    games.clear();
+  });
+
+  describe('starting a hand', () => {
+    test('should deal the board out when the blinds put everyone all-in', () => {
+      const server = createServer();
+      const { clients, game } = createTable(server, ['a', 'b']);
+      game.players[0].chips = gameConfig.SMALL_BLIND;
+      game.players[1].chips = gameConfig.BIG_BLIND - 2;
+      clients[0].send('startGame');
+
+      expect(game.currentTurn).toBeNull();
+      expect(server.eventsNamed('turnTimer')).toEqual([]);
+      expect(server.eventsNamed('allInShowdown').length).toBe(1);
+
+      jest.runAllTimers();
+      const [ended] = server.eventsNamed('gameEnded');
+      expect(ended.showdown).toBe(true);
+      expect(game.communityCards.length).toBe(5);
+      expect(server.eventsNamed('playerFolded')).toEqual([]);
+    });
+  });
+
+  describe('sitting out during a hand', () => {
+    test('should fold for a player who sits out on their turn without counting a timeout', () => {
+      const server = createServer();
+      const { clients, game } = createTable(server, ['a', 'b', 'c']);
+      clients[0].send('startGame');
+      const player = game.seats[game.currentTurn];
+      const client = clients.find(({ id }) => id === player.id);
+      server.events = [];
+
+      client.send('sitOut');
+      expect(server.eventsNamed('playerFolded')).toEqual([{ playerId: player.id }]);
+      expect(server.eventsNamed('turnTimedOut')).toEqual([]);
+      expect(player.timeouts).toBe(0);
+      expect(game.seats[game.currentTurn].id).not.toBe(player.id);
+      expect(server.eventsNamed('turnTimer')).toEqual([expect.objectContaining({ playerId: game.seats[game.currentTurn].id })]);
+    });
+  });
+
+  describe('sit-out removal', () => {
+    test('should cancel the removal timer when the player sits back in, leaves or the game closes', () => {
+      const server = createServer();
+      const { clients } = createTable(server, ['a', 'b', 'c']);
+      clients[0].send('sitOut');
+      expect(jest.getTimerCount()).toBe(1);
+      clients[0].send('sitIn');
+      expect(jest.getTimerCount()).toBe(0);
+
+      clients[0].send('sitOut');
+      clients[0].send('disconnect');
+      expect(jest.getTimerCount()).toBe(0);
+
+      clients[1].send('sitOut');
+      clients[2].send('disconnect');
+      expect(server.eventsNamed('gameEnded')).toEqual([{ reason: 'Not enough players' }]);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('leaving during a hand', () => {
+    // Three-handed: the button acts first before the flop, then the small and big blinds
+    const startHand = () => {
+      const server = createServer();
+      const table = createTable(server, ['a', 'b', 'c']);
+      table.clients[0].send('startGame');
+      const clientOnTurn = () => table.clients.find(client => client.id === table.game.seats[table.game.currentTurn].id);
+      return { server, ...table, clientOnTurn };
+    };
+
+    test('should leave the turn alone when a folded player leaves', () => {
+      const { server, game, clientOnTurn } = startHand();
+      clientOnTurn().send('playerAction', { action: 'raise', amount: 30 });
+      const folder = clientOnTurn();
+      folder.send('playerAction', { action: 'fold' });
+      const bigBlind = clientOnTurn();
+
+      folder.send('disconnect');
+      expect(game.players.map(p => p.id)).not.toContain(folder.id);
+      expect(game.gamePhase).toBe(gameConfig.PHASES.PRE_FLOP);
+      expect(game.seats[game.currentTurn].id).toBe(bigBlind.id);
+      expect(game.getBettingOptions().callAmount).toBe(30 - gameConfig.BIG_BLIND);
+      expect(server.eventsNamed('communityCards')).toEqual([]);
+    });
+
+    test('should fold a player who leaves on their turn and pass the turn on', () => {
+      const { server, game, clientOnTurn } = startHand();
+      const leaver = clientOnTurn();
+      server.events = [];
+
+      leaver.send('disconnect');
+      expect(server.eventsNamed('playerFolded')).toEqual([{ playerId: leaver.id }]);
+      const next = clientOnTurn();
+      expect(next.id).not.toBe(leaver.id);
+      expect(game.gamePhase).toBe(gameConfig.PHASES.PRE_FLOP);
+      expect(server.eventsNamed('turnChanged')).toEqual([expect.objectContaining({ currentPlayer: next.id })]);
+      expect(server.eventsNamed('turnTimer')).toEqual([expect.objectContaining({ playerId: next.id })]);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const handEvaluator = require('../utils/handEvaluator');
+const variants = require('../config/variants');
+const cardUtils = require('../utils/cardUtils');
+
+const card = (value, suit) => ({ value, suit });
+
+describe('HandEvaluator', () => {
+  describe('evaluateHand', () => {
+    test('should return the best five cards from seven', () => {
+      const hand = handEvaluator.evaluateHand(
+        [card('A', 'hearts'), card('K', 'clubs')],
+        [card('A', 'spades'), card('7', 'diamonds'), card('4', 'clubs'), card('3', 'hearts'), card('2', 'spades')]
+      );
+      expect(hand.name).toBe('One Pair');
+      expect(hand.cards.map(c => c.value)).toEqual(['A', 'A', 'K', '7', '4']);
+      expect(hand.kickers.map(c => c.value)).toEqual(['K', '7', '4']);
+    });
+
+    test('should order a wheel with the Ace last', () => {
+      const hand = handEvaluator.evaluateHand(
+        [card('A', 'hearts'), card('2', 'clubs')],
+        [card('3', 'spades'), card('4', 'diamonds'), card('5', 'clubs'), card('K', 'hearts'), card('9', 'spades')]
+      );
+      expect(hand.name).toBe('Straight');
+      expect(hand.cards.map(c => c.value)).toEqual(['5', '4', '3', '2', 'A']);
+    });
+
+    test('should prefer the highest straight available', () => {
+      const hand = handEvaluator.evaluateHand(
+        [card('6', 'hearts'), card('A', 'clubs')],
+        [card('2', 'spades'), card('3', 'diamonds'), card('4', 'clubs'), card('5', 'hearts'), card('K', 'spades')]
+      );
+      expect(hand.cards[0].value).toBe('6');
+    });
+
+    test('should recognise a steel wheel as a straight flush', () => {
+      const hand = handEvaluator.evaluateHand(
+        [card('A', 'hearts'), card('2', 'hearts')],
+        [card('3', 'hearts'), card('4', 'hearts'), card('5', 'hearts'), card('K', 'hearts'), card('9', 'spades')]
+      );
+      expect(hand.name).toBe('Straight Flush');
+      expect(hand.cards.map(c => c.value)).toEqual(['5', '4', '3', '2', 'A']);
+    });
+
+    test('should evaluate fewer than five cards', () => {
+      const hand = handEvaluator.evaluateHand([card('Q', 'hearts'), card('Q', 'clubs')], []);
+      expect(hand.name).toBe('One Pair');
+      expect(hand.cards.length).toBe(2);
+    });
+  });
+
+  describe('compareHands', () => {
+    const board = [card('A', 'spades'), card('9', 'diamonds'), card('9', 'clubs'), card('5', 'hearts'), card('2', 'spades')];
+
+    test('should use kickers to separate the same pair', () => {
+      const ak = handEvaluator.evaluateHand([card('A', 'hearts'), card('K', 'clubs')], board);
+      const a3 = handEvaluator.evaluateHand([card('A', 'clubs'), card('3', 'diamonds')], board);
+      expect(handEvaluator.compareHands(ak, a3)).toBeGreaterThan(0);
+    });
+
+    test('should rank a six-high straight above a wheel', () => {
+      const community = [card('2', 'spades'), card('3', 'diamonds'), card('4', 'clubs'), card('K', 'hearts'), card('Q', 'spades')];
+      const wheel = handEvaluator.evaluateHand([card('A', 'hearts'), card('5', 'clubs')], community);
+      const sixHigh = handEvaluator.evaluateHand([card('5', 'hearts'), card('6', 'clubs')], community);
+      expect(handEvaluator.compareHands(sixHigh, wheel)).toBeGreaterThan(0);
+    });
+
+    test('should compare straight flushes by their top card', () => {
+      const community = [card('5', 'hearts'), card('6', 'hearts'), card('7', 'hearts'), card('8', 'hearts'), card('2', 'spades')];
+      const low = handEvaluator.evaluateHand([card('4', 'hearts'), card('K', 'clubs')], community);
+      const high = handEvaluator.evaluateHand([card('9', 'hearts'), card('3', 'clubs')], community);
+      expect(handEvaluator.compareHands(high, low)).toBeGreaterThan(0);
+    });
+
+    test('should compare full houses by trips before the pair', () => {
+      const community = [card('K', 'spades'), card('K', 'diamonds'), card('4', 'clubs'), card('4', 'hearts'), card('2', 'spades')];
+      const kings = handEvaluator.evaluateHand([card('K', 'hearts'), card('3', 'clubs')], community);
+      const fours = handEvaluator.evaluateHand([card('4', 'spades'), card('A', 'clubs')], community);
+      expect(handEvaluator.compareHands(kings, fours)).toBeGreaterThan(0);
+    });
+
+    test('should tie when the board plays', () => {
+      const community = [card('A', 'spades'), card('K', 'diamonds'), card('Q', 'clubs'), card('J', 'hearts'), card('10', 'spades')];
+      const first = handEvaluator.evaluateHand([card('2', 'hearts'), card('3', 'clubs')], community);
+      const second = handEvaluator.evaluateHand([card('4', 'hearts'), card('5', 'clubs')], community);
+      expect(handEvaluator.compareHands(first, second)).toBe(0);
+    });
+  });
+
+  describe('determineWinners', () => {
+    test('should not split when only the kicker differs', () => {
+      const board = [card('A', 'spades'), card('9', 'diamonds'), card('9', 'clubs'), card('5', 'hearts'), card('2', 'spades')];
+      const players = [
+        { id: 1, isActive: true, cards: [card('A', 'hearts'), card('K', 'clubs')] },
+        { id: 2, isActive: true, cards: [card('A', 'clubs'), card('2', 'diamonds')] }
+      ];
+      const winners = handEvaluator.determineWinners(players, board);
+      expect(winners.map(p => p.id)).toEqual([1]);
+    });
+
+    test('should split identical five card hands', () => {
+      const board = [card('A', 'spades'), card('A', 'diamonds'), card('K', 'clubs'), card('K', 'hearts'), card('Q', 'spades')];
+      const players = [
+        { id: 1, isActive: true, cards: [card('2', 'hearts'), card('3', 'clubs')] },
+        { id: 2, isActive: true, cards: [card('4', 'clubs'), card('5', 'diamonds')] }
+      ];
+      const winners = handEvaluator.determineWinners(players, board);
+      expect(winners.map(p => p.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe('calculatePotDistribution', () => {
+    test('should give the whole pot to the better kicker', () => {
+      const board = [card('Q', 'spades'), card('Q', 'diamonds'), card('8', 'clubs'), card('6', 'hearts'), card('3', 'spades')];
+      const players = [
+        { id: 1, isActive: true, cards: [card('J', 'hearts'), card('10', 'clubs')] },
+        { id: 2, isActive: true, cards: [card('J', 'clubs'), card('9', 'diamonds')] }
+      ];
+      const distribution = handEvaluator.calculatePotDistribution(players, board, 100);
+      expect(distribution.length).toBe(1);
+      expect(distribution[0].player.id).toBe(1);
+      expect(distribution[0].amount).toBe(100);
+    });
+  });
+
+  describe('calculatePotDistribution in Hi/Lo', () => {
+    const hiLo = variants['omaha-hi-lo'];
+    const distribute = (hands, board, pot) => handEvaluator.calculatePotDistribution(
+      hands.map((hand, index) => ({ id: index + 1, isActive: true, cards: cardUtils.parseCards(hand) })),
+      cardUtils.parseCards(board),
+      pot,
+      hiLo
+    );
+    const summary = (distribution) => distribution.map(({ player, amount, share }) => [player.id, share, amount]);
+
+    test('should split high and low between different players', () => {
+      // Player 1 has the nut low, player 2 the set of kings
+      const distribution = distribute(['As2s9c9d', 'KcKdJhTh'], 'Ks3h5c7dQc', 100);
+      expect(summary(distribution)).toEqual([[2, 'high', 50], [1, 'low', 50]]);
+    });
+
+    test('should let the high hand scoop when no low qualifies', () => {
+      const distribution = distribute(['As2s9c9d', 'KcKdJhTh'], 'Ks9hTcQdJc', 100);
+      expect(summary(distribution)).toEqual([[2, 'high', 100]]);
+    });
+
+    test('should let one player scoop both halves', () => {
+      // The wheel is both the best high and the best low
+      const distribution = distribute(['As2s9c9d', 'KcKdJhTh'], '3h4c5dKsQc', 100);
+      expect(summary(distribution)).toEqual([[1, 'high', 50], [1, 'low', 50]]);
+    });
+
+    test('should quarter the pot when two players tie for low', () => {
+      const distribution = distribute(['As2sKcKh', 'Ad2dJhTh'], 'Ks3h5c7dQc', 100);
+      expect(summary(distribution)).toEqual([[1, 'high', 50], [1, 'low', 25], [2, 'low', 25]]);
+    });
+
+    test('should give the odd chip of the split to the high half', () => {
+      const distribution = distribute(['As2s9c9d', 'KcKdJhTh'], 'Ks3h5c7dQc', 101);
+      expect(summary(distribution)).toEqual([[2, 'high', 51], [1, 'low', 50]]);
+    });
+
+    test('should give odd chips within a half to the first winner in seat order', () => {
+      const distribution = distribute(['As2sKcKh', 'Ad2dJhTh'], 'Ks3h5c7dQc', 103);
+      expect(summary(distribution)).toEqual([[1, 'high', 52], [1, 'low', 26], [2, 'low', 25]]);
+    });
+  });
+
+  describe('Omaha evaluation', () => {
+    const omaha = (hole, board) => handEvaluator.evaluateHand(cardUtils.parseCards(hole), cardUtils.parseCards(board), variants.omaha);
+
+    test('should not make a flush from four suited hole cards and one on board', () => {
+      const hand = omaha('AhKhQhJh', '2h7c9dTs3s');
+      expect(hand.name).not.toBe('Flush');
+    });
+
+    test('should not make a flush from a four-flush board and one suited hole card', () => {
+      const hand = omaha('AsKc7d2d', 'Qs9s6s3sJh');
+      expect(hand.name).not.toBe('Flush');
+    });
+
+    test('should make a flush with exactly two suited hole cards', () => {
+      const hand = omaha('AsKsQhJd', '2s7s9sTc3h');
+      expect(hand.name).toBe('Flush');
+      expect(hand.cards.filter(c => c.suit === 'spades').length).toBe(5);
+    });
+
+    test('should not play the board', () => {
+      const hand = omaha('2c3d4h7s', 'AsKsQsJsTs');
+      expect(hand.name).not.toBe('Royal Flush');
+    });
+
+    test('should not make a full house from trips in hand', () => {
+      const hand = omaha('KcKdKh2s', 'Ks9d9c5h3s');
+      expect(hand.name).not.toBe('Four of a Kind');
+      expect(hand.name).toBe('Full House');
+      expect(hand.cards.map(c => c.value)).toEqual(['K', 'K', 'K', '9', '9']);
+    });
+
+    test('should not make a straight with only one connecting hole card', () => {
+      const hand = omaha('9cAdAh2s', 'Ts Jd Qc 3h 4s');
+      expect(hand.name).toBe('One Pair');
+    });
+
+    test('should pick winners with Omaha rules', () => {
+      const board = cardUtils.parseCards('Qs9s6s3sJh');
+      const players = [
+        { id: 1, isActive: true, cards: cardUtils.parseCards('AsKc7d2d') },
+        { id: 2, isActive: true, cards: cardUtils.parseCards('8s7s2c2h') }
+      ];
+      const winners = handEvaluator.determineWinners(players, board, variants.omaha);
+      expect(winners.map(p => p.id)).toEqual([2]);
+    });
+  });
+
+  describe('Short Deck evaluation', () => {
+    const shortDeck = variants['short-deck'];
+    const tripsOverStraight = { ...shortDeck, tripsBeatStraight: true };
+    const evaluate = (hole, board, variant = shortDeck) =>
+      handEvaluator.evaluateHand(cardUtils.parseCards(hole), cardUtils.parseCards(board), variant);
+
+    test('should rank a flush above a full house', () => {
+      const flush = evaluate('AhKh', 'QhJh6h9s9c');
+      const fullHouse = evaluate('9d6c', 'QhJh6h9s9c');
+      expect(flush.name).toBe('Flush');
+      expect(fullHouse.name).toBe('Full House');
+      expect(handEvaluator.compareHands(flush, fullHouse)).toBeGreaterThan(0);
+    });
+
+    test('should play A-6-7-8-9 as the lowest straight', () => {
+      const hand = evaluate('As6c', '7d8h9sKcKd');
+      expect(hand.name).toBe('Straight');
+      expect(hand.cards.map(c => c.value)).toEqual(['9', '8', '7', '6', 'A']);
+      const tenHigh = evaluate('Ts6c', '7d8h9sKcKd');
+      expect(handEvaluator.compareHands(tenHigh, hand)).toBeGreaterThan(0);
+    });
+
+    test('should not play A-2-3-4-5 style wheels', () => {
+      const hand = evaluate('As6c', '7d8hKsQcJd');
+      expect(hand.name).toBe('High Card');
+    });
+
+    test('should rank a straight above trips by default', () => {
+      const straight = evaluate('Ts6c', '7d8h9sKcKd');
+      const trips = evaluate('KhQc', '7d8h9sKcKd');
+      expect(handEvaluator.compareHands(straight, trips)).toBeGreaterThan(0);
+    });
+
+    test('should rank trips above a straight with the trips option', () => {
+      const straight = evaluate('Ts6c', '7d8h9sKcKd', tripsOverStraight);
+      const trips = evaluate('KhQc', '7d8h9sKcKd', tripsOverStraight);
+      expect(trips.name).toBe('Three of a Kind');
+      expect(handEvaluator.compareHands(trips, straight)).toBeGreaterThan(0);
+    });
+
+    test('should prefer trips to a straight in the same seven cards with the trips option', () => {
+      const hand = evaluate('9c9d', '7d8h9sTcJd', tripsOverStraight);
+      expect(hand.name).toBe('Three of a Kind');
+      expect(handEvaluator.evaluateHand(cardUtils.parseCards('9c9d'), cardUtils.parseCards('7d8h9sTcJd'), shortDeck).name).toBe('Straight');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const icmCalculator = require('../utils/icmCalculator');
+
+const STACKS = [5000, 3000, 2000];
+const PAYOUTS = [50, 30, 20];
+
+describe('IcmCalculator', () => {
+  describe('calculateICM', () => {
+    test('should match chip shares heads-up with winner-take-all', () => {
+      const result = icmCalculator.calculateICM({ stacks: [3000, 1000], payouts: [100] });
+      expect(result.method).toBe('exact');
+      expect(result.players.map(player => player.equity)).toEqual([75, 25]);
+    });
+
+    test('should solve the Malmuth-Harville model exactly for small fields', () => {
+      const result = icmCalculator.calculateICM({ stacks: STACKS, payouts: PAYOUTS });
+      // First: 0.5 to win, 0.3 * 5/7 + 0.2 * 5/8 to come second
+      expect(result.players[0].equity).toBeCloseTo(25 + 30 * (3 / 14 + 1 / 8) + 20 * (1 - 0.5 - 3 / 14 - 1 / 8));
+      expect(result.players[1].equity).toBeCloseTo(32.75);
+      expect(result.players[0].chipShare).toBe(50);
+      expect(result.prizePool).toBe(100);
+      const total = result.players.reduce((sum, player) => sum + player.equity, 0);
+      expect(total).toBeCloseTo(100);
+    });
+
+    test('should give equal stacks equal equity and ignore places nobody is left for', () => {
+      const result = icmCalculator.calculateICM({ stacks: [1000, 1000, 1000], payouts: [50, 30, 20, 10] });
+      result.players.forEach(player => expect(player.equity).toBeCloseTo(100 / 3));
+    });
+
+    test('should sample large fields reproducibly and close to the exact answer', () => {
+      const stacks = Array.from({ length: 8 }, (_, i) => 1000 + i * 500);
+      const payouts = [40, 25, 15, 10];
+      const exact = icmCalculator.calculateICM({ stacks, payouts });
+      const sampled = icmCalculator.calculateICM({ stacks, payouts, exactLimit: 4, seed: 'icm' });
+      expect(sampled.method).toBe('monte-carlo');
+      expect(sampled.trials).toBe(icmCalculator.DEFAULT_ITERATIONS);
+      sampled.players.forEach((player, index) => {
+        expect(Math.abs(player.equity - exact.players[index].equity)).toBeLessThan(0.5);
+      });
+      const again = icmCalculator.calculateICM({ stacks, payouts, exactLimit: 4, seed: 'icm' });
+      expect(again.players).toEqual(sampled.players);
+    });
+
+    test('should reject invalid stacks and payouts', () => {
+      expect(() => icmCalculator.calculateICM({ stacks: [1000], payouts: PAYOUTS })).toThrow('At least two stacks are required');
+      expect(() => icmCalculator.calculateICM({ stacks: [1000, 0], payouts: PAYOUTS })).toThrow('Stacks must be positive numbers');
+      expect(() => icmCalculator.calculateICM({ stacks: STACKS, payouts: [] })).toThrow('At least one payout is required');
+      expect(() => icmCalculator.calculateICM({ stacks: STACKS, payouts: [50, -1] })).toThrow('Payouts must be non-negative numbers');
+    });
+  });
+
+  describe('proposeDeal', () => {
+    test('should guarantee the smallest prize and split the rest by chips in a chip chop', () => {
+      const deal = icmCalculator.proposeDeal({ stacks: STACKS, payouts: PAYOUTS, type: 'chip-chop' });
+      expect(deal.players.map(player => player.amount)).toEqual([40, 32, 28]);
+      expect(deal.dealt).toBe(100);
+    });
+
+    test('should pay ICM equity and leave money to play for', () => {
+      const deal = icmCalculator.proposeDeal({ stacks: STACKS, payouts: PAYOUTS, playFor: 10 });
+      expect(deal.type).toBe('icm');
+      expect(deal.dealt).toBe(90);
+      const total = deal.players.reduce((sum, player) => sum + player.amount, 0);
+      expect(total).toBeCloseTo(90);
+      expect(deal.players[0].amount).toBeCloseTo(
+        icmCalculator.calculateICM({ stacks: STACKS, payouts: [40, 30, 20] }).players[0].equity);
+    });
+
+    test('should reuse a calculated ICM result unless money is left to play for', () => {
+      const stacks = [5000, 4000, 3000, 2000, 1000];
+      const icm = icmCalculator.calculateICM({ stacks, payouts: PAYOUTS, exactLimit: 4, seed: 'deal' });
+      const deal = icmCalculator.proposeDeal({ stacks, payouts: PAYOUTS, icm });
+      expect(deal.players.map(player => player.amount)).toEqual(icm.players.map(player => player.equity));
+      expect(deal.seed).toBe('deal');
+
+      const playing = icmCalculator.proposeDeal({ stacks, payouts: PAYOUTS, playFor: 10, icm });
+      expect(playing.dealt).toBe(90);
+      expect(playing.players[0].amount).toBeLessThan(icm.players[0].equity);
+    });
+
+    test('should reject unknown deal types and out-of-range amounts to play for', () => {
+      expect(() => icmCalculator.proposeDeal({ stacks: STACKS, payouts: PAYOUTS, type: 'even' })).toThrow('Unknown deal type: even');
+      expect(() => icmCalculator.proposeDeal({ stacks: STACKS, payouts: PAYOUTS, playFor: 60 }))
+        .toThrow('playFor must be between 0 and the first place prize');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const lookupEvaluator = require('../utils/lookupEvaluator');
+const handEvaluator = require('../utils/handEvaluator');
+const Deck = require('../models/Deck');
+const random = require('../utils/random');
+const cardUtils = require('../utils/cardUtils');
+
+const hand = (notation) => cardUtils.parseCards(notation);
+
+describe('LookupEvaluator', () => {
+  describe('scoreCards', () => {
+    test.each([
+      ['AsKsQsJsTs', 'Royal Flush'],
+      ['5h4h3h2hAh', 'Straight Flush'],
+      ['9c9d9h9sKd', 'Four of a Kind'],
+      ['QcQdQh2s2d', 'Full House'],
+      ['Ac9c7c4c2c', 'Flush'],
+      ['5d4c3h2sAd', 'Straight'],
+      ['7c7d7hKsQd', 'Three of a Kind'],
+      ['JcJdTh Ts 2d', 'Two Pair'],
+      ['8c8dAhKs2d', 'One Pair'],
+      ['AcJd9h6s3d', 'High Card']
+    ])('should categorise %s as %s', (notation, name) => {
+      const cards = hand(notation);
+      const { rank } = lookupEvaluator.decodeScore(lookupEvaluator.scoreCards(cards));
+      expect(rank).toBe(handEvaluator.getHandRankByRules(cards).rank);
+      expect(handEvaluator.getHandRank(cards).name).toBe(name);
+    });
+
+    test('should choose the full house from two sets of trips', () => {
+      const cards = hand('KcKdKh7s7d7h2c');
+      const result = handEvaluator.getHandRank(cards);
+      expect(result.name).toBe('Full House');
+      expect(result.cards.map(c => c.value)).toEqual(['K', 'K', 'K', '7', '7']);
+    });
+
+    test('should use the best kicker with three pairs', () => {
+      const cards = hand('AcAdQhQs5d5hKc');
+      const result = handEvaluator.getHandRank(cards);
+      expect(result.name).toBe('Two Pair');
+      expect(result.kickers.map(c => c.value)).toEqual(['K']);
+    });
+
+    test('should pick the flush cards for a straight flush over a higher straight', () => {
+      const cards = hand('9h8h7h6h5hTc');
+      const result = handEvaluator.getHandRank(cards);
+      expect(result.name).toBe('Straight Flush');
+      expect(result.cards.every(c => c.suit === 'hearts')).toBe(true);
+    });
+
+    test('should match the rule-based evaluator on random 5, 6 and 7 card hands', () => {
+      const rng = random.createSeededRandom('lookup-test');
+      const cards = new Deck().cards;
+      [5, 6, 7].forEach(size => {
+        for (let i = 0; i < 1000; i++) {
+          for (let j = 0; j < size; j++) {
+            const k = j + Math.floor(rng() * (cards.length - j));
+            [cards[j], cards[k]] = [cards[k], cards[j]];
+          }
+          const sample = cards.slice(0, size);
+          const fast = handEvaluator.getHandRank(sample);
+          const rules = handEvaluator.getHandRankByRules(sample);
+          expect(fast.score).toBe(rules.score);
+          expect(fast.cards.length).toBe(5);
+          expect(lookupEvaluator.scoreCards(fast.cards)).toBe(fast.score);
+        }
+      });
+    });
+  });
+
+  describe('isRoyalFlush', () => {
+    test('should not treat a steel wheel as a royal flush', () => {
+      expect(handEvaluator.isRoyalFlush(hand('Ah2h3h4h5h'))).toBe(false);
+    });
+
+    test('should not find a royal flush in an Ace-high hand with a lower straight flush', () => {
+      expect(handEvaluator.isRoyalFlush(hand('As9h8h7h6h5h'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const lowEvaluator = require('../utils/lowEvaluator');
+const variants = require('../config/variants');
+const cardUtils = require('../utils/cardUtils');
+
+const omahaHiLo = variants['omaha-hi-lo'];
+const low = (hole, board, variant) => lowEvaluator.evaluateLowHand(cardUtils.parseCards(hole), cardUtils.parseCards(board), variant);
+
+describe('LowEvaluator', () => {
+  describe('evaluateLowHand', () => {
+    test('should play the ace low and ignore straights and flushes', () => {
+      const hand = low('Ah2h', '3h4h5hKcQd');
+      expect(hand.name).toBe('5-4-3-2-A low');
+      expect(hand.ranks).toEqual([5, 4, 3, 2, 1]);
+    });
+
+    test('should skip paired ranks', () => {
+      const hand = low('Ac2d', '2h4s7cKd8h');
+      expect(hand.name).toBe('8-7-4-2-A low');
+    });
+
+    test('should not qualify with a nine', () => {
+      expect(low('Ac2d', '3h4s9cKdQh')).toBeNull();
+    });
+
+    test('should use exactly two hole cards in Omaha', () => {
+      // Four low cards in hand but only one low card on the board
+      expect(low('As2s3d4d', '5cKdQhJc9s', omahaHiLo)).toBeNull();
+      // Three low board cards plus the two lowest hole cards
+      expect(low('As2s3d4d', '5c7d8hKcQs', omahaHiLo).name).toBe('8-7-5-2-A low');
+    });
+
+    test('should not count the board as a low in Omaha', () => {
+      expect(low('KsKdQcQh', 'As2d3c4h5s', omahaHiLo)).toBeNull();
+    });
+  });
+
+  describe('compareLowHands', () => {
+    test('should compare from the highest card down', () => {
+      const sevenSix = low('7c6d', '4h3s2cKdQh');
+      const sevenFive = low('7c5d', '4h3s2cKdQh');
+      expect(lowEvaluator.compareLowHands(sevenFive, sevenSix)).toBeGreaterThan(0);
+      expect(lowEvaluator.compareLowHands(sevenSix, sevenFive)).toBeLessThan(0);
+    });
+
+    test('should rank any qualifying low above no low', () => {
+      expect(lowEvaluator.compareLowHands(low('8c7d', '6h5s4cKdQh'), null)).toBeGreaterThan(0);
+      expect(lowEvaluator.compareLowHands(null, null)).toBe(0);
+    });
+  });
+
+  describe('determineLowWinners', () => {
+    test('should return no winners when nobody qualifies', () => {
+      const board = cardUtils.parseCards('KsQdJc9h2s');
+      const players = [
+        { id: 1, isActive: true, cards: cardUtils.parseCards('AcAd3s4s') },
+        { id: 2, isActive: true, cards: cardUtils.parseCards('5c6d7s8s') }
+      ];
+      expect(lowEvaluator.determineLowWinners(players, board, omahaHiLo)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const potCalculator = require('../utils/potCalculator');
+const Game = require('../models/Game');
+
+const player = (id, isActive = true) => ({ id, isActive });
+
+describe('PotCalculator', () => {
+  describe('buildPots', () => {
+    test('should build a single pot when everyone put in the same', () => {
+      const players = [player('a'), player('b'), player('c')];
+      const contributions = new Map([['a', 100], ['b', 100], ['c', 100]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(pots.length).toBe(1);
+      expect(pots[0].amount).toBe(300);
+      expect(pots[0].eligiblePlayers.map(p => p.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should cap the main pot at a short all-in', () => {
+      const players = [player('a'), player('b'), player('c')];
+      const contributions = new Map([['a', 50], ['b', 200], ['c', 200]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(pots.map(p => p.amount)).toEqual([150, 300]);
+      expect(pots[0].eligiblePlayers.map(p => p.id)).toEqual(['a', 'b', 'c']);
+      expect(pots[1].eligiblePlayers.map(p => p.id)).toEqual(['b', 'c']);
+    });
+
+    test('should order several side pots from smallest stack up', () => {
+      const players = [player('a'), player('b'), player('c'), player('d')];
+      const contributions = new Map([['a', 300], ['b', 25], ['c', 300], ['d', 100]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(pots.map(p => p.amount)).toEqual([100, 225, 400]);
+      expect(pots[2].eligiblePlayers.map(p => p.id)).toEqual(['a', 'c']);
+    });
+
+    test('should keep folded chips as dead money without making the folder eligible', () => {
+      const players = [player('a'), player('b', false), player('c')];
+      const contributions = new Map([['a', 100], ['b', 60], ['c', 100]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(pots.length).toBe(1);
+      expect(pots[0].amount).toBe(260);
+      expect(pots[0].eligiblePlayers.map(p => p.id)).toEqual(['a', 'c']);
+    });
+
+    test('should return an uncalled bet as a pot only its bettor can win', () => {
+      const players = [player('a'), player('b')];
+      const contributions = new Map([['a', 500], ['b', 120]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(pots.map(p => p.amount)).toEqual([240, 380]);
+      expect(pots[1].eligiblePlayers.map(p => p.id)).toEqual(['a']);
+    });
+
+    test('should fold a folded over-contribution into the pot below it', () => {
+      const players = [player('a'), player('b'), player('c', false)];
+      const contributions = new Map([['a', 40], ['b', 40], ['c', 90]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(pots.length).toBe(1);
+      expect(pots[0].amount).toBe(170);
+    });
+  });
+
+  describe('rakePots', () => {
+    test('should take the percentage from each pot, main pot first, up to the cap', () => {
+      const players = [player('a'), player('b'), player('c')];
+      const contributions = new Map([['a', 100], ['b', 300], ['c', 300]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(potCalculator.rakePots(pots, contributions, 5).map(({ amount, rake }) => [amount, rake]))
+        .toEqual([[285, 15], [380, 20]]);
+      expect(potCalculator.rakePots(pots, contributions, 5, 25).map(({ amount, rake }) => [amount, rake]))
+        .toEqual([[285, 15], [390, 10]]);
+    });
+
+    test('should not rake a bet nobody called', () => {
+      const players = [player('a'), player('b')];
+      const contributions = new Map([['a', 250], ['b', 50]]);
+      const pots = potCalculator.buildPots(players, contributions);
+      expect(potCalculator.rakePots(pots, contributions, 10).map(({ amount, rake }) => [amount, rake]))
+        .toEqual([[90, 10], [200, 0]]);
+    });
+
+    test('should round the rake down', () => {
+      const contributions = new Map([['a', 15], ['b', 15]]);
+      const pots = potCalculator.buildPots([player('a'), player('b')], contributions);
+      expect(potCalculator.rakePots(pots, contributions, 5)[0].rake).toBe(1);
+    });
+  });
+
+  describe('Game contributions', () => {
+    test('should track each player across streets', () => {
+      const game = new Game('test');
+      const a = game.addPlayer('a', 'A');
+      const b = game.addPlayer('b', 'B');
+      game.placeBet(a, 30);
+      game.placeBet(b, 30);
+      a.currentBet = 0;
+      game.placeBet(a, 70);
+      expect(game.contributions.get('a')).toBe(100);
+      expect(game.contributions.get('b')).toBe(30);
+      expect(game.pot).toBe(130);
+    });
+
+    test('should cap a contribution at the player stack', () => {
+      const game = new Game('test');
+      const a = game.addPlayer('a', 'A');
+      game.addPlayer('b', 'B');
+      a.chips = 40;
+      expect(game.placeBet(a, 100)).toBe(40);
+      expect(game.contributions.get('a')).toBe(40);
+    });
+
+    test('should list eligible players starting left of the button', () => {
+      const game = new Game('test');
+      ['a', 'b', 'c'].forEach(id => game.placeBet(game.addPlayer(id, id), 20));
+      game.dealerPosition = 1;
+      expect(game.getPots()[0].eligiblePlayers.map(p => p.id)).toEqual(['c', 'a', 'b']);
+    });
+  });
+});
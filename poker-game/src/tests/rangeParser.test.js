@@ -0,0 +1,152 @@
+const rangeParser = require('../utils/rangeParser');
+const equityCalculator = require('../utils/equityCalculator');
+
+const keys = (combos) => combos.map(combo => rangeParser.comboKey(combo.cards));
+
+describe('RangeParser', () => {
+  describe('parseRange', () => {
+    test('should expand pairs with a plus', () => {
+      const combos = rangeParser.parseRange('QQ+');
+      expect(combos.length).toBe(18);
+      expect(new Set(combos.map(c => rangeParser.handClass(c.cards)))).toEqual(new Set(['QQ', 'KK', 'AA']));
+    });
+
+    test('should expand suited, offsuit and unpaired classes', () => {
+      expect(rangeParser.parseRange('AKs').length).toBe(4);
+      expect(rangeParser.parseRange('KQo').length).toBe(12);
+      expect(rangeParser.parseRange('AK').length).toBe(16);
+    });
+
+    test('should expand kicker spans and kicker plus', () => {
+      const span = rangeParser.parseRange('A5s-A2s');
+      expect(new Set(span.map(c => rangeParser.handClass(c.cards)))).toEqual(new Set(['A5s', 'A4s', 'A3s', 'A2s']));
+      const plus = rangeParser.parseRange('ATs+');
+      expect(new Set(plus.map(c => rangeParser.handClass(c.cards)))).toEqual(new Set(['AKs', 'AQs', 'AJs', 'ATs']));
+    });
+
+    test('should expand pair spans in either order', () => {
+      expect(rangeParser.parseRange('22-55').length).toBe(24);
+      expect(keys(rangeParser.parseRange('55-22'))).toEqual(expect.arrayContaining(keys(rangeParser.parseRange('22-55'))));
+    });
+
+    test('should parse a combined range without duplicates', () => {
+      expect(rangeParser.parseRange('QQ+, AKs, A5s-A2s, KQo').length).toBe(18 + 4 + 16 + 12);
+      expect(rangeParser.parseRange('AK, AKs').length).toBe(16);
+    });
+
+    test('should parse specific combos and weights', () => {
+      const combos = rangeParser.parseRange('AsKs:0.5, KK:0.25');
+      expect(combos.length).toBe(7);
+      expect(combos.find(c => rangeParser.comboKey(c.cards) === 'AsKs').weight).toBe(0.5);
+      expect(combos.filter(c => c.weight === 0.25).length).toBe(6);
+    });
+
+    test('should reject invalid tokens', () => {
+      expect(() => rangeParser.parseRange('AXs')).toThrow();
+      expect(() => rangeParser.parseRange('QQs')).toThrow();
+      expect(() => rangeParser.parseRange('AKs-QJs')).toThrow();
+      expect(() => rangeParser.parseRange('AKs:2')).toThrow();
+      expect(() => rangeParser.parseRange('')).toThrow('Range is empty');
+    });
+  });
+
+  describe('filterDeadCombos', () => {
+    test('should remove combos blocked by known cards', () => {
+      const combos = rangeParser.parseRange('AA');
+      const live = rangeParser.filterDeadCombos(combos, [{ value: 'A', suit: 'spades' }]);
+      expect(live.length).toBe(3);
+    });
+  });
+
+  describe('serializeRange', () => {
+    test.each([
+      'QQ+, AKs, A5s-A2s, KQo',
+      'ATs+',
+      '55-22',
+      'JJ+:0.5, AQs+',
+      'AsKs:0.5, KK:0.25'
+    ])('should round trip %s', (range) => {
+      const combos = rangeParser.parseRange(range);
+      const serialized = rangeParser.serializeRange(combos);
+      expect(rangeParser.parseRange(serialized)).toEqual(expect.arrayContaining(combos));
+      expect(rangeParser.parseRange(serialized).length).toBe(combos.length);
+    });
+
+    test('should compress runs of pairs', () => {
+      expect(rangeParser.serializeRange(rangeParser.parseRange('AA, KK, QQ, 99, 88'))).toBe('QQ+, 99-88');
+    });
+  });
+});
+
+describe('EquityCalculator range equity', () => {
+  test('should compute hand vs range with blockers', () => {
+    const result = equityCalculator.calculateRangeEquity({
+      ranges: ['AsAh', 'KK'],
+      board: '2c7d9hJc'
+    });
+    expect(result.method).toBe('exhaustive');
+    expect(result.players[1].combos).toBe(6);
+    expect(result.players[0].equity).toBeCloseTo((42 / 44) * 100);
+  });
+
+  test('should count runouts as trials and weights separately', () => {
+    const result = equityCalculator.calculateRangeEquity({
+      ranges: ['AsAh', 'KK:0.5'],
+      board: '2c7d9hJc'
+    });
+    expect(result.method).toBe('exhaustive');
+    expect(result.trials).toBe(6 * 44);
+    expect(result.totalWeight).toBeCloseTo(6 * 44 * 0.5);
+    expect(result.players[0].equity).toBeCloseTo((42 / 44) * 100);
+
+    const sampled = equityCalculator.calculateRangeEquity({ ranges: ['QQ+', 'JJ'], iterations: 100, seed: 1 });
+    expect(sampled.trials).toBe(100);
+    expect(sampled.totalWeight).toBe(100);
+  });
+
+  test('should drop combos blocked by the board', () => {
+    const result = equityCalculator.calculateRangeEquity({
+      ranges: ['AA', 'KK'],
+      board: 'AsKs2c7d'
+    });
+    expect(result.players[0].combos).toBe(3);
+    expect(result.players[1].combos).toBe(3);
+  });
+
+  test('should sample large range matchups reproducibly', () => {
+    const options = { ranges: ['QQ+, AKs', 'JJ-99'], iterations: 300, seed: 'ranges' };
+    const first = equityCalculator.calculateRangeEquity(options);
+    const second = equityCalculator.calculateRangeEquity(options);
+    expect(first.method).toBe('monte-carlo');
+    expect(second.players).toEqual(first.players);
+    expect(first.players[0].equity).toBeGreaterThan(50);
+  });
+
+  test('should sample only the matchups that can be dealt, by weight', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const result = equityCalculator.calculateRangeEquity({
+        ranges: ['AsKs', 'As2s, 3c3d:0.01'], iterations: 20, seed, exhaustiveLimit: 0
+      });
+      expect(result.trials).toBe(20);
+    }
+
+    const options = { ranges: ['AA:0.5, KK, AsKs', 'AK, QQ:0.25, Ks2s'], board: '7c8d9hTs4c' };
+    const exact = equityCalculator.calculateRangeEquity(options);
+    const sampled = equityCalculator.calculateRangeEquity({ ...options, iterations: 20000, seed: 'weights', exhaustiveLimit: 0 });
+    expect(sampled.method).toBe('monte-carlo');
+    expect(Math.abs(sampled.players[0].equity - exact.players[0].equity)).toBeLessThan(1.5);
+  });
+
+  test('should refuse to sample when every range but the widest is too wide', () => {
+    const wide = '22+, A2s+, K2s+, Q2s+, A2o+, K2o+, Q2o+';
+    expect(() => equityCalculator.calculateRangeEquity({ ranges: [wide, wide, wide], iterations: 10 }))
+      .toThrow('Ranges have too many combos to sample');
+  });
+
+  test('should reject ranges that cannot be dealt together', () => {
+    expect(() => equityCalculator.calculateRangeEquity({
+      ranges: ['AA', 'AA'],
+      board: 'AsAh2c'
+    })).toThrow('Ranges overlap too much');
+  });
+});
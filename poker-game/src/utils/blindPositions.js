@@ -0,0 +1,157 @@
+/**
+ * Utility functions for placing the button and blinds from hand to hand.
+ * Positions are seat numbers, so players leaving the table never shift them.
+ * With blinds, the big blind moves forward one occupied seat every hand; the
+ * small blind and button follow it onto the seats the blinds used last hand,
+ * which leaves a dead small blind or dead button when those seats empty.
+ */
+
+/**
+ * Finds the first occupied seat after a seat, going clockwise
+ * @param {Array} seats Occupied seat numbers in ascending order
+ * @param {number} fromSeat Seat to start after (need not be occupied)
+ * @returns {number} The next occupied seat
+ */
+const nextOccupiedSeat = (seats, fromSeat) => {
+  const next = seats.find(seat => seat > fromSeat);
+  return next === undefined ? seats[0] : next;
+};
+
+/**
+ * Finds the seat itself if occupied, otherwise the nearest occupied seat before it
+ * @param {Array} seats Occupied seat numbers in ascending order
+ * @param {number} seat Seat to look from
+ * @returns {number} The occupied seat at or before the given seat
+ */
+const occupiedSeatAtOrBefore = (seats, seat) => {
+  const before = seats.filter(occupied => occupied <= seat);
+  return before.length > 0 ? before[before.length - 1] : seats[seats.length - 1];
+};
+
+/**
+ * Checks whether a seat lies strictly between two seats, going clockwise
+ * @param {number} seat Seat to check
+ * @param {number} fromSeat Seat to start after
+ * @param {number} toSeat Seat to stop before
+ * @returns {boolean} True if the seat is passed on the way
+ */
+const isSeatBetween = (seat, fromSeat, toSeat) => (fromSeat < toSeat
+  ? seat > fromSeat && seat < toSeat
+  : seat > fromSeat || seat < toSeat);
+
+/**
+ * Positions for two players: the button posts the small blind and acts first
+ * before the flop, and the big blind acts first after it
+ * @param {number} button Button seat
+ * @param {number} bigBlind Big blind seat
+ * @returns {Object} Positions
+ */
+const headsUpPositions = (button, bigBlind) => ({
+  button,
+  smallBlind: button,
+  smallBlindSeat: button,
+  bigBlind,
+  deadButton: false,
+  headsUp: true,
+  firstToActPreflop: button,
+  firstToActPostflop: bigBlind
+});
+
+/**
+ * Positions for three or more players
+ * @param {Array} seats Occupied seat numbers in ascending order
+ * @param {number} button Button seat (empty for a dead button)
+ * @param {number} smallBlindSeat Small blind seat (empty for a dead small blind)
+ * @param {number} bigBlind Big blind seat
+ * @returns {Object} Positions
+ */
+const ringPositions = (seats, button, smallBlindSeat, bigBlind) => ({
+  button,
+  smallBlind: seats.includes(smallBlindSeat) ? smallBlindSeat : null,
+  smallBlindSeat,
+  bigBlind,
+  deadButton: !seats.includes(button),
+  headsUp: false,
+  firstToActPreflop: nextOccupiedSeat(seats, bigBlind),
+  firstToActPostflop: nextOccupiedSeat(seats, button)
+});
+
+/**
+ * Places the blinds to the left of a live button
+ * @param {Array} seats Occupied seat numbers in ascending order
+ * @param {number} button Button seat
+ * @returns {Object} Positions
+ */
+const positionsFromButton = (seats, button) => {
+  if (seats.length === 2) {
+    return headsUpPositions(button, nextOccupiedSeat(seats, button));
+  }
+  const smallBlind = nextOccupiedSeat(seats, button);
+  return ringPositions(seats, button, smallBlind, nextOccupiedSeat(seats, smallBlind));
+};
+
+/**
+ * Places the button and blinds for a new hand
+ * @param {Array} seats Seats of the players dealt in, in ascending order
+ * @param {Object|null} previous Positions from the last hand, or null for the first hand
+ * @param {number} [firstButton] Button seat for the first hand (defaults to the lowest seat)
+ * @returns {Object} {button, smallBlind, smallBlindSeat, bigBlind, deadButton, headsUp,
+ *   firstToActPreflop, firstToActPostflop}. smallBlind is null when the small blind is
+ *   dead; smallBlindSeat keeps the seat so the button can follow it next hand.
+ */
+const placeBlinds = (seats, previous, firstButton) => {
+  if (seats.length < 2) {
+    throw new Error('At least two players are needed to place the blinds');
+  }
+  if (!previous) {
+    return positionsFromButton(seats, seats.includes(firstButton) ? firstButton : seats[0]);
+  }
+
+  const bigBlind = nextOccupiedSeat(seats, previous.bigBlind);
+  if (seats.length === 2) {
+    return headsUpPositions(seats.find(seat => seat !== bigBlind), bigBlind);
+  }
+
+  const smallBlindSeat = previous.bigBlind;
+  const button = previous.smallBlindSeat;
+  if (button === bigBlind) {
+    // Too many seats changed at once to move the blinds forward; restart from the next button
+    return positionsFromButton(seats, nextOccupiedSeat(seats, previous.button));
+  }
+  return ringPositions(seats, button, smallBlindSeat, bigBlind);
+};
+
+/**
+ * Moves the button one occupied seat for games without blinds (antes, bring-ins)
+ * @param {Array} seats Seats of the players dealt in, in ascending order
+ * @param {Object|null} previous Positions from the last hand, or null for the first hand
+ * @param {number} [firstButton] Button seat for the first hand (defaults to the lowest seat)
+ * @returns {Object} Positions in the same shape as placeBlinds, without blinds
+ */
+const moveButton = (seats, previous, firstButton) => {
+  let button;
+  if (previous) {
+    button = nextOccupiedSeat(seats, previous.button);
+  } else {
+    button = seats.includes(firstButton) ? firstButton : seats[0];
+  }
+  const firstToAct = nextOccupiedSeat(seats, button);
+  return {
+    button,
+    smallBlind: null,
+    smallBlindSeat: null,
+    bigBlind: null,
+    deadButton: false,
+    headsUp: seats.length === 2,
+    firstToActPreflop: firstToAct,
+    firstToActPostflop: firstToAct
+  };
+};
+
+module.exports = {
+  nextOccupiedSeat,
+  isSeatBetween,
+  occupiedSeatAtOrBefore,
+  placeBlinds,
+  moveButton
+};
@@ -6,6 +6,9 @@
 const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
 const VALUES = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 
+// Single-letter suit codes used in card notation (e.g. 'As', 'Td')
+const SUIT_CODES = { s: 'spades', h: 'hearts', d: 'diamonds', c: 'clubs' };
+
 /**
  * Sorts cards by value in descending order
  * @param {Array} cards Array of card objects
@@ -87,6 +90,75 @@ const countValues = (cards) => {
   }, {});
 };
 
+/**
+ * Generates every k-sized combination of an array, preserving order
+ * @param {Array} items Array to choose from
+ * @param {number} k Size of each combination
+ * @returns {Array} Array of combinations (each an array)
+ */
+const combinations = (items, k) => {
+  const result = [];
+  const combo = [];
+  const pick = (start) => {
+    if (combo.length === k) {
+      result.push([...combo]);
+      return;
+    }
+    for (let i = start; i <= items.length - (k - combo.length); i++) {
+      combo.push(items[i]);
+      pick(i + 1);
+      combo.pop();
+    }
+  };
+  pick(0);
+  return result;
+};
+
+/**
+ * Parses a card in short notation such as 'As', 'Td' or '10h'
+ * @param {string|Object} notation Card notation, or a card object which is returned as-is
+ * @returns {Object} Card object with suit and value
+ */
+const parseCard = (notation) => {
+  if (notation && typeof notation === 'object') return notation;
+
+  const match = /^(10|[2-9TJQKA])([shdc])$/i.exec(String(notation).trim());
+  if (!match) {
+    throw new Error(`Invalid card: ${notation}`);
+  }
+  const rank = match[1].toUpperCase();
+  return {
+    suit: SUIT_CODES[match[2].toLowerCase()],
+    value: rank === 'T' ? '10' : rank
+  };
+};
+
+/**
+ * Parses a list of cards, given as an array or a string like 'AsKd' or 'As Kd'
+ * @param {Array|string} cards Card notations or card objects
+ * @returns {Array} Array of card objects
+ */
+const parseCards = (cards) => {
+  if (!cards) return [];
+  if (Array.isArray(cards)) return cards.map(parseCard);
+
+  const tokens = String(cards).match(/(10|[2-9TJQKA])[shdc]/gi) || [];
+  if (tokens.join('').length !== String(cards).replace(/[\s,]/g, '').length) {
+    throw new Error(`Invalid cards: ${cards}`);
+  }
+  return tokens.map(parseCard);
+};
+
+/**
+ * Formats a card in short notation (e.g. { value: '10', suit: 'hearts' } -> 'Th')
+ * @param {Object} card Card object
+ * @returns {string} Card notation
+ */
+const formatCard = (card) => {
+  const rank = card.value === '10' ? 'T' : card.value;
+  return `${rank}${card.suit[0]}`;
+};
+
 module.exports = {
   SUITS,
   VALUES,
@@ -96,5 +168,9 @@ module.exports = {
   getValueIndex,
   isConsecutive,
   isAceLowStraight,
-  countValues
+  countValues,
+  combinations,
+  parseCard,
+  parseCards,
+  formatCard
 }; 
\ No newline at end of file
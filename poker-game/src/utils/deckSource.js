@@ -0,0 +1,93 @@
+/**
+ * Where a table's decks come from. Every hand is shuffled from a seed that is
+ * recorded with it, so any hand can be dealt again exactly:
+ * - crypto: a fresh random seed each hand, expanded with HMAC-SHA256
+ * - seeded: hand N of a table uses `${seed}-${N}` with the seeded PRNG, so a
+ *   whole game replays the same way
+ * - stacked: the given cards on top, in order, and the rest of the deck below
+ *   them shuffled as for seeded (or crypto without a seed); for test scenarios
+ */
+const crypto = require('crypto');
+const Deck = require('../models/Deck');
+const cardUtils = require('./cardUtils');
+const random = require('./random');
+const fairShuffle = require('./fairShuffle');
+
+const TYPES = ['crypto', 'seeded', 'stacked'];
+
+/**
+ * Checks a deck source and fills in its defaults
+ * @param {Object} source Deck source
+ * @param {string} source.type One of TYPES
+ * @param {string|number} [source.seed] Game seed; required for seeded decks
+ * @param {Array|string} [source.cards] Stacked decks: cards on top, e.g. 'AsKd QhQc' or ['As', 'Kd']
+ * @param {Array} values Card values in the table's deck
+ * @returns {Object} {type, seed, cards} with seed null when there is none and the stacked cards in notation
+ */
+const checkDeckSource = ({ type, seed, cards } = {}, values) => {
+  if (!TYPES.includes(type)) {
+    throw new Error(`Unknown deck source: ${type}`);
+  }
+  const hasSeed = seed !== undefined && seed !== null;
+  if (hasSeed && !['string', 'number'].includes(typeof seed)) {
+    throw new Error('The deck seed must be text or a number');
+  }
+  if (type === 'seeded' && !hasSeed) {
+    throw new Error('A seeded deck needs a seed');
+  }
+  if (type !== 'stacked') {
+    return { type, seed: hasSeed ? String(seed) : null, cards: [] };
+  }
+
+  const stacked = cardUtils.parseCards(cards).map(cardUtils.formatCard);
+  if (stacked.length === 0) {
+    throw new Error('A stacked deck needs cards');
+  }
+  const deckCards = new Set(new Deck({ values }).cards.map(cardUtils.formatCard));
+  if (new Set(stacked).size !== stacked.length || !stacked.every(card => deckCards.has(card))) {
+    throw new Error('Stacked cards must be different cards from the deck');
+  }
+  return { type, seed: hasSeed ? String(seed) : null, cards: stacked };
+};
+
+/**
+ * Chooses the seed for one hand
+ * @param {Object} source Deck source from checkDeckSource
+ * @param {number} hand Hand number at the table, from 1
+ * @returns {string} The hand's seed
+ */
+const createHandSeed = (source, hand) => {
+  if (source.seed === null) {
+    return crypto.randomBytes(16).toString('hex');
+  }
+  return `${source.seed}-${hand}`;
+};
+
+/**
+ * Deals a hand's deck, the same every time for the same source and seed
+ * @param {Object} source Deck source from checkDeckSource
+ * @param {string} seed The hand's seed
+ * @param {Array} [values] Card values in the deck (defaults to the full deck)
+ * @returns {Deck} The shuffled deck
+ */
+const createDeck = (source, seed, values) => {
+  const rng = source.type === 'crypto' || (source.type === 'stacked' && source.seed === null)
+    ? fairShuffle.createFairRandom(seed)
+    : random.createSeededRandom(seed);
+  const deck = new Deck({ values, random: rng });
+  if (source.type === 'stacked') {
+    const byNotation = new Map(deck.cards.map(card => [cardUtils.formatCard(card), card]));
+    deck.cards = [
+      ...source.cards.map(card => byNotation.get(card)),
+      ...deck.cards.filter(card => !source.cards.includes(cardUtils.formatCard(card)))
+    ];
+  }
+  return deck;
+};
+
+module.exports = {
+  TYPES,
+  checkDeckSource,
+  createHandSeed,
+  createDeck
+};
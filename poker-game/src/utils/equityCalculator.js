@@ -0,0 +1,518 @@
+const Deck = require('../models/Deck');
+const cardUtils = require('./cardUtils');
+const handEvaluator = require('./handEvaluator');
+const random = require('./random');
+const rangeParser = require('./rangeParser');
+
+// Enumerate every runout when there are at most this many; sample otherwise
+const DEFAULT_EXHAUSTIVE_LIMIT = 200000;
+const DEFAULT_ITERATIONS = 10000;
+// Most deals of combos from all ranges but the widest that sampling lists up front
+const MAX_RANGE_PREFIXES = 100000;
+const BOARD_SIZE = 5;
+const HOLE_CARDS = 2;
+
+/**
+ * Identifies a card uniquely for duplicate and dead-card checks
+ * @param {Object} card Card object
+ * @returns {string} Card key
+ */
+const cardKey = (card) => `${card.value}-${card.suit}`;
+
+/**
+ * Calculates the binomial coefficient n choose k
+ * @param {number} n Number of items
+ * @param {number} k Number chosen
+ * @returns {number} Number of combinations
+ */
+const choose = (n, k) => {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i;
+  }
+  return Math.round(result);
+};
+
+/**
+ * Gets the unknown cards left once the known cards are removed
+ * @param {Array} knownCards Card objects already in use
+ * @returns {Array} Remaining cards in canonical order
+ */
+const getStub = (knownCards) => {
+  const known = new Set();
+  knownCards.forEach(card => {
+    const key = cardKey(card);
+    if (known.has(key)) {
+      throw new Error(`Duplicate card: ${cardUtils.formatCard(card)}`);
+    }
+    known.add(key);
+  });
+
+  // Canonical order, so a given seed always draws the same cards
+  return new Deck().cards
+    .filter(card => !known.has(cardKey(card)))
+    .sort((a, b) =>
+      cardUtils.SUITS.indexOf(a.suit) - cardUtils.SUITS.indexOf(b.suit) ||
+      cardUtils.getValueIndex(a.value) - cardUtils.getValueIndex(b.value)
+    );
+};
+
+/**
+ * Parses and validates the known cards of an equity request
+ * @param {Object} options Equity options (hands, board, dead)
+ * @returns {Object} Parsed hands, board and the remaining stub of unknown cards
+ */
+const prepareCards = ({ hands, board = [], dead = [] }) => {
+  if (!Array.isArray(hands) || hands.length < 2) {
+    throw new Error('At least two hands are required');
+  }
+
+  const parsedHands = hands.map(hand => cardUtils.parseCards(hand));
+  parsedHands.forEach(hand => {
+    if (hand.length !== 0 && hand.length !== HOLE_CARDS) {
+      throw new Error(`Each hand must have ${HOLE_CARDS} cards, or none for a random hand`);
+    }
+  });
+
+  const parsedBoard = cardUtils.parseCards(board);
+  if (parsedBoard.length > BOARD_SIZE) {
+    throw new Error(`Board cannot have more than ${BOARD_SIZE} cards`);
+  }
+
+  const stub = getStub([...parsedHands.flat(), ...parsedBoard, ...cardUtils.parseCards(dead)]);
+  return { hands: parsedHands, board: parsedBoard, stub };
+};
+
+/**
+ * Scores one complete runout and tallies the result for every hand
+ * @param {Array} hands Hole cards for every player
+ * @param {Array} board Five community cards
+ * @param {Array} tally Per-player {win, tie, lose, share} counters
+ * @param {number} weight How much this runout counts (combo weights in range equity)
+ */
+const scoreRunout = (hands, board, tally, weight = 1) => {
+  const scores = hands.map(hand => handEvaluator.scoreHand(hand, board));
+  const best = Math.max(...scores);
+  const winners = scores.filter(score => score === best).length;
+
+  scores.forEach((score, index) => {
+    if (score !== best) {
+      tally[index].lose += weight;
+    } else if (winners === 1) {
+      tally[index].win += weight;
+      tally[index].share += weight;
+    } else {
+      tally[index].tie += weight;
+      tally[index].share += weight / winners;
+    }
+  });
+};
+
+/**
+ * Fills in random hands and the rest of the board from a list of drawn cards
+ * @param {Array} hands Known hands (empty arrays for random hands)
+ * @param {Array} board Known board cards
+ * @param {Array} drawn Cards drawn from the stub, in order
+ * @returns {Object} Complete hands and board
+ */
+const completeRunout = (hands, board, drawn) => {
+  let next = 0;
+  const fullHands = hands.map(hand => {
+    if (hand.length > 0) return hand;
+    next += HOLE_CARDS;
+    return drawn.slice(next - HOLE_CARDS, next);
+  });
+  return { hands: fullHands, board: [...board, ...drawn.slice(next)] };
+};
+
+/**
+ * Enumerates every possible deal of the unknown cards
+ * @param {Array} hands Known hands (empty arrays for random hands)
+ * @param {Array} board Known board cards
+ * @param {Array} stub Unknown cards
+ * @param {Array} tally Per-player counters
+ * @returns {number} Number of runouts scored
+ */
+const enumerate = (hands, board, stub, tally) => {
+  // Each random hand and the rest of the board is an unordered group of cards
+  const groups = hands.filter(hand => hand.length === 0).map(() => HOLE_CARDS);
+  groups.push(BOARD_SIZE - board.length);
+
+  let trials = 0;
+  const deal = (groupIndex, available, drawn) => {
+    if (groupIndex === groups.length) {
+      const runout = completeRunout(hands, board, drawn);
+      scoreRunout(runout.hands, runout.board, tally);
+      trials++;
+      return;
+    }
+    for (const combo of cardUtils.combinations(available, groups[groupIndex])) {
+      const rest = available.filter(card => !combo.includes(card));
+      deal(groupIndex + 1, rest, [...drawn, ...combo]);
+    }
+  };
+
+  deal(0, stub, []);
+  return trials;
+};
+
+/**
+ * Samples random deals of the unknown cards
+ * @param {Array} hands Known hands (empty arrays for random hands)
+ * @param {Array} board Known board cards
+ * @param {Array} stub Unknown cards
+ * @param {Array} tally Per-player counters
+ * @param {number} iterations Number of deals to sample
+ * @param {Function} rng Random number source returning [0, 1)
+ * @returns {number} Number of runouts scored
+ */
+const sample = (hands, board, stub, tally, iterations, rng) => {
+  const needed = hands.filter(hand => hand.length === 0).length * HOLE_CARDS + BOARD_SIZE - board.length;
+  const cards = [...stub];
+
+  for (let i = 0; i < iterations; i++) {
+    // Partial Fisher-Yates: only the first `needed` positions are drawn
+    for (let j = 0; j < needed; j++) {
+      const k = j + Math.floor(rng() * (cards.length - j));
+      [cards[j], cards[k]] = [cards[k], cards[j]];
+    }
+    const runout = completeRunout(hands, board, cards.slice(0, needed));
+    scoreRunout(runout.hands, runout.board, tally);
+  }
+  return iterations;
+};
+
+/**
+ * Counts the number of distinct deals of the unknown cards
+ * @param {Array} hands Known hands (empty arrays for random hands)
+ * @param {Array} board Known board cards
+ * @param {number} stubSize Number of unknown cards
+ * @returns {number} Number of runouts an exhaustive calculation would score
+ */
+const countRunouts = (hands, board, stubSize) => {
+  let remaining = stubSize;
+  let count = 1;
+  hands.filter(hand => hand.length === 0).forEach(() => {
+    count *= choose(remaining, HOLE_CARDS);
+    remaining -= HOLE_CARDS;
+  });
+  return count * choose(remaining, BOARD_SIZE - board.length);
+};
+
+/**
+ * Calculates win/tie/lose percentages for each hand. Enumerates exactly when the
+ * number of possible runouts is small, and uses a seeded Monte Carlo simulation otherwise.
+ * @param {Object} options Equity options
+ * @param {Array} options.hands Hole cards per player, in notation ('AsKd') or card objects; empty for a random hand
+ * @param {Array|string} [options.board] Known community cards
+ * @param {Array|string} [options.dead] Cards known to be out of play
+ * @param {number} [options.iterations] Number of Monte Carlo samples
+ * @param {number|string} [options.seed] Seed for reproducible sampling
+ * @param {number} [options.exhaustiveLimit] Maximum runouts to enumerate exactly
+ * @returns {Object} Method used, number of trials, seed and per-player results
+ */
+const calculateEquity = (options) => {
+  const { hands, board, stub } = prepareCards(options);
+  const iterations = options.iterations || DEFAULT_ITERATIONS;
+  const exhaustiveLimit = options.exhaustiveLimit !== undefined ? options.exhaustiveLimit : DEFAULT_EXHAUSTIVE_LIMIT;
+
+  if (hands.filter(hand => hand.length === 0).length * HOLE_CARDS + BOARD_SIZE - board.length > stub.length) {
+    throw new Error('Not enough cards left in the deck');
+  }
+
+  const tally = hands.map(() => ({ win: 0, tie: 0, lose: 0, share: 0 }));
+  const runouts = countRunouts(hands, board, stub.length);
+
+  let method;
+  let trials;
+  let seed = null;
+  if (runouts <= exhaustiveLimit) {
+    method = 'exhaustive';
+    trials = enumerate(hands, board, stub, tally);
+  } else {
+    method = 'monte-carlo';
+    seed = options.seed !== undefined ? options.seed : random.generateSeed();
+    trials = sample(hands, board, stub, tally, iterations, random.createSeededRandom(seed));
+  }
+
+  return {
+    method,
+    trials,
+    seed,
+    board: board.map(cardUtils.formatCard),
+    players: hands.map((hand, index) => ({
+      hand: hand.length > 0 ? hand.map(cardUtils.formatCard) : null,
+      ...toPercentages(tally[index], trials)
+    }))
+  };
+};
+
+/**
+ * Converts a player's tally into percentages
+ * @param {Object} tally The player's {win, tie, lose, share} counters
+ * @param {number} total Total (weighted) number of runouts
+ * @returns {Object} Win, tie, lose and equity percentages
+ */
+const toPercentages = (tally, total) => {
+  const percent = (count) => (count / total) * 100;
+  return {
+    win: percent(tally.win),
+    tie: percent(tally.tie),
+    lose: percent(tally.lose),
+    equity: percent(tally.share)
+  };
+};
+
+/**
+ * Checks whether a set of combos shares any card
+ * @param {Array} combos Array of {cards, weight}
+ * @returns {boolean} True if two combos use the same card
+ */
+const combosOverlap = (combos) => {
+  const seen = new Set();
+  for (const { cards } of combos) {
+    for (const card of cards) {
+      const key = cardKey(card);
+      if (seen.has(key)) return true;
+      seen.add(key);
+    }
+  }
+  return false;
+};
+
+/**
+ * Enumerates every non-overlapping combination of combos and every board runout
+ * @param {Array} ranges Per-player arrays of {cards, weight}
+ * @param {Array} board Known board cards
+ * @param {Array} stub Unknown cards (board and dead cards removed)
+ * @param {Array} tally Per-player counters
+ * @returns {Object} {runouts, totalWeight}: runouts scored and the sum of their weights
+ */
+const enumerateRanges = (ranges, board, stub, tally) => {
+  let runouts = 0;
+  let totalWeight = 0;
+  const pick = (index, chosen) => {
+    if (index === ranges.length) {
+      const used = new Set(chosen.flatMap(combo => combo.cards.map(cardKey)));
+      const available = stub.filter(card => !used.has(cardKey(card)));
+      const weight = chosen.reduce((product, combo) => product * combo.weight, 1);
+      const hands = chosen.map(combo => combo.cards);
+      for (const rest of cardUtils.combinations(available, BOARD_SIZE - board.length)) {
+        scoreRunout(hands, [...board, ...rest], tally, weight);
+        runouts++;
+        totalWeight += weight;
+      }
+      return;
+    }
+    for (const combo of ranges[index]) {
+      const next = [...chosen, combo];
+      if (!combosOverlap(next)) pick(index + 1, next);
+    }
+  };
+
+  pick(0, []);
+  return { runouts, totalWeight };
+};
+
+/**
+ * Samples combos from every range and random board runouts. Every deal of combos from
+ * all ranges but the widest is listed up front, weighted by its combos and by the
+ * widest range's combos it leaves free; a sample draws a deal from that list and then
+ * a free combo from the widest range. Each matchup that can really occur is drawn in
+ * proportion to its weight, without redrawing overlaps.
+ * @param {Array} ranges Per-player arrays of {cards, weight}
+ * @param {Array} board Known board cards
+ * @param {Array} stub Unknown cards (board and dead cards removed)
+ * @param {Array} tally Per-player counters
+ * @param {number} iterations Number of matchups to sample
+ * @param {Function} rng Random number source returning [0, 1)
+ * @returns {number} Number of runouts scored
+ */
+const sampleRanges = (ranges, board, stub, tally, iterations, rng) => {
+  const widest = ranges.reduce((best, range, index) => (range.length > ranges[best].length ? index : best), 0);
+  const others = ranges.filter((_, index) => index !== widest);
+  if (others.reduce((product, range) => product * range.length, 1) > MAX_RANGE_PREFIXES) {
+    throw new Error('Ranges have too many combos to sample; narrow all but the widest one');
+  }
+
+  // Cards by their position in the stub, so a deal's cards can be marked in a flag array
+  const positions = new Map(stub.map((card, position) => [cardKey(card), position]));
+  const toPositions = combo => combo.cards.map(card => positions.get(cardKey(card)));
+  const size = stub.length;
+  const open = ranges[widest];
+  const firstCards = Int8Array.from(open, combo => toPositions(combo)[0]);
+  const secondCards = Int8Array.from(open, combo => toPositions(combo)[1]);
+  const weights = Float64Array.from(open, combo => combo.weight);
+
+  // Weight and number of the widest range's combos holding each card and each pair of cards
+  const cardWeights = new Float64Array(size);
+  const cardCounts = new Int32Array(size);
+  const pairWeights = new Float64Array(size * size);
+  const pairCounts = new Int32Array(size * size);
+  let openWeight = 0;
+  open.forEach((_, c) => {
+    const [first, second] = [firstCards[c], secondCards[c]];
+    openWeight += weights[c];
+    [first, second].forEach(card => {
+      cardWeights[card] += weights[c];
+      cardCounts[card]++;
+    });
+    [first * size + second, second * size + first].forEach(pair => {
+      pairWeights[pair] += weights[c];
+      pairCounts[pair]++;
+    });
+  });
+
+  // Every deal of the other ranges' combos, with the cumulative weight of the deals so far
+  const otherCards = others.map(range => range.map(toPositions));
+  const deals = [];
+  const cumulative = [];
+  let totalWeight = 0;
+  const pick = (index, chosen, cards, weight) => {
+    if (index === others.length) {
+      let free = openWeight;
+      let count = open.length;
+      cards.forEach((card, i) => {
+        free -= cardWeights[card];
+        count -= cardCounts[card];
+        for (let j = i + 1; j < cards.length; j++) {
+          free += pairWeights[card * size + cards[j]];
+          count += pairCounts[card * size + cards[j]];
+        }
+      });
+      if (count === 0) return;
+      const used = new Uint8Array(size);
+      cards.forEach(card => { used[card] = 1; });
+      free = Math.max(free, 0);
+      totalWeight += weight * free;
+      deals.push({ combos: chosen, used, free });
+      cumulative.push(totalWeight);
+      return;
+    }
+    others[index].forEach((combo, c) => {
+      const comboCards = otherCards[index][c];
+      if (comboCards.some(card => cards.includes(card))) return;
+      pick(index + 1, [...chosen, combo], [...cards, ...comboCards], weight * combo.weight);
+    });
+  };
+  pick(0, [], [], 1);
+  if (deals.length === 0) {
+    throw new Error('Ranges overlap too much to deal a matchup');
+  }
+
+  const needed = BOARD_SIZE - board.length;
+  for (let i = 0; i < iterations; i++) {
+    const target = rng() * totalWeight;
+    let low = 0;
+    let high = deals.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cumulative[middle] > target) high = middle;
+      else low = middle + 1;
+    }
+    const { combos, used, free } = deals[low];
+
+    // A free combo from the widest range, in proportion to its weight
+    let rest = rng() * free;
+    let drawn = -1;
+    for (let c = 0; c < open.length; c++) {
+      if (used[firstCards[c]] || used[secondCards[c]]) continue;
+      drawn = c;
+      rest -= weights[c];
+      if (rest < 0) break;
+    }
+    const chosen = [...combos];
+    chosen.splice(widest, 0, open[drawn]);
+
+    const available = stub.filter((_, position) =>
+      !used[position] && position !== firstCards[drawn] && position !== secondCards[drawn]);
+    for (let j = 0; j < needed; j++) {
+      const k = j + Math.floor(rng() * (available.length - j));
+      [available[j], available[k]] = [available[k], available[j]];
+    }
+    scoreRunout(chosen.map(combo => combo.cards), [...board, ...available.slice(0, needed)], tally);
+  }
+  return iterations;
+};
+
+/**
+ * Calculates range-vs-range (or hand-vs-range) equity on a board. Combos blocked by
+ * the board, dead cards or each other are removed.
+ * @param {Object} options Equity options
+ * @param {Array} options.ranges Range notation per player ('QQ+, AKs'); a single combo like 'AsKd' is a hand
+ * @param {Array|string} [options.board] Known community cards
+ * @param {Array|string} [options.dead] Cards known to be out of play
+ * @param {number} [options.iterations] Number of Monte Carlo samples
+ * @param {number|string} [options.seed] Seed for reproducible sampling
+ * @param {number} [options.exhaustiveLimit] Maximum runouts to enumerate exactly
+ * @returns {Object} Method used, number of trials (runouts enumerated or samples drawn), their
+ *   totalWeight (sampled combos are drawn by weight, so each sample counts once), seed and
+ *   per-player results
+ */
+const calculateRangeEquity = (options) => {
+  const { ranges } = options;
+  if (!Array.isArray(ranges) || ranges.length < 2) {
+    throw new Error('At least two ranges are required');
+  }
+
+  const board = cardUtils.parseCards(options.board);
+  if (board.length > BOARD_SIZE) {
+    throw new Error(`Board cannot have more than ${BOARD_SIZE} cards`);
+  }
+  const deadCards = [...board, ...cardUtils.parseCards(options.dead)];
+  const stub = getStub(deadCards);
+
+  const combos = ranges.map((range, index) => {
+    const live = rangeParser.filterDeadCombos(rangeParser.parseRange(range), deadCards);
+    if (live.length === 0) {
+      throw new Error(`Range ${index + 1} has no combos left after card removal`);
+    }
+    return live;
+  });
+
+  const iterations = options.iterations || DEFAULT_ITERATIONS;
+  const exhaustiveLimit = options.exhaustiveLimit !== undefined ? options.exhaustiveLimit : DEFAULT_EXHAUSTIVE_LIMIT;
+  const matchups = combos.reduce((product, range) => product * range.length, 1);
+  const runouts = matchups * choose(stub.length - ranges.length * HOLE_CARDS, BOARD_SIZE - board.length);
+
+  const tally = ranges.map(() => ({ win: 0, tie: 0, lose: 0, share: 0 }));
+  let method;
+  let trials;
+  let totalWeight;
+  let seed = null;
+  if (runouts <= exhaustiveLimit) {
+    method = 'exhaustive';
+    ({ runouts: trials, totalWeight } = enumerateRanges(combos, board, stub, tally));
+    if (trials === 0) {
+      throw new Error('Ranges overlap too much to deal a matchup');
+    }
+  } else {
+    method = 'monte-carlo';
+    seed = options.seed !== undefined ? options.seed : random.generateSeed();
+    trials = sampleRanges(combos, board, stub, tally, iterations, random.createSeededRandom(seed));
+    totalWeight = trials;
+  }
+
+  return {
+    method,
+    trials,
+    totalWeight,
+    seed,
+    board: board.map(cardUtils.formatCard),
+    players: combos.map((range, index) => ({
+      range: rangeParser.serializeRange(range),
+      combos: range.length,
+      ...toPercentages(tally[index], totalWeight)
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_EXHAUSTIVE_LIMIT,
+  DEFAULT_ITERATIONS,
+  choose,
+  countRunouts,
+  calculateEquity,
+  calculateRangeEquity
+};
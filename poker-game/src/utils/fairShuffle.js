@@ -0,0 +1,106 @@
+/**
+ * Provably fair shuffling with a commit-reveal scheme. The server commits to a
+ * secret seed by publishing its SHA-256 hash before the hand, players add their
+ * own seeds, and the deck is shuffled from both with HMAC-SHA256. Once the hand
+ * is over the server seed is revealed, so anyone can check it matches the hash
+ * and reproduce the deck order.
+ */
+const crypto = require('crypto');
+const Deck = require('../models/Deck');
+const cardUtils = require('./cardUtils');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+// Bytes of HMAC output per random number; 32-byte digests give five numbers each
+const BYTES_PER_NUMBER = 6;
+
+/**
+ * Generates a secret server seed
+ * @returns {string} 64 hex characters
+ */
+const generateServerSeed = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Hashes a server seed for publishing before the hand
+ * @param {string} serverSeed The server seed
+ * @returns {string} SHA-256 hash in hex
+ */
+const hashServerSeed = (serverSeed) => {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+};
+
+/**
+ * Checks a seed contributed by a player
+ * @param {string} seed The client seed
+ */
+const checkClientSeed = (seed) => {
+  if (typeof seed !== 'string' || seed.length === 0 || seed.length > MAX_CLIENT_SEED_LENGTH) {
+    throw new Error(`Client seed must be text of 1 to ${MAX_CLIENT_SEED_LENGTH} characters`);
+  }
+};
+
+/**
+ * Creates a random number source from the server seed and client seeds. Block N
+ * is HMAC-SHA256(serverSeed, JSON.stringify(clientSeeds) + ':' + N), read as
+ * 48-bit big-endian numbers.
+ * @param {string} serverSeed The server seed
+ * @param {Array} [clientSeeds] The players' seeds, in order
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+const createFairRandom = (serverSeed, clientSeeds = []) => {
+  const message = JSON.stringify(clientSeeds);
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+  return () => {
+    if (offset + BYTES_PER_NUMBER > block.length) {
+      block = crypto.createHmac('sha256', serverSeed).update(`${message}:${counter}`).digest();
+      counter++;
+      offset = 0;
+    }
+    const value = block.readUIntBE(offset, BYTES_PER_NUMBER);
+    offset += BYTES_PER_NUMBER;
+    return value / 2 ** (BYTES_PER_NUMBER * 8);
+  };
+};
+
+/**
+ * Shuffles a deck from the seeds
+ * @param {string} serverSeed The server seed
+ * @param {Array} [clientSeeds] The players' seeds, in order
+ * @param {Array} [values] Card values in the deck (defaults to the full deck)
+ * @returns {Deck} The shuffled deck
+ */
+const createFairDeck = (serverSeed, clientSeeds = [], values) => {
+  return new Deck({ values, random: createFairRandom(serverSeed, clientSeeds) });
+};
+
+/**
+ * Checks a revealed hand: the server seed matches the hash published before the
+ * hand, and the seeds shuffle to the deck that was dealt
+ * @param {Object} shuffle The revealed shuffle
+ * @param {string} shuffle.serverSeed The revealed server seed
+ * @param {string} shuffle.serverSeedHash The hash published before the hand
+ * @param {Array} shuffle.clientSeeds The players' seeds, {playerId, seed} in order
+ * @param {Array} [shuffle.values] Card values in the deck
+ * @param {Array} shuffle.deck The deck order dealt, in card notation
+ * @returns {Object} {hashMatches, deckMatches, valid, expectedDeck}
+ */
+const verifyShuffle = ({ serverSeed, serverSeedHash, clientSeeds, values, deck }) => {
+  const seeds = clientSeeds.map(({ seed }) => seed);
+  const expectedDeck = createFairDeck(serverSeed, seeds, values).cards.map(cardUtils.formatCard);
+  const hashMatches = hashServerSeed(serverSeed) === serverSeedHash;
+  const deckMatches = deck.length === expectedDeck.length && deck.every((card, index) => card === expectedDeck[index]);
+  return { hashMatches, deckMatches, valid: hashMatches && deckMatches, expectedDeck };
+};
+
+module.exports = {
+  MAX_CLIENT_SEED_LENGTH,
+  generateServerSeed,
+  hashServerSeed,
+  checkClientSeed,
+  createFairRandom,
+  createFairDeck,
+  verifyShuffle
+};
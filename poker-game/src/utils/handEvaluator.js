@@ -1,4 +1,6 @@
 const cardUtils = require('./cardUtils');
+const lookupEvaluator = require('./lookupEvaluator');
+const lowEvaluator = require('./lowEvaluator');
 
 /**
  * Hand rankings enum
@@ -16,44 +18,316 @@ const HandRankings = {
   HIGH_CARD: { rank: 1, name: 'High Card' }
 };
 
+/**
+ * Short Deck hand rankings: with fewer cards a flush is rarer than a full house
+ */
+const ShortDeckHandRankings = {
+  ...HandRankings,
+  FLUSH: { rank: 7, name: 'Flush' },
+  FULL_HOUSE: { rank: 6, name: 'Full House' }
+};
+
+/**
+ * Short Deck hand rankings for tables that also play trips above a straight
+ */
+const ShortDeckTripsHandRankings = {
+  ...ShortDeckHandRankings,
+  THREE_OF_A_KIND: { rank: 5, name: 'Three of a Kind' },
+  STRAIGHT: { rank: 4, name: 'Straight' }
+};
+
+/**
+ * Base used to pack a category and its tiebreakers into a single score
+ */
+const SCORE_BASE = 16;
+const CATEGORY_WEIGHT = Math.pow(SCORE_BASE, 5);
+
+/**
+ * Builds an evaluation rule set from a ranking table and lookup rules
+ * @param {Object} rankings Hand rankings table
+ * @param {Object} lookup Rule set from lookupEvaluator.RULES
+ * @returns {Object} Rule set with rank lookups in both directions
+ */
+const createRules = (rankings, lookup) => {
+  const categoryRanks = [];
+  const byRank = {};
+  Object.keys(lookupEvaluator.CATEGORY).forEach(key => {
+    categoryRanks[lookupEvaluator.CATEGORY[key]] = rankings[key].rank;
+    byRank[rankings[key].rank] = rankings[key];
+  });
+  return { rankings, lookup, categoryRanks, byRank };
+};
+
+/**
+ * Evaluation rule sets by name
+ */
+const EvaluationRules = {
+  standard: createRules(HandRankings, lookupEvaluator.RULES.standard),
+  shortDeck: createRules(ShortDeckHandRankings, lookupEvaluator.RULES.shortDeck),
+  shortDeckTrips: createRules(ShortDeckTripsHandRankings, lookupEvaluator.RULES.shortDeckTrips)
+};
+
+/**
+ * Gets the evaluation rules for a game variant
+ * @param {Object} [variant] Game variant
+ * @returns {Object} Rule set from EvaluationRules
+ */
+const getRules = (variant) => {
+  if (!variant || variant.handRankings !== 'short-deck') return EvaluationRules.standard;
+  return variant.tripsBeatStraight ? EvaluationRules.shortDeckTrips : EvaluationRules.shortDeck;
+};
+
+/**
+ * Moves a lookup score's category to its rank in a rule set's ranking table
+ * @param {number} score Score from lookupEvaluator.scoreCards
+ * @param {Object} rules Rule set from EvaluationRules
+ * @returns {number} Comparable score where higher is stronger
+ */
+const toRulesScore = (score, rules) => {
+  if (rules === EvaluationRules.standard) return score;
+  const category = Math.floor(score / CATEGORY_WEIGHT);
+  return rules.categoryRanks[category] * CATEGORY_WEIGHT + (score % CATEGORY_WEIGHT);
+};
+
+/**
+ * Scores cards under a rule set
+ * @param {Array} cards Array of card objects
+ * @param {Object} rules Rule set from EvaluationRules
+ * @returns {number} Comparable score where higher is stronger
+ */
+const scoreWithRules = (cards, rules) => toRulesScore(lookupEvaluator.scoreCards(cards, rules.lookup), rules);
+
 /**
  * Evaluates a poker hand based on player cards and community cards
  * @param {Array} playerCards Array of player's cards
  * @param {Array} communityCards Array of community cards
- * @returns {Object} Hand ranking and name
+ * @param {Object} [variant] Game variant; variants with holeCardsUsed (Omaha) restrict which cards play,
+ *   and Short Deck variants use their own ranking table
+ * @returns {Object} Hand ranking, name, comparable score, best five cards and kickers
  */
-const evaluateHand = (playerCards, communityCards) => {
+const evaluateHand = (playerCards, communityCards, variant) => {
+  if (variant && variant.holeCardsUsed) {
+    return evaluateExactHand(playerCards, communityCards, variant.holeCardsUsed, variant);
+  }
   const allCards = [...playerCards, ...communityCards];
-  return getHandRank(allCards);
+  return getHandRank(allCards, variant);
+};
+
+/**
+ * Scores a poker hand without building the card lists, for hot loops
+ * such as equity simulation
+ * @param {Array} playerCards Array of player's cards
+ * @param {Array} communityCards Array of community cards
+ * @param {Object} [variant] Game variant
+ * @returns {number} Comparable score where higher is stronger
+ */
+const scoreHand = (playerCards, communityCards, variant) => {
+  if (variant && variant.holeCardsUsed) {
+    return bestExactCombination(playerCards, communityCards, variant.holeCardsUsed, getRules(variant)).score;
+  }
+  return scoreWithRules([...playerCards, ...communityCards], getRules(variant));
+};
+
+/**
+ * Finds the best five cards made from exactly `holeCount` hole cards and the
+ * rest from the board, as Omaha requires
+ * @param {Array} holeCards Array of player's cards
+ * @param {Array} communityCards Array of community cards
+ * @param {number} holeCount Number of hole cards that must play
+ * @param {Object} rules Rule set from EvaluationRules
+ * @returns {Object} {cards, score} of the best combination
+ */
+const bestExactCombination = (holeCards, communityCards, holeCount, rules) => {
+  const boardCount = Math.min(5 - holeCount, communityCards.length);
+  const holeCombos = cardUtils.combinations(holeCards, Math.min(holeCount, holeCards.length));
+  const boardCombos = cardUtils.combinations(communityCards, boardCount);
+
+  let best = { cards: [], score: -1 };
+  for (const hole of holeCombos) {
+    for (const board of boardCombos) {
+      const cards = [...hole, ...board];
+      const score = scoreWithRules(cards, rules);
+      if (score > best.score) {
+        best = { cards, score };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Evaluates a hand that must use exactly `holeCount` hole cards (Omaha: two from
+ * the hand and three from the board)
+ * @param {Array} holeCards Array of player's cards
+ * @param {Array} communityCards Array of community cards
+ * @param {number} holeCount Number of hole cards that must play
+ * @param {Object} [variant] Game variant
+ * @returns {Object} Hand ranking, name, comparable score, best five cards and kickers
+ */
+const evaluateExactHand = (holeCards, communityCards, holeCount, variant) => {
+  const best = bestExactCombination(holeCards, communityCards, holeCount, getRules(variant));
+  return getHandRank(best.cards, variant);
 };
 
 /**
  * Determines the best possible hand from a set of cards
  * @param {Array} cards Array of card objects
- * @returns {Object} Hand ranking and name
+ * @param {Object} [variant] Game variant, for its ranking table
+ * @returns {Object} Hand ranking, name, comparable score, best five cards and kickers
  */
-const getHandRank = (cards) => {
-  // Check for different poker hands in order of rank
-  if (isRoyalFlush(cards)) return HandRankings.ROYAL_FLUSH;
-  if (isStraightFlush(cards)) return HandRankings.STRAIGHT_FLUSH;
-  if (isFourOfAKind(cards)) return HandRankings.FOUR_OF_A_KIND;
-  if (isFullHouse(cards)) return HandRankings.FULL_HOUSE;
-  if (isFlush(cards)) return HandRankings.FLUSH;
-  if (isStraight(cards)) return HandRankings.STRAIGHT;
-  if (isThreeOfAKind(cards)) return HandRankings.THREE_OF_A_KIND;
-  if (isTwoPair(cards)) return HandRankings.TWO_PAIR;
-  if (isOnePair(cards)) return HandRankings.ONE_PAIR;
-  return HandRankings.HIGH_CARD;
+const getHandRank = (cards, variant) => {
+  const rules = getRules(variant);
+  const lookupScore = lookupEvaluator.scoreCards(cards, rules.lookup);
+  const score = toRulesScore(lookupScore, rules);
+  const category = rules.byRank[Math.floor(score / CATEGORY_WEIGHT)];
+  const { cards: bestCards, kickers } = lookupEvaluator.selectCards(cards, lookupScore, rules.lookup);
+  return {
+    rank: category.rank,
+    name: category.name,
+    score,
+    cards: bestCards,
+    kickers
+  };
 };
 
+/**
+ * Determines the best possible hand by checking every five card combination
+ * against the hand rules. Slower than getHandRank; kept as the reference the
+ * lookup evaluator is verified against.
+ * @param {Array} cards Array of card objects
+ * @returns {Object} Hand ranking, name, comparable score, best five cards and kickers
+ */
+const getHandRankByRules = (cards) => {
+  if (cards.length <= 5) return rankFiveCards(cards);
+
+  let best = null;
+  for (const combo of cardUtils.combinations(cards, 5)) {
+    const hand = rankFiveCards(combo);
+    if (!best || hand.score > best.score) {
+      best = hand;
+    }
+  }
+  return best;
+};
+
+/**
+ * Packs a hand category and its tiebreak values into a single number
+ * @param {number} rank Hand category rank
+ * @param {Array} tiebreakers Value indices in order of significance
+ * @returns {number} Score where a higher number is a stronger hand
+ */
+const computeScore = (rank, tiebreakers) => {
+  let score = rank;
+  for (let i = 0; i < 5; i++) {
+    score = score * SCORE_BASE + (tiebreakers[i] !== undefined ? tiebreakers[i] + 1 : 0);
+  }
+  return score;
+};
+
+/**
+ * Ranks a hand of at most five cards
+ * @param {Array} cards Array of up to five card objects
+ * @returns {Object} Hand ranking, name, comparable score, ordered cards and kickers
+ */
+const rankFiveCards = (cards) => {
+  const sorted = cardUtils.sortByValue(cards);
+
+  // Group cards of equal value, largest groups first, then by value
+  const groups = Object.values(sorted.reduce((byValue, card) => {
+    (byValue[card.value] = byValue[card.value] || []).push(card);
+    return byValue;
+  }, {})).sort((a, b) =>
+    b.length - a.length || cardUtils.getValueIndex(b[0].value) - cardUtils.getValueIndex(a[0].value)
+  );
+  const groupValues = groups.map(group => cardUtils.getValueIndex(group[0].value));
+
+  const isFlush = cards.length === 5 && cards.every(card => card.suit === cards[0].suit);
+  const straightHigh = getStraightHigh(sorted);
+
+  if (straightHigh !== null) {
+    // The wheel plays the Ace as the lowest card
+    const ordered = straightHigh === 3 ? [...sorted.slice(1), sorted[0]] : sorted;
+    let category = HandRankings.STRAIGHT;
+    if (isFlush) {
+      category = straightHigh === 12 ? HandRankings.ROYAL_FLUSH : HandRankings.STRAIGHT_FLUSH;
+    }
+    return buildResult(category, [straightHigh], ordered, []);
+  }
+
+  if (isFlush) {
+    return buildResult(HandRankings.FLUSH, groupValues, sorted, []);
+  }
+
+  const sizes = groups.map(group => group.length);
+  if (sizes[0] === 4) {
+    return buildResult(HandRankings.FOUR_OF_A_KIND, groupValues, groups.flat(), groups.slice(1).flat());
+  }
+  if (sizes[0] === 3 && sizes[1] === 2) {
+    return buildResult(HandRankings.FULL_HOUSE, groupValues, groups.flat(), []);
+  }
+  if (sizes[0] === 3) {
+    return buildResult(HandRankings.THREE_OF_A_KIND, groupValues, groups.flat(), groups.slice(1).flat());
+  }
+  if (sizes[0] === 2 && sizes[1] === 2) {
+    return buildResult(HandRankings.TWO_PAIR, groupValues, groups.flat(), groups.slice(2).flat());
+  }
+  if (sizes[0] === 2) {
+    return buildResult(HandRankings.ONE_PAIR, groupValues, groups.flat(), groups.slice(1).flat());
+  }
+  return buildResult(HandRankings.HIGH_CARD, groupValues, sorted, sorted.slice(1));
+};
+
+/**
+ * Gets the high card of a five card straight
+ * @param {Array} sorted Cards sorted by value in descending order
+ * @returns {number|null} Value index of the straight's top card, or null if not a straight
+ */
+const getStraightHigh = (sorted) => {
+  if (sorted.length !== 5) return null;
+
+  const values = cardUtils.getUniqueValues(sorted);
+  if (values.length !== 5) return null;
+  if (cardUtils.isConsecutive(values)) return values[0];
+  if (cardUtils.isAceLowStraight(values)) return 3; // Five-high
+  return null;
+};
+
+/**
+ * Builds an evaluated hand result
+ * @param {Object} category Entry from HandRankings
+ * @param {Array} tiebreakers Value indices in order of significance
+ * @param {Array} cards The cards making up the hand, most significant first
+ * @param {Array} kickers The cards that only break ties
+ * @returns {Object} Evaluated hand
+ */
+const buildResult = (category, tiebreakers, cards, kickers) => ({
+  rank: category.rank,
+  name: category.name,
+  score: computeScore(category.rank, tiebreakers),
+  cards,
+  kickers
+});
+
+/**
+ * Compares two evaluated hands
+ * @param {Object} handA Evaluated hand
+ * @param {Object} handB Evaluated hand
+ * @returns {number} Positive if handA wins, negative if handB wins, 0 for a tie
+ */
+const compareHands = (handA, handB) => handA.score - handB.score;
+
 /**
  * Checks for a Royal Flush (Ace-high straight flush)
  * @param {Array} cards Array of card objects
  * @returns {boolean} True if hand is a Royal Flush
  */
 const isRoyalFlush = (cards) => {
-  const sortedCards = cardUtils.sortByValue(cards);
-  return isStraightFlush(cards) && sortedCards[0].value === 'A';
+  // A-K-Q-J-10 of one suit; a steel wheel is Ace-low and only a straight flush
+  const suitGroups = cardUtils.groupBySuit(cards);
+  return Object.values(suitGroups).some(suitCards => {
+    const values = cardUtils.getUniqueValues(suitCards);
+    return [12, 11, 10, 9, 8].every(value => values.includes(value));
+  });
 };
 
 /**
@@ -155,9 +429,10 @@ const isOnePair = (cards) => {
  * Determines the winner among active players
  * @param {Array} players Array of player objects
  * @param {Array} communityCards Array of community cards
+ * @param {Object} [variant] Game variant
  * @returns {Array} Array of winning player objects (may be multiple in case of a tie)
  */
-const determineWinners = (players, communityCards) => {
+const determineWinners = (players, communityCards, variant) => {
   if (!players || players.length === 0) return [];
   if (players.length === 1) return [players[0]];
   
@@ -168,46 +443,81 @@ const determineWinners = (players, communityCards) => {
   // Evaluate hands for all active players
   const playerRankings = activePlayers.map(player => ({
     player,
-    handRank: evaluateHand(player.cards, communityCards)
+    handRank: evaluateHand(player.cards, communityCards, variant)
   }));
   
-  // Find the highest hand rank
-  const highestRank = Math.max(...playerRankings.map(pr => pr.handRank.rank));
+  // Find the highest score, which already accounts for kickers
+  const highestScore = Math.max(...playerRankings.map(pr => pr.handRank.score));
   
-  // Filter players with the highest hand rank
-  const winners = playerRankings
-    .filter(pr => pr.handRank.rank === highestRank)
+  // Only players with an identical best five cards split
+  return playerRankings
+    .filter(pr => pr.handRank.score === highestScore)
     .map(pr => pr.player);
+};
+
+/**
+ * Split an amount evenly among winners; odd chips go one each to the first
+ * winners in the order given
+ * @param {Array} winners Winning players
+ * @param {number} amount Chips to split
+ * @param {string} [share] 'high' or 'low' in split-pot games
+ * @returns {Array} Array of {player, amount} (plus share when given)
+ */
+const splitAmongWinners = (winners, amount, share) => {
+  const amountPerWinner = Math.floor(amount / winners.length);
+  const remainder = amount % winners.length;
   
-  // TODO: Handle tiebreakers based on high card, kickers, etc.
-  
-  return winners;
+  return winners.map((player, index) => ({
+    player,
+    amount: amountPerWinner + (index < remainder ? 1 : 0),
+    ...(share && { share })
+  }));
 };
 
 /**
- * Calculate how the pot should be distributed among winners
+ * Calculate how the pot should be distributed among winners. In Hi/Lo games
+ * half goes to the best qualifying low: the odd chip of the split goes to the
+ * high half, and the high hand scoops when nobody qualifies for low. Pass
+ * players in seat order starting left of the button so odd chips go to the
+ * first winners after the button.
  * @param {Array} players Array of all players
  * @param {Array} communityCards Array of community cards
  * @param {number} pot Total pot amount
- * @returns {Array} Array of {player, amount} showing pot distribution
+ * @param {Object} [variant] Game variant
+ * @returns {Array} Array of {player, amount} showing pot distribution, with
+ *   share 'high' or 'low' in split-pot games (a scooping player appears in both)
  */
-const calculatePotDistribution = (players, communityCards, pot) => {
-  const winners = determineWinners(players, communityCards);
+const calculatePotDistribution = (players, communityCards, pot, variant) => {
+  const winners = determineWinners(players, communityCards, variant);
   if (winners.length === 0) return [];
   
-  const amountPerWinner = Math.floor(pot / winners.length);
-  const remainder = pot % winners.length;
+  if (!variant || variant.splitPot !== 'hi-lo') {
+    return splitAmongWinners(winners, pot);
+  }
   
-  return winners.map((player, index) => ({
-    player,
-    amount: amountPerWinner + (index < remainder ? 1 : 0)
-  }));
+  const lowWinners = lowEvaluator.determineLowWinners(players, communityCards, variant);
+  if (lowWinners.length === 0) {
+    return splitAmongWinners(winners, pot, 'high');
+  }
+  
+  const lowHalf = Math.floor(pot / 2);
+  return [
+    ...splitAmongWinners(winners, pot - lowHalf, 'high'),
+    ...splitAmongWinners(lowWinners, lowHalf, 'low')
+  ];
 };
 
 module.exports = {
   HandRankings,
+  ShortDeckHandRankings,
+  ShortDeckTripsHandRankings,
+  getRules,
   evaluateHand,
+  evaluateExactHand,
+  scoreHand,
   getHandRank,
+  getHandRankByRules,
+  compareHands,
   isRoyalFlush,
   isStraightFlush,
   isFourOfAKind,
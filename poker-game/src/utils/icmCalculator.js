@@ -0,0 +1,217 @@
+const random = require('./random');
+
+// Solve exactly for up to this many players; sample finishing orders otherwise
+const DEFAULT_EXACT_LIMIT = 10;
+const DEFAULT_ITERATIONS = 10000;
+const DEAL_TYPES = ['chip-chop', 'icm'];
+
+/**
+ * Validates stack sizes
+ * @param {Array} stacks Chip counts per player
+ */
+const validateStacks = (stacks) => {
+  if (!Array.isArray(stacks) || stacks.length < 2) {
+    throw new Error('At least two stacks are required');
+  }
+  if (!stacks.every(stack => typeof stack === 'number' && Number.isFinite(stack) && stack > 0)) {
+    throw new Error('Stacks must be positive numbers');
+  }
+};
+
+/**
+ * Validates a payout structure and fits it to the players left. Places
+ * beyond the number of players are ignored (those prizes are already
+ * paid), and missing places pay nothing.
+ * @param {Array} payouts Prize amounts, first place first
+ * @param {number} playerCount Number of players left
+ * @returns {Array} One prize per player
+ */
+const fitPayouts = (payouts, playerCount) => {
+  if (!Array.isArray(payouts) || payouts.length === 0) {
+    throw new Error('At least one payout is required');
+  }
+  if (!payouts.every(payout => typeof payout === 'number' && Number.isFinite(payout) && payout >= 0)) {
+    throw new Error('Payouts must be non-negative numbers');
+  }
+  return Array.from({ length: playerCount }, (_, place) => payouts[place] || 0);
+};
+
+/**
+ * Counts the set bits of a mask
+ * @param {number} mask Bit mask
+ * @returns {number} Number of set bits
+ */
+const bitCount = (mask) => {
+  let count = 0;
+  for (let rest = mask; rest; rest &= rest - 1) count++;
+  return count;
+};
+
+/**
+ * Calculates prize equity exactly with the Malmuth-Harville model: a player
+ * takes the best place still open with probability equal to their share of
+ * the chips left. Works over the sets of players already placed, so it
+ * takes about n * 2^n steps.
+ * @param {Array} stacks Chip counts per player
+ * @param {Array} payouts One prize per player, first place first
+ * @returns {Array} Prize equity per player
+ */
+const exactEquities = (stacks, payouts) => {
+  const count = stacks.length;
+  const total = stacks.reduce((sum, stack) => sum + stack, 0);
+  const paidPlaces = payouts.reduce((last, payout, place) => (payout > 0 ? place + 1 : last), 0);
+  const equities = stacks.map(() => 0);
+
+  // reach[mask]: probability that exactly the players in mask take the top places
+  const reach = new Float64Array(1 << count);
+  const chipsPlaced = new Float64Array(1 << count);
+  reach[0] = 1;
+  for (let mask = 0; mask < reach.length; mask++) {
+    const place = bitCount(mask);
+    if (reach[mask] === 0 || place >= paidPlaces) continue;
+
+    const chipsLeft = total - chipsPlaced[mask];
+    for (let i = 0; i < count; i++) {
+      const bit = 1 << i;
+      if (mask & bit) continue;
+      const probability = reach[mask] * stacks[i] / chipsLeft;
+      equities[i] += probability * payouts[place];
+      reach[mask | bit] += probability;
+      chipsPlaced[mask | bit] = chipsPlaced[mask] + stacks[i];
+    }
+  }
+  return equities;
+};
+
+/**
+ * Estimates prize equity by sampling finishing orders from the same model.
+ * Giving each player an exponentially distributed time with a rate equal to
+ * their stack and ranking the earliest first draws an order with exactly the
+ * Malmuth-Harville probabilities.
+ * @param {Array} stacks Chip counts per player
+ * @param {Array} payouts One prize per player, first place first
+ * @param {number} iterations Number of finishing orders to sample
+ * @param {Function} rng Random number source returning [0, 1)
+ * @returns {Array} Prize equity per player
+ */
+const sampleEquities = (stacks, payouts, iterations, rng) => {
+  const equities = stacks.map(() => 0);
+  const order = stacks.map((_, index) => index);
+  const times = new Float64Array(stacks.length);
+
+  for (let trial = 0; trial < iterations; trial++) {
+    stacks.forEach((stack, index) => {
+      times[index] = -Math.log(1 - rng()) / stack;
+    });
+    order.sort((a, b) => times[a] - times[b]);
+    order.forEach((index, place) => {
+      equities[index] += payouts[place];
+    });
+  }
+  return equities.map(equity => equity / iterations);
+};
+
+/**
+ * Calculates each player's equity in the prize money with the Independent
+ * Chip Model. Solves exactly for small fields and uses a seeded Monte Carlo
+ * simulation for larger ones.
+ * @param {Object} options ICM options
+ * @param {Array} options.stacks Chip counts per player
+ * @param {Array} options.payouts Prize amounts for the places still to be paid, first place first
+ * @param {number} [options.iterations] Number of Monte Carlo samples
+ * @param {number|string} [options.seed] Seed for reproducible sampling
+ * @param {number} [options.exactLimit] Maximum number of players to solve exactly
+ * @returns {Object} Method used, number of trials, seed, prize pool and per-player results
+ */
+const calculateICM = (options) => {
+  const { stacks } = options;
+  validateStacks(stacks);
+  const payouts = fitPayouts(options.payouts, stacks.length);
+  const iterations = options.iterations || DEFAULT_ITERATIONS;
+  const exactLimit = options.exactLimit !== undefined ? options.exactLimit : DEFAULT_EXACT_LIMIT;
+
+  let method;
+  let trials;
+  let seed = null;
+  let equities;
+  if (stacks.length <= exactLimit) {
+    method = 'exact';
+    trials = null;
+    equities = exactEquities(stacks, payouts);
+  } else {
+    method = 'monte-carlo';
+    trials = iterations;
+    seed = options.seed !== undefined ? options.seed : random.generateSeed();
+    equities = sampleEquities(stacks, payouts, iterations, random.createSeededRandom(seed));
+  }
+
+  const totalChips = stacks.reduce((sum, stack) => sum + stack, 0);
+  const prizePool = payouts.reduce((sum, payout) => sum + payout, 0);
+  return {
+    method,
+    trials,
+    seed,
+    prizePool,
+    players: stacks.map((stack, index) => ({
+      stack,
+      chipShare: (stack / totalChips) * 100,
+      equity: equities[index],
+      equityShare: prizePool > 0 ? (equities[index] / prizePool) * 100 : 0
+    }))
+  };
+};
+
+/**
+ * Proposes a deal that splits the prize money between the players left,
+ * optionally leaving some of first place's prize to play for.
+ * - chip-chop: everyone gets the smallest prize left, and the rest is split by chip count
+ * - icm: everyone gets their ICM equity
+ * @param {Object} options Deal options, as for calculateICM
+ * @param {string} [options.type='icm'] Deal type: 'chip-chop' or 'icm'
+ * @param {number} [options.playFor=0] Amount taken off first place and played for after the deal
+ * @param {Object} [options.icm] calculateICM result for the same stacks and payouts; used for an ICM
+ *   deal when nothing is left to play for instead of calculating it again
+ * @returns {Object} Deal type, amount played for, money dealt, and each player's {stack, amount}
+ */
+const proposeDeal = (options) => {
+  const { stacks, type = 'icm', playFor = 0 } = options;
+  if (!DEAL_TYPES.includes(type)) {
+    throw new Error(`Unknown deal type: ${type}`);
+  }
+  validateStacks(stacks);
+  const payouts = fitPayouts(options.payouts, stacks.length);
+  if (typeof playFor !== 'number' || !Number.isFinite(playFor) || playFor < 0 || playFor > payouts[0]) {
+    throw new Error('playFor must be between 0 and the first place prize');
+  }
+
+  const prizes = [payouts[0] - playFor, ...payouts.slice(1)];
+  const dealt = prizes.reduce((sum, prize) => sum + prize, 0);
+  let amounts;
+  let icm = null;
+  if (type === 'chip-chop') {
+    const totalChips = stacks.reduce((sum, stack) => sum + stack, 0);
+    const guaranteed = Math.min(...prizes);
+    const rest = dealt - guaranteed * stacks.length;
+    amounts = stacks.map(stack => guaranteed + rest * stack / totalChips);
+  } else {
+    icm = options.icm && playFor === 0 ? options.icm : calculateICM({ ...options, payouts: prizes });
+    amounts = icm.players.map(player => player.equity);
+  }
+
+  return {
+    type,
+    playFor,
+    dealt,
+    method: icm ? icm.method : null,
+    seed: icm ? icm.seed : null,
+    players: stacks.map((stack, index) => ({ stack, amount: amounts[index] }))
+  };
+};
+
+module.exports = {
+  DEFAULT_EXACT_LIMIT,
+  DEFAULT_ITERATIONS,
+  DEAL_TYPES,
+  calculateICM,
+  proposeDeal
+};
@@ -0,0 +1,320 @@
+/**
+ * Constant-time hand evaluator built on 13-bit rank masks and lookup tables
+ * generated once at startup. Scores 1 to 7 cards without enumerating
+ * five card combinations; scores match handEvaluator's rule-based scoring.
+ */
+const cardUtils = require('./cardUtils');
+
+// Category ranks, matching handEvaluator.HandRankings
+const CATEGORY = {
+  HIGH_CARD: 1,
+  ONE_PAIR: 2,
+  TWO_PAIR: 3,
+  THREE_OF_A_KIND: 4,
+  STRAIGHT: 5,
+  FLUSH: 6,
+  FULL_HOUSE: 7,
+  FOUR_OF_A_KIND: 8,
+  STRAIGHT_FLUSH: 9,
+  ROYAL_FLUSH: 10
+};
+
+const RANK_COUNT = 13;
+const MASK_COUNT = 1 << RANK_COUNT;
+const ACE = 12;
+const SCORE_BASE = 16;
+const CATEGORY_WEIGHT = Math.pow(SCORE_BASE, 5);
+
+// Lookup tables indexed by a 13-bit rank mask
+const BIT_COUNT = new Uint8Array(MASK_COUNT);
+const STRAIGHT_HIGH = new Int8Array(MASK_COUNT);
+const SHORT_DECK_STRAIGHT_HIGH = new Int8Array(MASK_COUNT);
+const TOP_FIVE = new Uint32Array(MASK_COUNT);
+
+// Top card of the Ace-low straight: A-2-3-4-5 (five-high), or A-6-7-8-9 (nine-high) in Short Deck
+const WHEEL_HIGH = 3;
+const SHORT_DECK_WHEEL_HIGH = 7;
+
+// Card value / suit -> index lookups
+const VALUE_INDEX = {};
+const SUIT_INDEX = {};
+
+/**
+ * Generates the lookup tables
+ */
+const buildTables = () => {
+  cardUtils.VALUES.forEach((value, index) => { VALUE_INDEX[value] = index; });
+  cardUtils.SUITS.forEach((suit, index) => { SUIT_INDEX[suit] = index; });
+
+  for (let mask = 0; mask < MASK_COUNT; mask++) {
+    let count = 0;
+    let packed = 0;
+    let taken = 0;
+    for (let rank = ACE; rank >= 0; rank--) {
+      if (mask & (1 << rank)) {
+        count++;
+        if (taken < 5) {
+          // Tiebreakers are stored offset by one so an empty slot sorts lowest
+          packed += (rank + 1) * Math.pow(SCORE_BASE, 4 - taken);
+          taken++;
+        }
+      }
+    }
+    BIT_COUNT[mask] = count;
+    TOP_FIVE[mask] = packed;
+
+    STRAIGHT_HIGH[mask] = -1;
+    for (let high = ACE; high >= 4; high--) {
+      const run = 0x1f << (high - 4);
+      if ((mask & run) === run) {
+        STRAIGHT_HIGH[mask] = high;
+        break;
+      }
+    }
+    SHORT_DECK_STRAIGHT_HIGH[mask] = STRAIGHT_HIGH[mask];
+
+    // The wheel: A-2-3-4-5 plays as a five-high straight
+    const wheel = (1 << ACE) | 0xf;
+    if (STRAIGHT_HIGH[mask] === -1 && (mask & wheel) === wheel) {
+      STRAIGHT_HIGH[mask] = WHEEL_HIGH;
+    }
+
+    // Short Deck has no 2-5, so the Ace plays low in A-6-7-8-9
+    const shortWheel = (1 << ACE) | (0xf << 4);
+    if (SHORT_DECK_STRAIGHT_HIGH[mask] === -1 && (mask & shortWheel) === shortWheel) {
+      SHORT_DECK_STRAIGHT_HIGH[mask] = SHORT_DECK_WHEEL_HIGH;
+    }
+  }
+};
+
+buildTables();
+
+/**
+ * Evaluation rule sets: which straight table to use, where the Ace-low straight
+ * tops out, and whether three of a kind outranks a straight
+ */
+const RULES = {
+  standard: { straightHigh: STRAIGHT_HIGH, wheelHigh: WHEEL_HIGH, tripsBeatStraight: false },
+  shortDeck: { straightHigh: SHORT_DECK_STRAIGHT_HIGH, wheelHigh: SHORT_DECK_WHEEL_HIGH, tripsBeatStraight: false },
+  shortDeckTrips: { straightHigh: SHORT_DECK_STRAIGHT_HIGH, wheelHigh: SHORT_DECK_WHEEL_HIGH, tripsBeatStraight: true }
+};
+
+/**
+ * Gets the highest rank in a mask
+ * @param {number} mask Rank mask
+ * @returns {number} Rank index of the highest set bit
+ */
+const highestRank = (mask) => 31 - Math.clz32(mask);
+
+/**
+ * Packs the top `count` ranks of a mask starting at tiebreak slot `slot`
+ * @param {number} mask Rank mask
+ * @param {number} count Number of ranks to keep
+ * @param {number} slot First tiebreak slot (0 is most significant)
+ * @returns {number} Packed tiebreak value
+ */
+const topRanks = (mask, count, slot) => {
+  const packed = Math.floor(TOP_FIVE[mask] / Math.pow(SCORE_BASE, 5 - count));
+  return packed * Math.pow(SCORE_BASE, 5 - count - slot);
+};
+
+/**
+ * Packs a single rank into a tiebreak slot
+ * @param {number} rank Rank index
+ * @param {number} slot Tiebreak slot (0 is most significant)
+ * @returns {number} Packed tiebreak value
+ */
+const rankAt = (rank, slot) => (rank + 1) * Math.pow(SCORE_BASE, 4 - slot);
+
+/**
+ * Scores a set of 1 to 7 cards. Higher scores are stronger hands; the category
+ * is Math.floor(score / 16^5). Categories are the standard CATEGORY ranks, so
+ * variants with another category order remap them (see handEvaluator).
+ * @param {Array} cards Array of card objects
+ * @param {Object} [rules] Rule set from RULES
+ * @returns {number} Hand score
+ */
+const scoreCards = (cards, rules = RULES.standard) => {
+  let s0 = 0;
+  let s1 = 0;
+  let s2 = 0;
+  let s3 = 0;
+  for (let i = 0; i < cards.length; i++) {
+    const bit = 1 << VALUE_INDEX[cards[i].value];
+    switch (SUIT_INDEX[cards[i].suit]) {
+      case 0: s0 |= bit; break;
+      case 1: s1 |= bit; break;
+      case 2: s2 |= bit; break;
+      default: s3 |= bit; break;
+    }
+  }
+  return scoreMasks(s0, s1, s2, s3, rules);
+};
+
+/**
+ * Scores a hand from its four per-suit rank masks
+ * @param {number} s0 Ranks held in the first suit
+ * @param {number} s1 Ranks held in the second suit
+ * @param {number} s2 Ranks held in the third suit
+ * @param {number} s3 Ranks held in the fourth suit
+ * @param {Object} [rules] Rule set from RULES
+ * @returns {number} Hand score
+ */
+const scoreMasks = (s0, s1, s2, s3, rules = RULES.standard) => {
+  const all = s0 | s1 | s2 | s3;
+
+  // Flushes: at most one suit can hold five of seven cards
+  let flushMask = 0;
+  if (BIT_COUNT[s0] >= 5) flushMask = s0;
+  else if (BIT_COUNT[s1] >= 5) flushMask = s1;
+  else if (BIT_COUNT[s2] >= 5) flushMask = s2;
+  else if (BIT_COUNT[s3] >= 5) flushMask = s3;
+
+  if (flushMask) {
+    const high = rules.straightHigh[flushMask];
+    if (high >= 0) {
+      const category = high === ACE ? CATEGORY.ROYAL_FLUSH : CATEGORY.STRAIGHT_FLUSH;
+      return category * CATEGORY_WEIGHT + rankAt(high, 0);
+    }
+  }
+
+  const four = s0 & s1 & s2 & s3;
+  const threePlus = (s0 & s1 & s2) | (s0 & s1 & s3) | (s0 & s2 & s3) | (s1 & s2 & s3);
+  const twoPlus = (s0 & s1) | (s0 & s2) | (s0 & s3) | (s1 & s2) | (s1 & s3) | (s2 & s3);
+
+  if (four) {
+    const quad = highestRank(four);
+    return CATEGORY.FOUR_OF_A_KIND * CATEGORY_WEIGHT + rankAt(quad, 0) +
+      topRanks(all & ~(1 << quad), 1, 1);
+  }
+
+  if (threePlus) {
+    const trips = highestRank(threePlus);
+    const pairs = twoPlus & ~(1 << trips);
+    if (pairs) {
+      return CATEGORY.FULL_HOUSE * CATEGORY_WEIGHT + rankAt(trips, 0) + rankAt(highestRank(pairs), 1);
+    }
+  }
+
+  if (flushMask) {
+    return CATEGORY.FLUSH * CATEGORY_WEIGHT + TOP_FIVE[flushMask];
+  }
+
+  const tripsScore = threePlus
+    ? CATEGORY.THREE_OF_A_KIND * CATEGORY_WEIGHT + rankAt(highestRank(threePlus), 0) +
+      topRanks(all & ~(1 << highestRank(threePlus)), 2, 1)
+    : 0;
+  if (tripsScore && rules.tripsBeatStraight) {
+    return tripsScore;
+  }
+
+  const straightHigh = rules.straightHigh[all];
+  if (straightHigh >= 0) {
+    return CATEGORY.STRAIGHT * CATEGORY_WEIGHT + rankAt(straightHigh, 0);
+  }
+
+  if (tripsScore) {
+    return tripsScore;
+  }
+
+  if (twoPlus) {
+    const highPair = highestRank(twoPlus);
+    const otherPairs = twoPlus & ~(1 << highPair);
+    if (otherPairs) {
+      const lowPair = highestRank(otherPairs);
+      return CATEGORY.TWO_PAIR * CATEGORY_WEIGHT + rankAt(highPair, 0) + rankAt(lowPair, 1) +
+        topRanks(all & ~(1 << highPair) & ~(1 << lowPair), 1, 2);
+    }
+    return CATEGORY.ONE_PAIR * CATEGORY_WEIGHT + rankAt(highPair, 0) +
+      topRanks(all & ~(1 << highPair), 3, 1);
+  }
+
+  return CATEGORY.HIGH_CARD * CATEGORY_WEIGHT + TOP_FIVE[all];
+};
+
+/**
+ * Unpacks a score into its category and tiebreak ranks
+ * @param {number} score Hand score
+ * @returns {Object} {rank, tiebreakers} where tiebreakers are rank indices, most significant first
+ */
+const decodeScore = (score) => {
+  const rank = Math.floor(score / CATEGORY_WEIGHT);
+  const tiebreakers = [];
+  let rest = score % CATEGORY_WEIGHT;
+  for (let slot = 4; slot >= 0; slot--) {
+    const value = Math.floor(rest / Math.pow(SCORE_BASE, slot));
+    rest %= Math.pow(SCORE_BASE, slot);
+    if (value > 0) tiebreakers.push(value - 1);
+  }
+  return { rank, tiebreakers };
+};
+
+// Number of cards behind each tiebreak rank, by category
+const GROUP_SIZES = {
+  [CATEGORY.FOUR_OF_A_KIND]: [4, 1],
+  [CATEGORY.FULL_HOUSE]: [3, 2],
+  [CATEGORY.THREE_OF_A_KIND]: [3, 1, 1],
+  [CATEGORY.TWO_PAIR]: [2, 2, 1],
+  [CATEGORY.ONE_PAIR]: [2, 1, 1, 1],
+  [CATEGORY.HIGH_CARD]: [1, 1, 1, 1, 1]
+};
+
+// Index of the first tiebreak rank that is a kicker, by category
+const KICKER_START = {
+  [CATEGORY.FOUR_OF_A_KIND]: 1,
+  [CATEGORY.FULL_HOUSE]: 2,
+  [CATEGORY.THREE_OF_A_KIND]: 1,
+  [CATEGORY.TWO_PAIR]: 2,
+  [CATEGORY.ONE_PAIR]: 1,
+  [CATEGORY.HIGH_CARD]: 1
+};
+
+/**
+ * Picks the cards that make up a scored hand, most significant first
+ * @param {Array} cards Array of card objects the hand was scored from
+ * @param {number} score Score returned by scoreCards for those cards
+ * @param {Object} [rules] Rule set the score was computed with
+ * @returns {Object} {cards, kickers}
+ */
+const selectCards = (cards, score, rules = RULES.standard) => {
+  const { rank, tiebreakers } = decodeScore(score);
+  const rankOf = (card) => VALUE_INDEX[card.value];
+
+  if (rank === CATEGORY.STRAIGHT || rank === CATEGORY.STRAIGHT_FLUSH || rank === CATEGORY.ROYAL_FLUSH ||
+      rank === CATEGORY.FLUSH) {
+    let pool = cards;
+    if (rank !== CATEGORY.STRAIGHT) {
+      const suitCounts = {};
+      cards.forEach(card => { suitCounts[card.suit] = (suitCounts[card.suit] || 0) + 1; });
+      const flushSuit = Object.keys(suitCounts).find(suit => suitCounts[suit] >= 5);
+      pool = cards.filter(card => card.suit === flushSuit);
+    }
+    let wanted = tiebreakers;
+    if (rank !== CATEGORY.FLUSH) {
+      const high = tiebreakers[0];
+      // The Ace-low straight plays the Ace last
+      wanted = high === rules.wheelHigh
+        ? [high, high - 1, high - 2, high - 3, ACE]
+        : [high, high - 1, high - 2, high - 3, high - 4];
+    }
+    return { cards: wanted.map(value => pool.find(card => rankOf(card) === value)), kickers: [] };
+  }
+
+  const sizes = GROUP_SIZES[rank];
+  const kickerFrom = KICKER_START[rank];
+
+  const picked = tiebreakers.map((value, index) =>
+    cards.filter(card => rankOf(card) === value).slice(0, sizes[index])
+  );
+  return { cards: picked.flat(), kickers: picked.slice(kickerFrom).flat() };
+};
+
+module.exports = {
+  CATEGORY,
+  SCORE_BASE,
+  RULES,
+  scoreCards,
+  scoreMasks,
+  decodeScore,
+  selectCards
+};
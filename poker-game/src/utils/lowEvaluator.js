@@ -0,0 +1,115 @@
+/**
+ * Utility functions for evaluating low hands in Hi/Lo split games.
+ * Aces play low, straights and flushes do not count against a low, and a
+ * qualifying low needs five different ranks no higher than the qualifier
+ * (eight-or-better by default).
+ */
+const cardUtils = require('./cardUtils');
+
+const DEFAULT_QUALIFIER = 8;
+const LOW_HAND_SIZE = 5;
+
+/**
+ * Gets the low rank of a card value, with the Ace as 1
+ * @param {string} value Card value
+ * @returns {number} Low rank from 1 (Ace) to 13 (King)
+ */
+const getLowRank = (value) => (value === 'A' ? 1 : cardUtils.getValueIndex(value) + 2);
+
+/**
+ * Builds a low hand result from five cards of different ranks
+ * @param {Array} cards Five card objects
+ * @returns {Object} Low hand with name, cards (highest first), ranks and score
+ */
+const buildLowHand = (cards) => {
+  const ordered = [...cards].sort((a, b) => getLowRank(b.value) - getLowRank(a.value));
+  const ranks = ordered.map(card => getLowRank(card.value));
+  return {
+    name: `${ordered.map(card => card.value).join('-')} low`,
+    cards: ordered,
+    ranks,
+    // Compared from the highest card down, so packing ranks high-first orders lows; lower is better
+    score: ranks.reduce((score, rank) => score * 16 + rank, 0)
+  };
+};
+
+/**
+ * Finds the best qualifying low that can be made from any five of the cards
+ * @param {Array} cards Card objects
+ * @param {number} qualifier Highest rank allowed in a low
+ * @returns {Object|null} Best low hand, or null if none qualifies
+ */
+const bestLowFromCards = (cards, qualifier) => {
+  const byRank = new Map();
+  cards.forEach(card => {
+    const rank = getLowRank(card.value);
+    if (rank <= qualifier && !byRank.has(rank)) byRank.set(rank, card);
+  });
+  if (byRank.size < LOW_HAND_SIZE) return null;
+
+  const ranks = [...byRank.keys()].sort((a, b) => a - b).slice(0, LOW_HAND_SIZE);
+  return buildLowHand(ranks.map(rank => byRank.get(rank)));
+};
+
+/**
+ * Evaluates the best low hand for a player. Variants with holeCardsUsed (Omaha)
+ * must make the low with exactly that many hole cards.
+ * @param {Array} playerCards Player's hole cards
+ * @param {Array} communityCards Community cards
+ * @param {Object} [variant] Game variant, with an optional lowQualifier
+ * @returns {Object|null} Best low hand, or null if the player has no qualifying low
+ */
+const evaluateLowHand = (playerCards, communityCards, variant) => {
+  const qualifier = (variant && variant.lowQualifier) || DEFAULT_QUALIFIER;
+  if (!variant || !variant.holeCardsUsed) {
+    return bestLowFromCards([...playerCards, ...communityCards], qualifier);
+  }
+
+  let best = null;
+  const holeCombos = cardUtils.combinations(playerCards, variant.holeCardsUsed);
+  const boardCombos = cardUtils.combinations(communityCards, LOW_HAND_SIZE - variant.holeCardsUsed);
+  holeCombos.forEach(hole => {
+    boardCombos.forEach(board => {
+      const low = bestLowFromCards([...hole, ...board], qualifier);
+      if (low && (!best || low.score < best.score)) best = low;
+    });
+  });
+  return best;
+};
+
+/**
+ * Compares two low hands
+ * @param {Object|null} lowA First low hand
+ * @param {Object|null} lowB Second low hand
+ * @returns {number} Positive if lowA is the better low, negative if lowB is, 0 if tied
+ */
+const compareLowHands = (lowA, lowB) => {
+  if (!lowA || !lowB) return (lowA ? 1 : 0) - (lowB ? 1 : 0);
+  return lowB.score - lowA.score;
+};
+
+/**
+ * Determines which active players hold the best qualifying low
+ * @param {Array} players Array of players
+ * @param {Array} communityCards Community cards
+ * @param {Object} [variant] Game variant
+ * @returns {Array} Players sharing the best low, or an empty array if nobody qualifies
+ */
+const determineLowWinners = (players, communityCards, variant) => {
+  const lows = players
+    .filter(player => player.isActive)
+    .map(player => ({ player, low: evaluateLowHand(player.cards, communityCards, variant) }))
+    .filter(({ low }) => low);
+  if (lows.length === 0) return [];
+
+  const bestScore = Math.min(...lows.map(({ low }) => low.score));
+  return lows.filter(({ low }) => low.score === bestScore).map(({ player }) => player);
+};
+
+module.exports = {
+  DEFAULT_QUALIFIER,
+  getLowRank,
+  evaluateLowHand,
+  compareLowHands,
+  determineLowWinners
+};
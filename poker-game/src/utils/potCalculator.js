@@ -0,0 +1,90 @@
+/**
+ * Utility functions for splitting chips into a main pot and side pots
+ */
+
+/**
+ * Checks whether two lists of players contain the same players
+ * @param {Array} a Array of player objects
+ * @param {Array} b Array of player objects
+ * @returns {boolean} True if both lists hold the same player IDs
+ */
+const sameEligiblePlayers = (a, b) => {
+  return a.length === b.length && a.every(player => b.some(other => other.id === player.id));
+};
+
+/**
+ * Builds the main pot and ordered side pots from each player's total contribution.
+ * Every distinct all-in amount caps a pot; only players who are still in the hand
+ * and covered that amount are eligible to win it. Chips from folded or departed
+ * players stay in the pots they contributed to as dead money.
+ * @param {Array} players Array of player objects seated in the hand
+ * @param {Map} contributions Map of player ID to total chips put in this hand
+ * @returns {Array} Array of {amount, eligiblePlayers}, main pot first
+ */
+const buildPots = (players, contributions) => {
+  const levels = [...new Set([...contributions.values()].filter(amount => amount > 0))]
+    .sort((a, b) => a - b);
+
+  const pots = [];
+  let previousLevel = 0;
+  let deadMoney = 0;
+
+  for (const level of levels) {
+    let amount = deadMoney;
+    for (const contributed of contributions.values()) {
+      amount += Math.min(contributed, level) - Math.min(contributed, previousLevel);
+    }
+    previousLevel = level;
+
+    const eligiblePlayers = players.filter(player =>
+      player.isActive && (contributions.get(player.id) || 0) >= level
+    );
+    const lastPot = pots[pots.length - 1];
+
+    if (eligiblePlayers.length === 0) {
+      // Nobody left in the hand covered this level, so it joins the pot below
+      if (lastPot) {
+        lastPot.amount += amount;
+        deadMoney = 0;
+      } else {
+        deadMoney = amount;
+      }
+    } else if (lastPot && sameEligiblePlayers(lastPot.eligiblePlayers, eligiblePlayers)) {
+      lastPot.amount += amount;
+      deadMoney = 0;
+    } else {
+      pots.push({ amount, eligiblePlayers });
+      deadMoney = 0;
+    }
+  }
+
+  return pots;
+};
+
+/**
+ * Takes rake out of the pots, main pot first, until the cap is reached. Only
+ * called chips are raked: a bet nobody called (the biggest contribution's
+ * excess over the next biggest) goes back untouched. Rake is rounded down in each pot.
+ * @param {Array} pots Pots from buildPots, main pot first
+ * @param {Map} contributions Map of player ID to total chips put in this hand
+ * @param {number} percent Percentage of each pot to take
+ * @param {number} [cap=Infinity] Most rake to take from the hand
+ * @returns {Array} Array of {amount, eligiblePlayers, rake}, with amount net of rake
+ */
+const rakePots = (pots, contributions, percent, cap = Infinity) => {
+  const [biggest = 0, nextBiggest = 0] = [...contributions.values()].sort((a, b) => b - a);
+  const uncalled = biggest - nextBiggest;
+  let capLeft = cap;
+
+  return pots.map((pot, index) => {
+    const called = index === pots.length - 1 ? Math.max(0, pot.amount - uncalled) : pot.amount;
+    const rake = Math.min(Math.floor(called * percent / 100), capLeft);
+    capLeft -= rake;
+    return { ...pot, amount: pot.amount - rake, rake };
+  });
+};
+
+module.exports = {
+  buildPots,
+  rakePots
+};
@@ -0,0 +1,48 @@
+/**
+ * Utility functions for reproducible random number generation
+ */
+
+/**
+ * Hashes a seed of any type into a 32-bit unsigned integer (FNV-1a)
+ * @param {number|string} seed The seed to hash
+ * @returns {number} 32-bit unsigned hash
+ */
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed The seed; the same seed always yields the same sequence
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Generates a new random seed
+ * @returns {string} Seed suitable for createSeededRandom
+ */
+const generateSeed = () => {
+  return Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+};
+
+module.exports = {
+  hashSeed,
+  createSeededRandom,
+  generateSeed
+};
@@ -0,0 +1,281 @@
+/**
+ * Utility functions for hand range notation, e.g. 'QQ+, AKs, A5s-A2s, KQo, AsKs:0.5'
+ */
+const cardUtils = require('./cardUtils');
+
+// Ranks in range notation, lowest first, indexed like cardUtils.VALUES
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
+
+const HAND_CLASS = /^([2-9TJQKA])([2-9TJQKA])([so]?)(\+?)$/i;
+const HAND_CLASS_SPAN = /^([2-9TJQKA])([2-9TJQKA])([so]?)-([2-9TJQKA])([2-9TJQKA])([so]?)$/i;
+
+/**
+ * Gets the rank index of a rank character
+ * @param {string} rank Rank character (2-9, T, J, Q, K, A)
+ * @returns {number} Index into RANKS
+ */
+const rankIndex = (rank) => RANKS.indexOf(rank.toUpperCase());
+
+/**
+ * Builds a card from a rank index and a suit
+ * @param {number} rank Index into RANKS
+ * @param {string} suit Card suit
+ * @returns {Object} Card object
+ */
+const makeCard = (rank, suit) => ({ suit, value: cardUtils.VALUES[rank] });
+
+/**
+ * Gets a unique key for a two card combo, independent of card order
+ * @param {Array} cards Two card objects
+ * @returns {string} Combo key such as 'AsKd'
+ */
+const comboKey = (cards) => orderCombo(cards).map(cardUtils.formatCard).join('');
+
+/**
+ * Orders the cards of a combo with the higher rank (then suit) first
+ * @param {Array} cards Two card objects
+ * @returns {Array} Ordered cards
+ */
+const orderCombo = (cards) => {
+  return [...cards].sort((a, b) =>
+    cardUtils.getValueIndex(b.value) - cardUtils.getValueIndex(a.value) ||
+    cardUtils.SUITS.indexOf(a.suit) - cardUtils.SUITS.indexOf(b.suit)
+  );
+};
+
+/**
+ * Gets the hand class of a combo, e.g. 'AKs', 'AKo' or 'QQ'
+ * @param {Array} cards Two card objects
+ * @returns {string} Hand class
+ */
+const handClass = (cards) => {
+  const [high, low] = orderCombo(cards);
+  const highRank = RANKS[cardUtils.getValueIndex(high.value)];
+  const lowRank = RANKS[cardUtils.getValueIndex(low.value)];
+  if (highRank === lowRank) return `${highRank}${lowRank}`;
+  return `${highRank}${lowRank}${high.suit === low.suit ? 's' : 'o'}`;
+};
+
+/**
+ * Expands a hand class into its individual combos
+ * @param {number} high Rank index of the first card
+ * @param {number} low Rank index of the second card
+ * @param {string} suitedness 's' for suited, 'o' for offsuit, '' for both
+ * @returns {Array} Array of two card combos
+ */
+const expandClass = (high, low, suitedness) => {
+  const combos = [];
+  const suits = cardUtils.SUITS;
+  for (let i = 0; i < suits.length; i++) {
+    for (let j = 0; j < suits.length; j++) {
+      if (high === low) {
+        if (j > i) combos.push([makeCard(high, suits[i]), makeCard(low, suits[j])]);
+        continue;
+      }
+      const suited = i === j;
+      if ((suitedness === 's' && !suited) || (suitedness === 'o' && suited)) continue;
+      combos.push([makeCard(high, suits[i]), makeCard(low, suits[j])]);
+    }
+  }
+  return combos;
+};
+
+/**
+ * Expands one range token (without its weight) into combos
+ * @param {string} token Token such as 'QQ+', 'AKs', 'A5s-A2s' or 'AsKs'
+ * @returns {Array} Array of two card combos
+ */
+const expandToken = (token) => {
+  let match = HAND_CLASS.exec(token);
+  if (match) {
+    let high = rankIndex(match[1]);
+    let low = rankIndex(match[2]);
+    const suitedness = match[3].toLowerCase();
+    if (low > high) [high, low] = [low, high];
+    if (high === low && suitedness) {
+      throw new Error(`Pairs cannot be suited or offsuit: ${token}`);
+    }
+
+    if (!match[4]) return expandClass(high, low, suitedness);
+
+    // 'QQ+' climbs to aces; 'ATs+' climbs the kicker up to one below the top card
+    const combos = [];
+    if (high === low) {
+      for (let rank = high; rank < RANKS.length; rank++) combos.push(...expandClass(rank, rank, ''));
+    } else {
+      for (let rank = low; rank < high; rank++) combos.push(...expandClass(high, rank, suitedness));
+    }
+    return combos;
+  }
+
+  match = HAND_CLASS_SPAN.exec(token);
+  if (match) {
+    const [firstHigh, firstLow, secondHigh, secondLow] = [match[1], match[2], match[4], match[5]].map(rankIndex);
+    const suitedness = match[3].toLowerCase();
+    if (suitedness !== match[6].toLowerCase()) {
+      throw new Error(`Both ends of a span must have the same suitedness: ${token}`);
+    }
+
+    const combos = [];
+    if (firstHigh === firstLow && secondHigh === secondLow) {
+      // Pair span, e.g. '22-55'
+      const [from, to] = [firstHigh, secondHigh].sort((a, b) => a - b);
+      for (let rank = from; rank <= to; rank++) combos.push(...expandClass(rank, rank, ''));
+      return combos;
+    }
+    if (firstHigh === secondHigh && firstHigh !== firstLow && secondHigh !== secondLow) {
+      // Kicker span, e.g. 'A5s-A2s'
+      const [from, to] = [firstLow, secondLow].sort((a, b) => a - b);
+      if (to >= firstHigh) throw new Error(`Invalid span: ${token}`);
+      for (let rank = from; rank <= to; rank++) combos.push(...expandClass(firstHigh, rank, suitedness));
+      return combos;
+    }
+    throw new Error(`Invalid span: ${token}`);
+  }
+
+  // A specific combo such as 'AsKs'
+  let cards;
+  try {
+    cards = cardUtils.parseCards(token);
+  } catch (error) {
+    cards = [];
+  }
+  if (cards.length !== 2 || cardUtils.formatCard(cards[0]) === cardUtils.formatCard(cards[1])) {
+    throw new Error(`Invalid range token: ${token}`);
+  }
+  return [cards];
+};
+
+/**
+ * Parses range notation into weighted combos. Tokens are comma or space separated and
+ * may carry a weight between 0 and 1 after a colon ('AKs:0.5'); a later token
+ * overrides the weight of combos already in the range.
+ * @param {string} range Range notation
+ * @returns {Array} Array of {cards, weight}
+ */
+const parseRange = (range) => {
+  const combos = new Map();
+  const tokens = String(range || '').split(/[\s,]+/).filter(Boolean);
+
+  for (const rawToken of tokens) {
+    const [token, weightText, extra] = rawToken.split(':');
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (extra !== undefined || !(weight > 0 && weight <= 1)) {
+      throw new Error(`Invalid weight in range token: ${rawToken}`);
+    }
+    for (const cards of expandToken(token)) {
+      const ordered = orderCombo(cards);
+      combos.set(comboKey(ordered), { cards: ordered, weight });
+    }
+  }
+
+  if (combos.size === 0) {
+    throw new Error('Range is empty');
+  }
+  return [...combos.values()];
+};
+
+/**
+ * Removes combos that use any of the given cards (board, dead cards or blockers)
+ * @param {Array} combos Array of {cards, weight}
+ * @param {Array} deadCards Card objects that are unavailable
+ * @returns {Array} Combos that remain possible
+ */
+const filterDeadCombos = (combos, deadCards) => {
+  const dead = new Set(deadCards.map(cardUtils.formatCard));
+  return combos.filter(({ cards }) => cards.every(card => !dead.has(cardUtils.formatCard(card))));
+};
+
+/**
+ * Formats a run of hand classes that share a shape as compactly as possible
+ * @param {Array} ranks Ascending list of the varying rank indices
+ * @param {Function} label Builds a hand class from a rank index
+ * @param {number} top The rank index that allows a '+' shorthand
+ * @returns {Array} Range tokens
+ */
+const formatRuns = (ranks, label, top) => {
+  const tokens = [];
+  let start = 0;
+  for (let i = 1; i <= ranks.length; i++) {
+    if (i < ranks.length && ranks[i] === ranks[i - 1] + 1) continue;
+    const from = ranks[start];
+    const to = ranks[i - 1];
+    if (to === top && from !== to) {
+      tokens.push(`${label(from)}+`);
+    } else if (from === to) {
+      tokens.push(label(from));
+    } else {
+      tokens.push(`${label(to)}-${label(from)}`);
+    }
+    start = i;
+  }
+  return tokens;
+};
+
+/**
+ * Serializes weighted combos back to compact range notation
+ * @param {Array} combos Array of {cards, weight}
+ * @returns {string} Range notation
+ */
+const serializeRange = (combos) => {
+  // Group combos by hand class
+  const classes = new Map();
+  combos.forEach(combo => {
+    const name = handClass(combo.cards);
+    if (!classes.has(name)) classes.set(name, []);
+    classes.get(name).push(combo);
+  });
+
+  // Complete classes with a single weight collapse into their class name
+  const complete = new Map(); // weight -> { pairs: [], suited: Map(high -> lows), offsuit: Map(high -> lows) }
+  const singles = [];
+  for (const [name, members] of classes) {
+    const high = rankIndex(name[0]);
+    const low = rankIndex(name[1]);
+    const shape = name[2] || '';
+    const weight = members[0].weight;
+    if (members.length !== expandClass(high, low, shape).length || members.some(m => m.weight !== weight)) {
+      singles.push(...members);
+      continue;
+    }
+    if (!complete.has(weight)) complete.set(weight, { pairs: [], s: new Map(), o: new Map() });
+    const group = complete.get(weight);
+    if (!shape) {
+      group.pairs.push(low);
+    } else {
+      if (!group[shape].has(high)) group[shape].set(high, []);
+      group[shape].get(high).push(low);
+    }
+  }
+
+  const tokens = [];
+  const withWeight = (token, weight) => (weight === 1 ? token : `${token}:${weight}`);
+  const descending = (a, b) => b - a;
+
+  [...complete.keys()].sort(descending).forEach(weight => {
+    const group = complete.get(weight);
+    const ascending = (list) => [...list].sort((a, b) => a - b);
+    formatRuns(ascending(group.pairs), rank => RANKS[rank] + RANKS[rank], RANKS.length - 1)
+      .reverse()
+      .forEach(token => tokens.push(withWeight(token, weight)));
+    ['s', 'o'].forEach(shape => {
+      [...group[shape].keys()].sort(descending).forEach(high => {
+        formatRuns(ascending(group[shape].get(high)), rank => RANKS[high] + RANKS[rank] + shape, high - 1)
+          .reverse()
+          .forEach(token => tokens.push(withWeight(token, weight)));
+      });
+    });
+  });
+
+  singles.forEach(({ cards, weight }) => tokens.push(withWeight(comboKey(cards), weight)));
+  return tokens.join(', ');
+};
+
+module.exports = {
+  RANKS,
+  parseRange,
+  serializeRange,
+  filterDeadCombos,
+  comboKey,
+  handClass
+};